@@ -0,0 +1,213 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { log } = require('@jsdoc/util');
+const { default: ow } = require('ow');
+const { version: TEMPLATE_VERSION } = require('../package.json');
+
+const CACHE_FILENAME = '.jsdoc-baseline-cache.json';
+const CACHE_FORMAT = 1;
+
+// Serializes a value as JSON, with the keys of each object in sorted order, so that equivalent
+// values always produce the same string. Circular references, which are common in doclets, are
+// replaced with a placeholder.
+function stableStringify(value, stack = []) {
+    let result;
+
+    if (value === null || typeof value !== 'object') {
+        // `undefined` and functions aren't serializable.
+        if (value === undefined || typeof value === 'function') {
+            return 'null';
+        }
+
+        return JSON.stringify(value);
+    }
+
+    if (stack.includes(value)) {
+        return '"[Circular]"';
+    }
+
+    if (typeof value.toJSON === 'function') {
+        return stableStringify(value.toJSON(), stack);
+    }
+
+    stack.push(value);
+    if (Array.isArray(value)) {
+        result = `[${value.map(item => stableStringify(item, stack)).join(',')}]`;
+    } else {
+        result = `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key], stack)}`)
+            .join(',')}}`;
+    }
+    stack.pop();
+
+    return result;
+}
+
+/**
+ * Tracks which output files are up to date, so that an incremental build can skip them.
+ *
+ * The cache is stored as a JSON file in the output directory. It maps the URL of each output file
+ * to a hash of the inputs that produced the file. The cache also records a fingerprint for the
+ * build as a whole, such as the template version and configuration; if the fingerprint changes,
+ * the entire cache is discarded.
+ */
+class BuildCache {
+    /**
+     * Creates a build cache.
+     *
+     * @param {Object} opts - Options for the cache.
+     * @param {string} opts.filepath - The path to the cache file.
+     * @param {string} [opts.fingerprint] - A fingerprint for the build as a whole.
+     * @param {boolean} [opts.force=false] - Whether to ignore the existing cache and rebuild every
+     * file.
+     */
+    constructor(opts) {
+        ow(opts, ow.object);
+        ow(opts.filepath, ow.string);
+        ow(opts.fingerprint, ow.optional.string);
+        ow(opts.force, ow.optional.boolean);
+
+        this.filepath = opts.filepath;
+        this.fingerprint = opts.fingerprint || '';
+        this.force = Boolean(opts.force);
+        this._entries = {};
+        this._previousEntries = {};
+    }
+
+    /**
+     * Creates a hash for an arbitrary set of values. Objects are hashed by value, not by identity.
+     *
+     * @param {...*} values - The values to hash.
+     * @return {string} The hash.
+     */
+    static hash(...values) {
+        const hash = crypto.createHash('sha256');
+
+        for (const value of values) {
+            hash.update(stableStringify(value));
+            hash.update('\0');
+        }
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Creates a hash for a ticket, based on the ticket's view name and data, plus the template
+     * version.
+     *
+     * @param {module:lib/ticket} ticket - The ticket to hash.
+     * @return {string} The hash.
+     */
+    static hashTicket({ data, viewName }) {
+        return BuildCache.hash(TEMPLATE_VERSION, viewName, data);
+    }
+
+    /**
+     * Checks whether a copied file is up to date. A file is up to date if the copy exists, is the
+     * same size as the original, and is at least as new as the original.
+     *
+     * @param {string} source - The path to the original file.
+     * @param {string} outputFile - The path to the copy.
+     * @return {boolean} `true` if the copy is up to date; otherwise, `false`.
+     */
+    isCopyCurrent(source, outputFile) {
+        let outputStats;
+        let sourceStats;
+
+        if (this.force) {
+            return false;
+        }
+
+        try {
+            sourceStats = fs.statSync(source);
+            outputStats = fs.statSync(outputFile);
+        } catch (e) {
+            return false;
+        }
+
+        return outputStats.size === sourceStats.size &&
+            outputStats.mtimeMs >= sourceStats.mtimeMs;
+    }
+
+    /**
+     * Checks whether an output file is up to date. A file is up to date if it exists and if its
+     * hash has not changed since the previous build.
+     *
+     * Calling this method also records the hash for the next build.
+     *
+     * @param {string} url - The URL of the output file, relative to the output directory.
+     * @param {string} outputFile - The path to the output file.
+     * @param {string} hash - The current hash for the output file.
+     * @return {boolean} `true` if the output file is up to date; otherwise, `false`.
+     */
+    isCurrent(url, outputFile, hash) {
+        this._entries[url] = hash;
+
+        if (this.force || this._previousEntries[url] !== hash) {
+            return false;
+        }
+
+        return fs.existsSync(outputFile);
+    }
+
+    /**
+     * Loads the cache from the previous build, unless the cache is missing, the fingerprint has
+     * changed, or a full rebuild was requested.
+     *
+     * @return {module:lib/build-cache} The build cache.
+     */
+    load() {
+        let cached;
+
+        this._previousEntries = {};
+        if (this.force || !fs.existsSync(this.filepath)) {
+            return this;
+        }
+
+        try {
+            cached = fs.readJsonSync(this.filepath);
+        } catch (e) {
+            log.warn(`Ignoring the unreadable build cache ${this.filepath}: ${e.message}`);
+
+            return this;
+        }
+
+        if (cached && cached.format === CACHE_FORMAT && cached.fingerprint === this.fingerprint) {
+            this._previousEntries = cached.entries || {};
+        }
+
+        return this;
+    }
+
+    /**
+     * Saves the hashes from the current build. Output files that were not generated in the
+     * current build are dropped from the cache.
+     */
+    save() {
+        fs.outputJsonSync(this.filepath, {
+            entries: this._entries,
+            fingerprint: this.fingerprint,
+            format: CACHE_FORMAT
+        });
+    }
+}
+
+BuildCache.CACHE_FILENAME = CACHE_FILENAME;
+
+module.exports = BuildCache;
@@ -19,6 +19,7 @@ const FileInfo = require('./file-info');
 const fs = require('fs-extra');
 const glob = require('fast-glob');
 const { log } = require('@jsdoc/util');
+const { OUTPUT_FORMATS, SORT_ORDERS } = require('./enums');
 const path = require('path');
 const stripJsonComments = require('strip-json-comments');
 
@@ -33,14 +34,63 @@ function findStaticFiles() {
     return globbed.map(globbedPath => new FileInfo(parentPath, globbedPath));
 }
 
+// Fills in the default values for the options in an object, at every level. Arrays and other values
+// replace the default value.
+function mergeDefaults(value, defaultValue) {
+    const merged = {};
+
+    if (!_.isPlainObject(value) || !_.isPlainObject(defaultValue)) {
+        return value === undefined ? defaultValue : value;
+    }
+
+    for (const key of _.union(Object.keys(defaultValue), Object.keys(value))) {
+        merged[key] = mergeDefaults(value[key], defaultValue[key]);
+    }
+
+    return merged;
+}
+
 const DEFAULT_FILE_EXTENSION = '.html';
+const MARKDOWN_FILE_EXTENSION = '.md';
+// Settings that contain a group of options. If the user sets some of the options, including
+// nested options, the other options keep their default values.
+const OPTION_GROUPS = [
+    'apiChanges',
+    'components',
+    'coverage',
+    'filter',
+    'incremental',
+    'inheritedMembers',
+    'jsonApi',
+    'linkChecker',
+    'linkInventory',
+    'lint',
+    'search',
+    'since',
+    'versions'
+];
 
 const defaultConfig = {
+    apiChanges: {
+        previous: ''
+    },
+    baseUrl: '',
     beautify: true,
+    coverage: {
+        generate: false,
+        thresholds: {
+            params: 0,
+            returns: 0,
+            symbols: 0
+        }
+    },
     cssClassMap: path.resolve(__dirname, '..', 'styles', 'classmap.json'),
     cssClassPrefix: '!',
     components: {
+        breadcrumbs: true,
         footer: true,
+        hierarchy: true,
+        search: true,
         summary: true
     },
     encoding: 'utf-8', // written to <meta> tag in HTML files
@@ -48,15 +98,60 @@ const defaultConfig = {
         links: DEFAULT_FILE_EXTENSION,
         outputFiles: DEFAULT_FILE_EXTENSION
     },
+    filter: {
+        exclude: [],
+        include: []
+    },
     helpers: {
         filters: path.resolve(__dirname, 'filters')
     },
+    highlighter: '',
+    incremental: {
+        enabled: false,
+        force: false
+    },
+    inheritedMembers: {
+        display: 'inline'
+    },
+    inlineTags: {},
+    jsonApi: {
+        generate: false
+    },
     l10n: path.resolve(__dirname, '..', 'lang'),
+    lint: {
+        enabled: false,
+        rules: {
+            'empty-description': 'warn',
+            'empty-example': 'warn',
+            'missing-returns': 'warn',
+            'param-mismatch': 'warn',
+            'unresolved-link': 'warn'
+        },
+        suppress: {}
+    },
+    linkChecker: {
+        enabled: false,
+        failOnError: false
+    },
+    linkInventory: {
+        generate: true,
+        imports: []
+    },
     locale: 'en',
     markdown: true,
     modules: [
         __dirname
     ],
+    outputDirectories: {},
+    outputFormat: OUTPUT_FORMATS.HTML,
+    renderWorkers: 0,
+    search: {
+        shardThreshold: 2000
+    },
+    since: {
+        labelNew: false
+    },
+    sort: SORT_ORDERS.ALPHABETICAL,
     sourceFiles: {
         generate: true,
         singleLink: true
@@ -65,6 +160,9 @@ const defaultConfig = {
     tables: {
         nestedPropertyTables: true
     },
+    versions: {
+        current: ''
+    },
     views: []
 };
 
@@ -91,7 +189,9 @@ class Config {
     }
 
     loadSync(configPath, templatePath) {
+        let defaultExtensions;
         let tempConfig;
+        let userExtensions;
 
         if (this._config !== null) {
             return this;
@@ -106,7 +206,20 @@ class Config {
             tempConfig = configPath;
         }
 
+        userExtensions = tempConfig ? tempConfig.extensions : undefined;
         this._config = _.defaults(tempConfig || {}, this.defaultConfig);
+        for (const key of OPTION_GROUPS) {
+            this._config[key] = mergeDefaults(this._config[key], this.defaultConfig[key]);
+        }
+
+        // Markdown output gets Markdown file extensions, unless the user chose other extensions.
+        defaultExtensions = this._config.outputFormat === OUTPUT_FORMATS.MARKDOWN ?
+            {
+                links: MARKDOWN_FILE_EXTENSION,
+                outputFiles: MARKDOWN_FILE_EXTENSION
+            } :
+            this.defaultConfig.extensions;
+        this._config.extensions = mergeDefaults(userExtensions, defaultExtensions);
 
         this._config.l10nFile = this._config.l10nFile || `${this._config.locale}.yaml`;
         this._config.templatePath = templatePath;
@@ -0,0 +1,165 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/core-docs */
+
+const { CATEGORIES, OUTPUT_FILE_CATEGORIES } = require('./enums');
+const { db } = require('./db');
+const { getHierarchy, indexSubtypes } = require('./hierarchy');
+const { name } = require('@jsdoc/core');
+const { default: ow } = require('ow');
+
+const DISPLAY_GROUPED = 'grouped';
+const DISPLAY_HIDDEN = 'hidden';
+const DISPLAY_INLINE = 'inline';
+
+// Categories whose pages include a hierarchy diagram.
+const HIERARCHY_CATS = [
+    CATEGORIES.CLASSES,
+    CATEGORIES.INTERFACES
+];
+const MODULE_CAT = CATEGORIES.MODULES;
+
+// Finds the longname of the symbol that an inherited member was originally defined on.
+function getOrigin(doclet, docletsByLongname) {
+    const inherits = doclet.inherits;
+    const original = inherits ? docletsByLongname[inherits] : null;
+
+    if (original && original.memberof) {
+        return original.memberof;
+    }
+
+    return inherits ? name.toParts(inherits).memberof || null : null;
+}
+
+// Groups inherited members by the symbol that they came from. The groups are sorted so that the
+// nearest ancestor comes first.
+function groupInheritedMembers(doclets, docletsByLongname, hierarchy) {
+    const groups = new Map();
+    const order = hierarchy ?
+        hierarchy.augments.concat(hierarchy.ancestors.slice().reverse()) :
+        [];
+
+    for (const doclet of doclets) {
+        const origin = getOrigin(doclet, docletsByLongname);
+
+        if (!groups.has(origin)) {
+            groups.set(origin, []);
+        }
+        groups.get(origin).push(doclet);
+    }
+
+    return [...groups.keys()]
+        .sort((a, b) => {
+            const aIndex = order.includes(a) ? order.indexOf(a) : order.length;
+            const bIndex = order.includes(b) ? order.indexOf(b) : order.length;
+
+            if (aIndex !== bIndex) {
+                return aIndex - bIndex;
+            }
+
+            return String(a).localeCompare(String(b));
+        })
+        .map(longname => ({
+            longname,
+            members: db({ values: groups.get(longname) }).categorize().value()
+        }));
+}
+
+function shouldGenerate(category, categorized) {
+    if (!OUTPUT_FILE_CATEGORIES.includes(category)) {
+        return false;
+    }
+
+    // If there's a module with the same longname, and we're not looking at modules right now, don't
+    // generate output.
+    // TODO: Do we discard the extraneous doclets before we get here? If so, remove this check.
+    if (category !== MODULE_CAT && categorized[MODULE_CAT] && categorized[MODULE_CAT].length) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Gets the data for each page of core docs; that is, each page that documents a class, module,
+ * namespace, or other symbol that gets its own output file.
+ *
+ * @param {Object} ctx - The context for the current task.
+ * @return {Array<Object>} Information about each page, with the properties `data` (the data that
+ * is passed to the view), `longname`, and `url`. For classes and interfaces, `data` also includes
+ * a `hierarchy` object, as returned by {@link module:lib/hierarchy.getHierarchy}.
+ *
+ * If the template configuration property `inheritedMembers.display` is set to `grouped`, the
+ * `members` data includes only the symbol's own members, and `data` includes an
+ * `inheritedMembers` array. Each item in the array has the `longname` of an ancestor, plus the
+ * `members` that were inherited from that ancestor. If the property is set to `hidden`, inherited
+ * members are omitted.
+ */
+exports.getCoreDocs = ctx => {
+    const allDoclets = ctx.doclets;
+    const docletsByLongname = ctx.allDocletsByLongname || {};
+    const display = (ctx.templateConfig.inheritedMembers || {}).display || DISPLAY_INLINE;
+    const pages = [];
+    const subtypes = indexSubtypes(allDoclets.value());
+
+    ow(display, ow.string.oneOf([DISPLAY_GROUPED, DISPLAY_HIDDEN, DISPLAY_INLINE]));
+
+    for (const longname of Object.keys(ctx.needsOutputFile)) {
+        const doclets = allDoclets
+            .filter(d => d.longname === longname)
+            .categorize()
+            .value();
+        const memberOfDoclets = allDoclets.filter(d => d.memberof === longname);
+        const inheritedDoclets = display === DISPLAY_GROUPED ?
+            memberOfDoclets.filter(d => d.inherited).value() :
+            [];
+        const members = display === DISPLAY_INLINE ?
+            memberOfDoclets.categorize().value() :
+            memberOfDoclets.filter(d => !d.inherited).categorize().value();
+
+        // TODO: What happens here if you have incorrect/weird input (for example, two doclets
+        // with the same longname, but one is a class and the other is an interface)?
+        for (const category of Object.keys(doclets)) {
+            if (!shouldGenerate(category, doclets)) {
+                continue;
+            }
+
+            const data = {
+                docs: doclets[category],
+                members,
+                pageCategory: category,
+                pageTitle: name.stripNamespace(name.toParts(longname).name),
+                pageTitlePrefix: ctx.pageTitlePrefix
+            };
+
+            if (HIERARCHY_CATS.includes(category)) {
+                data.hierarchy = getHierarchy(doclets[category][0], docletsByLongname, subtypes);
+            }
+            if (inheritedDoclets.length) {
+                data.inheritedMembers = groupInheritedMembers(inheritedDoclets, docletsByLongname,
+                    data.hierarchy);
+            }
+
+            pages.push({
+                data,
+                longname,
+                url: ctx.linkManager.getUri(longname)
+            });
+        }
+    }
+
+    return pages;
+};
@@ -13,9 +13,108 @@
     See the License for the specific language governing permissions and
     limitations under the License.
 */
-const { KIND_TO_CATEGORY } = require('./enums');
+const escape = require('escape-string-regexp');
+const { KIND_TO_CATEGORY, SORT_ORDERS } = require('./enums');
 const lodash = require('lodash');
 const { default: ow } = require('ow');
+const path = require('path');
+
+// Gets the value of a doclet's `@order` tag, which JSDoc treats as an unknown tag.
+function getOrderTag({ tags }) {
+    const tag = (tags || []).find(({ title }) => title === 'order');
+    const order = tag ? Number(tag.value) : NaN;
+
+    return Number.isNaN(order) ? undefined : order;
+}
+
+// The keys that `sortOn` uses for each sort order. Every sort order ends with the keys for the
+// alphabetical order, so that the result is stable.
+const ALPHABETICAL_KEYS = ['longname', 'version', 'since'];
+const SORT_KEYS = {
+    [SORT_ORDERS.ALPHABETICAL]: ALPHABETICAL_KEYS,
+    [SORT_ORDERS.KIND]: ['kind'].concat(ALPHABETICAL_KEYS),
+    [SORT_ORDERS.ORDER]: [getOrderTag].concat(ALPHABETICAL_KEYS),
+    [SORT_ORDERS.SOURCE]: ['meta.path', 'meta.filename', 'meta.lineno'].concat(ALPHABETICAL_KEYS)
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Compares two values. Missing values come after everything else.
+function compareValues(a, b) {
+    if (isMissing(a) || isMissing(b)) {
+        return Number(isMissing(a)) - Number(isMissing(b));
+    }
+    if (a > b) {
+        return 1;
+    }
+    if (a < b) {
+        return -1;
+    }
+
+    return 0;
+}
+
+// Converts a pattern, like `module:foo.*`, to a regular expression. `*` matches any characters.
+function globToRegExp(pattern) {
+    return new RegExp(`^${pattern.split('*').map(part => escape(part)).join('.*')}$`);
+}
+
+// Gets the path to a doclet's source file, relative to the current working directory.
+function getSourcePath({ meta }) {
+    if (!meta || !meta.filename) {
+        return null;
+    }
+
+    return path.relative(process.cwd(), path.resolve(meta.path || '', meta.filename))
+        .replace(/\\/g, '/');
+}
+
+// Checks whether a doclet matches every condition in a filter rule.
+function matchesRule(rule, doclet) {
+    const sourcePath = rule.path ? getSourcePath(doclet) : null;
+
+    if (rule.kind && doclet.kind !== rule.kind) {
+        return false;
+    }
+    if (rule.longname && !globToRegExp(rule.longname).test(doclet.longname || '')) {
+        return false;
+    }
+    if (rule.path && (!sourcePath || !globToRegExp(rule.path).test(sourcePath))) {
+        return false;
+    }
+    // Custom tags, like `@internal`, are in the `tags` array. Other tags, like `@deprecated`, are
+    // doclet properties.
+    if (rule.tag && doclet[rule.tag] === undefined &&
+        !(doclet.tags || []).some(({ title }) => title === rule.tag)) {
+        return false;
+    }
+
+    return true;
+}
+
+// Checks whether a doclet, or one of the symbols that it belongs to, matches any of the rules.
+function matchesAnyRule(rules, doclet, docletsByLongname) {
+    const seen = new Set();
+    let candidates = [doclet];
+
+    while (candidates.length) {
+        const memberof = candidates[0].memberof;
+
+        if (candidates.some(d => rules.some(rule => matchesRule(rule, d)))) {
+            return true;
+        }
+        if (!memberof || seen.has(memberof)) {
+            break;
+        }
+
+        seen.add(memberof);
+        candidates = docletsByLongname.get(memberof) || [];
+    }
+
+    return false;
+}
 
 function pruner(access, doclet) {
     // By default, we remove:
@@ -78,38 +177,78 @@ exports.mixins = {
 
         return categorized;
     },
-    prune: (_, config, doclets) => {
+    // The optional `filter` has `include` and `exclude` arrays of rules. Each rule can have a
+    // `kind`, a `longname` pattern, a source `path` pattern, and a `tag` name; a doclet matches the
+    // rule if it matches all of them. If there are `include` rules, only the doclets that match
+    // one of them are kept. Doclets that match an `exclude` rule are removed. The members of a
+    // symbol are treated the same way as the symbol. Packages are never removed by the rules.
+    prune: (_, config, doclets, filter) => {
         const access = (config && config.opts && config.opts.access) ? config.opts.access : null;
+        const docletsByLongname = new Map();
+        const exclude = (filter && filter.exclude) || [];
+        const include = (filter && filter.include) || [];
+        const ruleShape = ow.object.nonEmpty.exactShape({
+            kind: ow.optional.string,
+            longname: ow.optional.string,
+            path: ow.optional.string,
+            tag: ow.optional.string
+        });
+
+        ow(exclude, ow.array.ofType(ruleShape));
+        ow(include, ow.array.ofType(ruleShape));
 
         if (access) {
             _.remove(doclets, d => pruner(access, d));
         }
 
+        if (exclude.length || include.length) {
+            for (const doclet of doclets) {
+                if (!docletsByLongname.has(doclet.longname)) {
+                    docletsByLongname.set(doclet.longname, []);
+                }
+                docletsByLongname.get(doclet.longname).push(doclet);
+            }
+            _.remove(doclets, d => d.kind !== 'package' &&
+                ((include.length && !matchesAnyRule(include, d, docletsByLongname)) ||
+                matchesAnyRule(exclude, d, docletsByLongname)));
+        }
+
         return doclets;
     },
+    // Each key is either the path to a doclet property, such as `meta.lineno`, or a function that
+    // receives a doclet and returns the value to sort on. The first key takes precedence.
     sortOn: (_, _config, doclets, keys) => {
-        doclets.sort((a, b) => {
-            const k = keys.slice();
-            let result = 0;
+        const getters = keys.map(key => (typeof key === 'function' ? key : d => _.get(d, key)));
 
-            while (k.length) {
-                const key = k.pop();
+        doclets.sort((a, b) => {
+            for (const getter of getters) {
+                const result = compareValues(getter(a), getter(b));
 
-                if (a[key] > b[key] || (b[key] && !a[key])) {
-                    result = 1;
-                }
-                if (a[key] < b[key] || (a[key] && !b[key])) {
-                    result = -1;
+                if (result) {
+                    return result;
                 }
             }
 
-            return result;
+            return 0;
         });
 
         return doclets;
     }
 };
 
+/**
+ * Gets the keys that the `sortOn` mixin uses to sort doclets in the specified order.
+ *
+ * @param {string} sortOrder - The sort order: `alphabetical`, `kind`, `order` (by the value of
+ * each doclet's `@order` tag), or `source` (by source file and line number).
+ * @return {Array<(string|function)>} The keys to sort on.
+ */
+exports.getSortKeys = sortOrder => {
+    ow(sortOrder, ow.string.oneOf(Object.values(SORT_ORDERS)));
+
+    return SORT_KEYS[sortOrder];
+};
+
 exports.db = ({ config, mixins = exports.mixins, values }) => {
     ow(config, ow.optional.object);
     if (config) {
@@ -16,11 +16,39 @@
 const path = require('path');
 const t = require('./tasks');
 
+const LINK_INVENTORY_URL = 'jsdoc-inventory.json';
+
 module.exports = {
+    // Runs after every task that writes output files.
+    checkLinks: new t.CheckLinks({
+        name: 'checkLinks',
+        dependsOn: [
+            'copyStaticFiles',
+            'generateApiChanges',
+            'generateCoreDocs',
+            'generateCoverage',
+            'generateDeprecatedApis',
+            'generateGlobals',
+            'generateIndex',
+            'generateJsonApi',
+            'generateLinkInventory',
+            'generateSearchIndex',
+            'generateSinceIndex',
+            'generateSourceFiles',
+            'generateSourceIndex',
+            'generateToc',
+            'generateTutorials'
+        ]
+    }),
     copyStaticFiles: new t.CopyStaticFiles({
         name: 'copyStaticFiles',
         dependsOn: ['setContext']
     }),
+    generateApiChanges: new t.GenerateApiChanges({
+        name: 'generateApiChanges',
+        dependsOn: ['setContext'],
+        jsonUrl: 'api-changes.json'
+    }),
     generateCoreDocs: new t.GenerateCoreDocs({
         name: 'generateCoreDocs',
         dependsOn: [
@@ -28,6 +56,15 @@ module.exports = {
             'setContext'
         ]
     }),
+    generateCoverage: new t.GenerateCoverage({
+        name: 'generateCoverage',
+        dependsOn: ['setContext'],
+        jsonUrl: 'coverage.json'
+    }),
+    generateDeprecatedApis: new t.GenerateDeprecatedApis({
+        name: 'generateDeprecatedApis',
+        dependsOn: ['setContext']
+    }),
     generateGlobals: new t.GenerateGlobals({
         name: 'generateGlobals',
         dependsOn: [
@@ -39,15 +76,52 @@ module.exports = {
         name: 'generateIndex',
         dependsOn: ['setContext']
     }),
+    generateJsonApi: new t.GenerateJsonApi({
+        name: 'generateJsonApi',
+        dependsOn: ['setContext'],
+        url: path.join('api', 'index.json')
+    }),
+    generateLinkInventory: new t.GenerateLinkInventory({
+        name: 'generateLinkInventory',
+        dependsOn: ['setContext'],
+        url: LINK_INVENTORY_URL
+    }),
+    generateSearchIndex: new t.GenerateSearchIndex({
+        name: 'generateSearchIndex',
+        dependsOn: ['setContext'],
+        url: path.join('scripts', 'jsdoc-search-index.js')
+    }),
+    generateSinceIndex: new t.GenerateSinceIndex({
+        name: 'generateSinceIndex',
+        dependsOn: ['setContext']
+    }),
     generateSourceFiles: new t.GenerateSourceFiles({
         name: 'generateSourceFiles',
         dependsOn: ['setContext']
     }),
+    generateSourceIndex: new t.GenerateSourceIndex({
+        name: 'generateSourceIndex',
+        dependsOn: ['setContext']
+    }),
     generateToc: new t.GenerateToc({
         name: 'generateToc',
         dependsOn: ['setContext'],
         url: path.join('scripts', 'jsdoc-toc.js')
     }),
+    generateTutorials: new t.GenerateTutorials({
+        name: 'generateTutorials',
+        dependsOn: ['setContext']
+    }),
+    generateVersionManifest: new t.GenerateVersionManifest({
+        name: 'generateVersionManifest',
+        dependsOn: ['setContext'],
+        inventoryUrl: LINK_INVENTORY_URL,
+        url: 'versions.json'
+    }),
+    lintDoclets: new t.LintDoclets({
+        name: 'lintDoclets',
+        dependsOn: ['setContext']
+    }),
     setContext: new t.SetContext({
         name: 'setContext'
     })
@@ -17,12 +17,13 @@
 
 const _ = require('lodash');
 const commonPathPrefix = require('common-path-prefix');
+const { db, getSortKeys } = require('./db');
 const helper = require('jsdoc/util/templateHelper');
 const { log } = require('@jsdoc/util');
 const path = require('path');
 const SymbolTracker = require('./symboltracker');
 
-const { CATEGORIES, KIND_TO_CATEGORY } = require('./enums');
+const { CATEGORIES, KIND_TO_CATEGORY, SORT_ORDERS } = require('./enums');
 
 const hasOwnProp = Object.prototype.hasOwnProperty;
 
@@ -89,7 +90,7 @@ module.exports = class DocletHelper {
         return this;
     }
 
-    addDoclets(taffyData) {
+    addDoclets(taffyData, sortOrder = SORT_ORDERS.ALPHABETICAL) {
         let doclet;
         let doclets;
         let exported;
@@ -98,11 +99,12 @@ module.exports = class DocletHelper {
         let j;
         let jj;
 
-        // TODO: make these steps configurable (especially sorting!)
+        // TODO: make pruning configurable
         helper.prune(taffyData);
-        taffyData.sort('longname, version, since');
 
-        doclets = this.allDoclets = taffyData().get();
+        doclets = this.allDoclets = db({ values: taffyData().get() })
+            .sortOn(getSortKeys(sortOrder))
+            .value();
 
         for (i = 0, ii = doclets.length; i < ii; i++) {
             this._categorize(doclets[i])
@@ -27,6 +27,7 @@ const CATEGORIES = exports.CATEGORIES = {
     PACKAGES: 'packages',
     PROPERTIES: 'properties',
     SOURCES: 'sources',
+    TUTORIALS: 'tutorials',
     TYPEDEFS: 'typedefs'
 };
 
@@ -77,3 +78,17 @@ exports.OUTPUT_FILE_KINDS = OUTPUT_FILE_CATEGORIES.reduce(
     (accumulator, current) => accumulator.concat(CATEGORY_TO_KIND[current]),
     []
 );
+
+// Formats for the generated output files.
+exports.OUTPUT_FORMATS = {
+    HTML: 'html',
+    MARKDOWN: 'markdown'
+};
+
+// Orders for sorting the doclets.
+exports.SORT_ORDERS = {
+    ALPHABETICAL: 'alphabetical',
+    KIND: 'kind',
+    ORDER: 'order',
+    SOURCE: 'source'
+};
@@ -17,6 +17,8 @@ const _ = require('lodash');
 const catharsis = require('catharsis');
 const { escape } = require('html-escaper');
 const escapeRegexp = require('escape-string-regexp');
+const { renderSvg } = require('./hierarchy');
+const { linkWord } = require('./highlighter');
 const { listMethods } = require('./list-methods');
 const markdown = require('./markdown');
 const { name } = require('@jsdoc/core');
@@ -25,8 +27,16 @@ const { SafeString } = require('nunjucks').runtime;
 const spdxLicenses = require('spdx-license-list');
 
 const ENUMS = require('./enums');
+// Characters that have a special meaning in Markdown text.
+const MARKDOWN_SPECIAL_CHARS = /([\\`*_[\]<>|])/g;
 const MIN_HEADING_LEVEL = 1;
 const MAX_HEADING_LEVEL = 6;
+// Helpers that need to track state for the duration of a single render.
+const RENDER_STATE_HELPERS = [
+    'decrementHeading',
+    'headingLevel',
+    'incrementHeading'
+];
 const SCOPE_PUNC_VALUES = _.values(name.SCOPE_TO_PUNC).join('');
 const LEADING_SCOPE_PUNC = new RegExp(`^([${escapeRegexp(SCOPE_PUNC_VALUES)}])`);
 const SOFT_BREAK_AFTER = (() => {
@@ -34,6 +44,9 @@ const SOFT_BREAK_AFTER = (() => {
 
     return new RegExp(`([${escapeRegexp(values)}])`, 'g');
 })();
+// Names within a type expression, like `Array` and `module:foo.Bar` in `Array.<module:foo.Bar>`.
+// When you split a string on this regexp, the names are at the odd indexes.
+const TYPE_NAME = /([\w$#~:/-]+(?:\.[\w$#~:/-]+)*)/;
 
 function basicLink(item, linkManager, opts = {}) {
     if (opts.linkText) {
@@ -44,6 +57,24 @@ function basicLink(item, linkManager, opts = {}) {
     return new SafeString(linkManager.createLink(item, opts));
 }
 
+// Nunjucks calls filters and global functions with `this` set to the render context. Pass the
+// render context's `renderState` to the helper, or the fallback state if there is no render context.
+function bindRenderStateHelper(filters, methodName) {
+    /**
+     * @this {nunjucks.Context}
+     * @return {*} The helper's return value.
+     */
+    return function() {
+        const renderState = this && this.ctx && this.ctx.renderState;
+
+        return filters[methodName](renderState || filters._renderState);
+    };
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(MARKDOWN_SPECIAL_CHARS, '\\$1');
+}
+
 function fakeMarkdown(text) {
     // If the text uses standalone <p> tags to delimit paragraphs, Javadoc-style, fix them up.
     if (/<p>/.test(text) && !/<\/p>/.test(text)) {
@@ -135,6 +166,10 @@ function getCatharsisOptions(template) {
     };
 }
 
+function getHeadingLevel(renderState) {
+    return renderState.headingLevel || MIN_HEADING_LEVEL;
+}
+
 function jsdocVersion() {
     // TODO: Add a real value after we're able to plumb it through to the template.
     return '';
@@ -194,10 +229,13 @@ function typeUnion(types) {
 
 exports.Filters = class Filters {
     constructor(template) {
-        this._headingLevel = 1;
+        // Fallback for helpers that are called outside of a render.
+        this._renderState = {};
         this._template = template;
         this._linkManager = template.linkManager;
-        this._markdownParser = template.config.markdown ? markdown.getParser() : fakeMarkdown;
+        this._markdownParser = template.config.markdown ?
+            markdown.getParser({ highlighter: template.config.highlighter }) :
+            fakeMarkdown;
     }
 
     /**
@@ -253,6 +291,81 @@ exports.Filters = class Filters {
         return path.basename(String(filepath), extension);
     }
 
+    /**
+     * Gets the breadcrumbs for a page, not including the link to the package. Each breadcrumb is an
+     * object with the properties `text` and `url`. The `url` is `null` for the current page and
+     * for any breadcrumb that does not have a page of its own.
+     *
+     * The breadcrumbs depend on the page category:
+     *
+     * + For source files, the breadcrumbs follow the directory path of the file's short path. For
+     * example, given the short path `foo/bar/baz.js`, this method returns breadcrumbs for `foo`,
+     * `bar`, and `baz.js`.
+     * + For the globals page, there is a single breadcrumb for the page itself.
+     * + For all other categories, the breadcrumbs are the longname's ancestors, followed by the
+     * longname itself. For example, given the longname `module:foo/bar.Baz`, this method returns
+     * breadcrumbs for `foo/bar` (with a link) and `Baz`.
+     *
+     * @param {?string} category - The page category (for example, `classes` or `sources`).
+     * @param {?string} id - For source files, the short path to the file. For other pages, the
+     * longname of the symbol that the page documents.
+     * @return {Array<Object>} The breadcrumbs for the page.
+     */
+    breadcrumbs(category, id) {
+        let crumbs;
+
+        if (category === ENUMS.CATEGORIES.GLOBALS) {
+            return [{
+                text: this._template.translate('breadcrumbs.globals'),
+                url: null
+            }];
+        }
+
+        if (!category || !id) {
+            return [];
+        }
+
+        if (category === ENUMS.CATEGORIES.SOURCES) {
+            return String(id).split('/')
+                .filter(segment => segment.length)
+                .map(segment => ({
+                    text: segment,
+                    url: null
+                }));
+        }
+
+        crumbs = getAncestors(id)
+            // Skip the scope punctuation.
+            .filter(ancestor => !(ancestor.length === 1 && SCOPE_PUNC_VALUES.includes(ancestor)))
+            .map(ancestor => ({
+                text: name.stripNamespace(name.toParts(ancestor).name),
+                url: this._linkManager.getUri(ancestor) || null
+            }));
+        crumbs.push({
+            text: name.stripNamespace(name.toParts(id).name),
+            url: null
+        });
+
+        return crumbs;
+    }
+
+    /**
+     * Wraps code in a fenced Markdown code block. The fence is long enough that it cannot be
+     * confused with any backticks in the code itself.
+     *
+     * @param {string} code - The code to wrap.
+     * @param {?string} language - The language of the code (for example, `js`).
+     * @return {string} The fenced code block.
+     */
+    codeBlock(code, language) {
+        const backticks = String(code || '').match(/`+/g) || [];
+        const fence = '`'.repeat(Math.max(3, ...backticks.map(str => str.length + 1)));
+
+        return new SafeString(
+            `${fence}${language || ''}\n${String(code || '').replace(/\n$/, '')}\n${fence}`
+        );
+    }
+
     /**
      * Gets the value of the specified key in the template configuration settings.
      *
@@ -310,11 +423,14 @@ exports.Filters = class Filters {
      * minimum heading level. Added internally by the loader.
      *
      * @private
+     * @param {Object} [renderState] - The state for the current render.
      * @return {string} An empty string.
      */
-    decrementHeading() {
-        if (this._headingLevel > MIN_HEADING_LEVEL) {
-            this._headingLevel--;
+    decrementHeading(renderState = this._renderState) {
+        const level = getHeadingLevel(renderState);
+
+        if (level > MIN_HEADING_LEVEL) {
+            renderState.headingLevel = level - 1;
         }
 
         return '';
@@ -367,11 +483,12 @@ exports.Filters = class Filters {
      * @param {?string} [property=description] - The property of the extended description to
      * retrieve. Ignored unless `format` is set to `extended`.
      * @return {string} A description of the type expression, or of one of the type
-     * expression's modifiers.
+     * expression's modifiers. Known types are linked to their documentation.
      */
     describeType(parsedType, format = 'simple', property = 'description') {
         const catharsisOptions = getCatharsisOptions(this._template);
         let description;
+        let result;
 
         if (!['extended', 'simple'].includes(format)) {
             throw new Error('The describeType filter accepts the options "simple" and ' +
@@ -388,10 +505,24 @@ exports.Filters = class Filters {
         }
 
         if (format === 'extended') {
-            return _.get(description.extended, property);
+            result = _.get(description.extended, property);
         } else {
-            return description.simple;
+            result = description.simple;
         }
+
+        // The description contains HTML links to known types.
+        return typeof result === 'string' ? new SafeString(result) : result;
+    }
+
+    /**
+     * Escapes characters that have a special meaning in Markdown, so that the text is displayed
+     * exactly as written.
+     *
+     * @param {string} text - The text to escape.
+     * @return {string} The escaped text.
+     */
+    escapeMarkdown(text) {
+        return new SafeString(escapeMarkdown(text));
     }
 
     // Remove properties that the user explicitly said to ignore.
@@ -536,10 +667,28 @@ exports.Filters = class Filters {
      * Gets the current heading level. Added internally by the loader.
      *
      * @private
+     * @param {Object} [renderState] - The state for the current render.
      * @return {string} The current heading level.
      */
-    headingLevel() {
-        return this._headingLevel;
+    headingLevel(renderState = this._renderState) {
+        return getHeadingLevel(renderState);
+    }
+
+    /**
+     * Renders an inline SVG diagram of a class's or interface's inheritance hierarchy. Each symbol
+     * in the diagram links to its page, if any.
+     *
+     * @param {Object} hierarchy - The hierarchy data, as returned by
+     * {@link module:lib/hierarchy.getHierarchy}.
+     * @return {string} The SVG diagram, or an empty string if there is no hierarchy data.
+     */
+    hierarchyDiagram(hierarchy) {
+        if (!hierarchy) {
+            return '';
+        }
+
+        return new SafeString(renderSvg(hierarchy, this._linkManager,
+            this._template.translate('hierarchy.label', { name: hierarchy.longname })));
     }
 
     /**
@@ -568,16 +717,33 @@ exports.Filters = class Filters {
      * level. Added internally by the loader.
      *
      * @private
+     * @param {Object} [renderState] - The state for the current render.
      * @return {string} An empty string.
      */
-    incrementHeading() {
-        if (this._headingLevel < MAX_HEADING_LEVEL) {
-            this._headingLevel++;
+    incrementHeading(renderState = this._renderState) {
+        const level = getHeadingLevel(renderState);
+
+        if (level < MAX_HEADING_LEVEL) {
+            renderState.headingLevel = level + 1;
         }
 
         return '';
     }
 
+    /**
+     * Formats Markdown text so that it fits on a single line; for example, in a cell of a Markdown
+     * table. Line breaks are replaced with spaces, and pipe characters are escaped.
+     *
+     * @param {string} text - The Markdown text to format.
+     * @return {string} The formatted text.
+     */
+    inlineMarkdown(text) {
+        return new SafeString(String(text || '')
+            .trim()
+            .replace(/\s*\n\s*/g, ' ')
+            .replace(/\|/g, '\\|'));
+    }
+
     /**
      * Gets the version of JSDoc that is being used (for example, `4.0.0`).
      *
@@ -613,6 +779,8 @@ exports.Filters = class Filters {
      * + Whether the symbol is a constant
      * + Whether the symbol is read-only
      * + Whether the symbol is abstract
+     * + Whether the symbol is new in the current version of the package (only if the
+     * `since.labelNew` config setting is enabled)
      *
      * Labels are sorted alphabetically, with the exception of the label for the symbol's kind,
      * which always comes first.
@@ -641,6 +809,10 @@ exports.Filters = class Filters {
             labels.push(doclet.kind);
         }
 
+        if (this._template.newLongnames.has(doclet.longname)) {
+            labels.push('new');
+        }
+
         if (doclet.readonly) {
             labels.push('readonly');
         }
@@ -735,6 +907,39 @@ exports.Filters = class Filters {
         }));
     }
 
+    /**
+     * Adds links to the documentation for the symbols that are declared on a line of a
+     * pretty-printed source file. The name of each symbol links to its documentation, and a marker
+     * in the gutter links to the documentation for the first symbol.
+     *
+     * @param {string} line - The highlighted HTML for the line.
+     * @param {?Array<Object>} declarations - The symbols that are declared on the line. Each item
+     * has a `longname` and a `name`.
+     * @return {string} The HTML for the line, with links.
+     */
+    linkDeclarations(line, declarations) {
+        let gutterLink = '';
+
+        for (const { longname, name: symbolName } of declarations || []) {
+            const url = this._linkManager.getUri(longname, { includeFragmentId: true });
+            const attributes = `href="${escape(url)}" title="${escape(longname)}"`;
+
+            if (!url) {
+                continue;
+            }
+
+            if (!gutterLink) {
+                gutterLink = `<a ${attributes}${this.cssClass('!source-gutter-link')} ` +
+                    `aria-label="${escape(this._template.translate('sourceView.docsLink', {
+                        name: longname
+                    }))}"></a>`;
+            }
+            line = linkWord(line, symbolName, attributes);
+        }
+
+        return new SafeString(gutterLink + line);
+    }
+
     /**
      * Links to the symbol represented by a doclet, using the symbol's longname and complete
      * signature as the link text.
@@ -786,8 +991,9 @@ exports.Filters = class Filters {
         let linkText;
         const monospace = Boolean(options.monospace);
 
-        // Don't add a fragment ID if we're linking to the start of the file.
-        if (lineno > 1) {
+        // Don't add a fragment ID if we're linking to the start of the file, or if the source file
+        // is in Markdown, which has no line anchors.
+        if (lineno > 1 && this._template.config.outputFormat !== ENUMS.OUTPUT_FORMATS.MARKDOWN) {
             fragmentId = `source-line-${lineno}`;
         }
 
@@ -956,6 +1162,9 @@ exports.Filters = class Filters {
      * Registers all of this object's instance methods as filters and global functions within a
      * `nunjucks.Environment`. Called during template setup.
      *
+     * Helpers that track state during a render, such as the current heading level, receive the
+     * `renderState` object that {@link module:lib/template#render} adds to the render context.
+     *
      * @private
      * @param {module:nunjucks.Environment} renderEnv - The rendering environment in which to
      * register the filters and global functions.
@@ -965,7 +1174,11 @@ exports.Filters = class Filters {
         const filters = listMethods(this, { includePrivate: true });
 
         for (const filter of filters) {
-            bound = _.bind(this[filter], this);
+            if (RENDER_STATE_HELPERS.includes(filter)) {
+                bound = bindRenderStateHelper(this, filter);
+            } else {
+                bound = _.bind(this[filter], this);
+            }
             renderEnv.addFilter(filter, bound);
             renderEnv.addGlobal(filter, bound);
         }
@@ -1090,13 +1303,27 @@ exports.Filters = class Filters {
     /**
      * Finds inline `{@link}` tags, and replace them with HTML links. This method also finds and
      * converts variations on these tags that are recognized by JSDoc, including `{@linkplain}` and
-     * `{@linkcode}`.
+     * `{@linkcode}`, plus custom inline tags that are configured with the `inlineTags` setting.
      *
      * @param {string} text - The text that contains inline tags.
+     * @param {Object} [doclet] - The doclet that the text belongs to. Passed to the handlers for
+     * custom inline tags.
      * @return {string} An updated version of the text, with HTML links instead of inline link tags.
      */
-    resolveLinks(text) {
-        return new SafeString(this._linkManager.resolveInlineLinks(text));
+    resolveLinks(text, doclet) {
+        return new SafeString(this._linkManager.resolveInlineLinks(text, { doclet }));
+    }
+
+    /**
+     * Converts a URL that is relative to the root of the generated docs, such as
+     * `css/baseline.css`, to a URL that works from the output file that is being rendered. If the
+     * `baseUrl` config setting is present, the URL starts with the base URL.
+     *
+     * @param {string} url - The URL, relative to the root of the generated docs.
+     * @return {string} The URL to use in the output file.
+     */
+    resolveUrl(url) {
+        return this._linkManager.resolveUri(url);
     }
 
     /**
@@ -1197,6 +1424,35 @@ exports.Filters = class Filters {
         }));
     }
 
+    /**
+     * Converts a parsed type expression back into a type expression, with links to the types that
+     * are documented. Unlike {@link module:lib/filters.Filters#describeType}, this method does not
+     * describe the type in words. For example, given the parsed version of `?Array.<foo.Bar>`, this
+     * method returns `?Array.<foo.Bar>`, where `foo.Bar` is a link.
+     *
+     * The links and the escaping use the template's output format (HTML or Markdown).
+     *
+     * @param {Object} parsedType - A parsed type expression, using the same format as the
+     * [Catharsis](https://github.com/hegemonic/catharsis) type-expression parser.
+     * @return {string} The type expression.
+     */
+    typeExpression(parsedType) {
+        const escapeText = this._template.config.outputFormat === ENUMS.OUTPUT_FORMATS.MARKDOWN ?
+            escapeMarkdown :
+            escape;
+        const expression = parsedType && typeof parsedType === 'object' ?
+            catharsis.stringify(parsedType) :
+            '?';
+
+        return new SafeString(expression.split(TYPE_NAME).map((part, i) => {
+            if (i % 2 === 1 && this._linkManager.getUri(part)) {
+                return this._linkManager.createLink(part);
+            }
+
+            return escapeText(part);
+        }).join(''));
+    }
+
     /**
      * Converts an array of type names into a parsed type expression that represents all of the
      * types as a single type union. For example, the types `string` and `number` are turned into an
@@ -0,0 +1,279 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/hierarchy */
+
+const { escape } = require('html-escaper');
+const { name } = require('@jsdoc/core');
+
+// The maximum number of ancestors to show, in case there's a cycle in the inheritance chain.
+const MAX_ANCESTORS = 10;
+// Sizes, in pixels, for the diagram.
+const CHAR_WIDTH = 7.2;
+const FONT_SIZE = 12;
+const H_GAP = 16;
+const MARGIN = 8;
+const MIN_NODE_WIDTH = 60;
+const NODE_HEIGHT = 28;
+const NODE_PADDING = 10;
+const V_GAP = 36;
+// Styles for each type of node and edge. The styles are inline, so that the diagram doesn't need
+// any stylesheets.
+const NODE_STYLES = {
+    class: 'fill="#fff" stroke="#666"',
+    current: 'fill="#e3f2fd" stroke="#1565c0" stroke-width="2"',
+    interface: 'fill="#fff" stroke="#666" stroke-dasharray="4 2"',
+    mixin: 'fill="#f5f5f5" stroke="#999"'
+};
+const EDGE_STYLES = {
+    augments: 'stroke="#666"',
+    implements: 'stroke="#666" stroke-dasharray="4 2"',
+    mixes: 'stroke="#999" stroke-dasharray="1 2"'
+};
+const ARROW_ID = 'jsdoc-hierarchy-arrow';
+
+function getLabel(longname) {
+    return name.stripNamespace(name.toParts(longname).name) || longname;
+}
+
+function getNodeWidth(longname) {
+    return Math.max(MIN_NODE_WIDTH, Math.ceil(getLabel(longname).length * CHAR_WIDTH) +
+        (NODE_PADDING * 2));
+}
+
+function addToIndex(index, key, longname) {
+    if (!index.has(key)) {
+        index.set(key, []);
+    }
+    if (!index.get(key).includes(longname)) {
+        index.get(key).push(longname);
+    }
+}
+
+/**
+ * Finds the subclasses of each class or interface, and the classes that implement each interface.
+ *
+ * @param {Array<Object>} doclets - All of the doclets.
+ * @return {Object} An object with two properties, `implementations` and `subclasses`. Each
+ * property is a `Map` whose keys are longnames, and whose values are arrays of longnames.
+ */
+exports.indexSubtypes = doclets => {
+    const implementations = new Map();
+    const subclasses = new Map();
+
+    for (const doclet of doclets) {
+        // Inherited symbols are members, not subtypes.
+        if (doclet.inherited || !['class', 'interface'].includes(doclet.kind)) {
+            continue;
+        }
+
+        for (const parent of doclet.augments || []) {
+            addToIndex(subclasses, parent, doclet.longname);
+        }
+        for (const iface of doclet.implements || []) {
+            addToIndex(implementations, iface, doclet.longname);
+        }
+    }
+
+    return {
+        implementations,
+        subclasses
+    };
+};
+
+/**
+ * Gets the data for a hierarchy diagram for a class or interface.
+ *
+ * @param {Object} doclet - The doclet for the class or interface.
+ * @param {Object<string, Object>} docletsByLongname - All of the doclets, keyed by longname.
+ * @param {Object} subtypes - The subtypes of each symbol, as returned by
+ * {@link module:lib/hierarchy.indexSubtypes}.
+ * @return {?Object} The longnames of the symbol's `ancestors` (starting with the root of the
+ * inheritance chain), the symbols that it directly `augments`, the interfaces that it
+ * `implements`, the mixins that it `mixes`, its `subclasses`, and its `implementations`; or `null`
+ * if the symbol is not related to any other symbols.
+ */
+exports.getHierarchy = (doclet, docletsByLongname, subtypes) => {
+    const ancestors = [];
+    const augments = (doclet.augments || []).slice();
+    const hierarchy = {
+        implementations: (subtypes.implementations.get(doclet.longname) || []).slice().sort(),
+        implements: (doclet.implements || []).slice(),
+        longname: doclet.longname,
+        mixes: (doclet.mixes || []).slice(),
+        subclasses: (subtypes.subclasses.get(doclet.longname) || []).slice().sort()
+    };
+    let parent = augments.length ? docletsByLongname[augments[0]] : null;
+
+    // Follow the first parent of each ancestor.
+    while (parent && parent.augments && parent.augments.length &&
+        ancestors.length < MAX_ANCESTORS) {
+        const grandparent = parent.augments[0];
+
+        if (grandparent === doclet.longname || ancestors.includes(grandparent) ||
+            augments.includes(grandparent)) {
+            break;
+        }
+
+        ancestors.unshift(grandparent);
+        parent = docletsByLongname[grandparent];
+    }
+
+    hierarchy.ancestors = ancestors;
+    hierarchy.augments = augments;
+
+    if (!augments.length && !hierarchy.implements.length && !hierarchy.mixes.length &&
+        !hierarchy.subclasses.length && !hierarchy.implementations.length) {
+        return null;
+    }
+
+    return hierarchy;
+};
+
+/**
+ * Renders a hierarchy diagram as an SVG image. The diagram has one row for each ancestor, a row
+ * for the symbol's direct parents, interfaces, and mixins, a row for the symbol itself, and a row
+ * for its subclasses and implementations. Each symbol other than the current symbol links to its
+ * page, if any.
+ *
+ * @param {Object} hierarchy - The data from {@link module:lib/hierarchy.getHierarchy}.
+ * @param {module:lib/link-manager} linkManager - The link manager for the current render.
+ * @param {string} label - The accessible label for the diagram.
+ * @return {string} The SVG image.
+ */
+exports.renderSvg = (hierarchy, linkManager, label) => {
+    const edges = [];
+    const nodes = new Map();
+    const rows = [];
+    let svgWidth = 0;
+    let y = MARGIN;
+
+    const addRow = items => {
+        if (items.length) {
+            rows.push(items);
+        }
+    };
+    const addEdge = (from, to, type) => edges.push({
+        from,
+        to,
+        type
+    });
+
+    addRow(hierarchy.ancestors.map(longname => ({
+        longname,
+        type: 'class'
+    })));
+    addRow([].concat(
+        hierarchy.augments.map(longname => ({
+            longname,
+            type: 'class'
+        })),
+        hierarchy.implements.map(longname => ({
+            longname,
+            type: 'interface'
+        })),
+        hierarchy.mixes.map(longname => ({
+            longname,
+            type: 'mixin'
+        }))
+    ));
+    addRow([{
+        longname: hierarchy.longname,
+        type: 'current'
+    }]);
+    addRow([].concat(
+        hierarchy.subclasses.map(longname => ({
+            longname,
+            type: 'class'
+        })),
+        hierarchy.implementations.map(longname => ({
+            longname,
+            type: 'class'
+        }))
+    ));
+
+    // Lay out each row, then center the rows.
+    for (const row of rows) {
+        let x = 0;
+
+        for (const item of row) {
+            item.width = getNodeWidth(item.longname);
+            item.x = x;
+            item.y = y;
+            x += item.width + H_GAP;
+        }
+        row.width = x - H_GAP;
+        svgWidth = Math.max(svgWidth, row.width);
+        y += NODE_HEIGHT + V_GAP;
+    }
+    for (const row of rows) {
+        const offset = MARGIN + ((svgWidth - row.width) / 2);
+
+        for (const item of row) {
+            item.x += offset;
+            // If the same symbol appears twice, the edges go to the first node.
+            if (!nodes.has(item.longname)) {
+                nodes.set(item.longname, item);
+            }
+        }
+    }
+    svgWidth += MARGIN * 2;
+
+    for (let i = 1; i < hierarchy.ancestors.length; i++) {
+        addEdge(hierarchy.ancestors[i], hierarchy.ancestors[i - 1], 'augments');
+    }
+    if (hierarchy.ancestors.length && hierarchy.augments.length) {
+        addEdge(hierarchy.augments[0], hierarchy.ancestors[hierarchy.ancestors.length - 1],
+            'augments');
+    }
+    hierarchy.augments.forEach(parent => addEdge(hierarchy.longname, parent, 'augments'));
+    hierarchy.implements.forEach(iface => addEdge(hierarchy.longname, iface, 'implements'));
+    hierarchy.mixes.forEach(mixin => addEdge(hierarchy.longname, mixin, 'mixes'));
+    hierarchy.subclasses.forEach(child => addEdge(child, hierarchy.longname, 'augments'));
+    hierarchy.implementations.forEach(child => addEdge(child, hierarchy.longname, 'implements'));
+
+    return [
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+            `role="img" aria-label="${escape(label)}" width="${svgWidth}" ` +
+            `height="${y - V_GAP + MARGIN}" viewBox="0 0 ${svgWidth} ${y - V_GAP + MARGIN}" ` +
+            'style="max-width: 100%; height: auto;">',
+        `<defs><marker id="${ARROW_ID}" viewBox="0 0 10 10" refX="10" refY="5" ` +
+            'markerWidth="10" markerHeight="10" orient="auto-start-reverse">' +
+            '<path d="M 0 0 L 10 5 L 0 10 z" fill="#fff" stroke="#666"/></marker></defs>',
+        ...edges.map(({ from, to, type }) => {
+            const child = nodes.get(from);
+            const parent = nodes.get(to);
+
+            return `<line x1="${child.x + (child.width / 2)}" y1="${child.y}" ` +
+                `x2="${parent.x + (parent.width / 2)}" y2="${parent.y + NODE_HEIGHT}" ` +
+                `${EDGE_STYLES[type]} marker-end="url(#${ARROW_ID})"/>`;
+        }),
+        ...[...nodes.values()].map(({ longname, type, width, x, y: nodeY }) => {
+            const uri = type === 'current' ? null : linkManager.getUri(longname);
+            const node = `<g><title>${escape(longname)}</title>` +
+                `<rect x="${x}" y="${nodeY}" width="${width}" height="${NODE_HEIGHT}" rx="3" ` +
+                `${NODE_STYLES[type]}/>` +
+                `<text x="${x + (width / 2)}" y="${nodeY + (NODE_HEIGHT / 2)}" ` +
+                `font-family="monospace" font-size="${FONT_SIZE}" text-anchor="middle" ` +
+                `dominant-baseline="central"${type === 'current' ? ' font-weight="bold"' : ''}>` +
+                `${escape(getLabel(longname))}</text></g>`;
+
+            return uri ?
+                `<a href="${escape(uri)}" xlink:href="${escape(uri)}">${node}</a>` :
+                node;
+        }),
+        '</svg>'
+    ].join('');
+};
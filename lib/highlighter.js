@@ -0,0 +1,353 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/**
+ * Syntax highlighting for code blocks and source files. The template uses the same highlighter
+ * for both, so that code looks the same everywhere in the docs.
+ *
+ * @module lib/highlighter
+ */
+
+const { escape } = require('html-escaper');
+const escapeRegexp = require('escape-string-regexp');
+const { log } = require('@jsdoc/util');
+const path = require('path');
+
+// Languages that the built-in highlighter understands.
+const JS_LANGUAGES = [
+    'cjs',
+    'javascript',
+    'js',
+    'json',
+    'jsx',
+    'mjs',
+    'ts',
+    'tsx',
+    'typescript'
+];
+const KEYWORDS = new Set([
+    'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for', 'from',
+    'function', 'get', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new',
+    'of', 'package', 'private', 'protected', 'public', 'return', 'set', 'static', 'super',
+    'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+const LITERALS = new Set([
+    'false',
+    'Infinity',
+    'NaN',
+    'null',
+    'true',
+    'undefined'
+]);
+// Each rule matches a token at the current position. The classes are the same ones that
+// `prettify.js` uses, so the existing styles apply.
+const TOKEN_RULES = [
+    {
+        className: null,
+        regexp: /\s+/y
+    },
+    {
+        className: 'com',
+        regexp: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y
+    },
+    {
+        className: 'str',
+        regexp: /'(?:[^'\\\n]|\\[\s\S])*'?|"(?:[^"\\\n]|\\[\s\S])*"?|`(?:[^`\\]|\\[\s\S])*`?/y
+    },
+    {
+        // A regular expression literal can only appear where a value is expected.
+        afterValue: false,
+        className: 'str',
+        regexp: /\/(?![*/])(?:[^/\\\n[]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y
+    },
+    {
+        className: 'lit',
+        regexp: new RegExp([
+            '0[xX][\\da-fA-F_]+n?',
+            '0[bB][01_]+n?',
+            '0[oO][0-7_]+n?',
+            '(?:\\d[\\d_]*\\.?[\\d_]*|\\.\\d[\\d_]*)(?:[eE][+-]?\\d+)?n?'
+        ].join('|'), 'y')
+    },
+    {
+        className: identifier => {
+            if (KEYWORDS.has(identifier)) {
+                return 'kwd';
+            }
+            if (LITERALS.has(identifier)) {
+                return 'lit';
+            }
+
+            return /^[A-Z]/.test(identifier) ? 'typ' : 'pln';
+        },
+        regexp: /[A-Za-z_$\u00a0-\uffff][\w$\u00a0-\uffff]*/y
+    },
+    {
+        className: 'pun',
+        regexp: /[^\s\w$'"`]/y
+    }
+];
+// An opening or closing HTML tag.
+const TAG = /<(\/?)([A-Za-z][\w-]*)[^>]*?(\/?)>/g;
+// HTML elements that never have a closing tag.
+const VOID_ELEMENTS = [
+    'br',
+    'hr',
+    'img',
+    'wbr'
+];
+
+// Maps the paths to highlighter modules to the highlighter functions. Several parts of the
+// template ask for the same highlighter, but we only want to load it, and report problems, once.
+const highlighters = new Map();
+
+function wrap(className, text) {
+    return className ? `<span class="${className}">${escape(text)}</span>` : escape(text);
+}
+
+function highlightJs(code) {
+    const html = [];
+    let afterValue = false;
+    let pending = null;
+    let position = 0;
+
+    // Combine adjacent tokens that have the same class, such as `=>` or `);`.
+    const flush = () => {
+        if (pending) {
+            html.push(wrap(pending.className, pending.text));
+            pending = null;
+        }
+    };
+    const push = (className, text) => {
+        if (pending && pending.className === className) {
+            pending.text += text;
+        } else {
+            flush();
+            pending = {
+                className,
+                text
+            };
+        }
+    };
+
+    while (position < code.length) {
+        let className;
+        let text;
+
+        for (const rule of TOKEN_RULES) {
+            if (rule.afterValue === false && afterValue) {
+                continue;
+            }
+
+            rule.regexp.lastIndex = position;
+            text = rule.regexp.exec(code);
+            if (text && text[0]) {
+                text = text[0];
+                className = typeof rule.className === 'function' ?
+                    rule.className(text) :
+                    rule.className;
+                break;
+            }
+            text = null;
+        }
+
+        // Treat any character that no rule matched as plain text.
+        if (!text) {
+            text = code[position];
+            className = null;
+        }
+
+        // Whitespace and comments don't change whether a value was the last thing we saw.
+        if (className === 'pun') {
+            afterValue = /[)\]}]$/.test(text);
+        } else if (className === 'kwd') {
+            afterValue = text === 'this' || text === 'super';
+        } else if (className && className !== 'com') {
+            afterValue = true;
+        }
+        push(className, text);
+        position += text.length;
+    }
+    flush();
+
+    return html.join('');
+}
+
+// Loads a highlighter module. Falls back to the built-in highlighter if there's a problem.
+function loadHighlighter(modulePath) {
+    let highlightFunc;
+
+    try {
+        highlightFunc = require(modulePath).highlight;
+    } catch (e) {
+        log.error(`Unable to load the syntax highlighting module ${modulePath}: ${e}. Using the ` +
+            'default syntax highlighter.');
+
+        return exports.highlight;
+    }
+
+    if (typeof highlightFunc !== 'function') {
+        log.error(`The syntax highlighting module ${modulePath} does not assign a method to ` +
+            '`exports.highlight`. Using the default syntax highlighter.');
+
+        return exports.highlight;
+    }
+
+    return highlightFunc;
+}
+
+/**
+ * Highlights a code snippet, using the same CSS classes as `prettify.js`. The built-in highlighter
+ * understands JavaScript, JSON, and TypeScript. Code in other languages is escaped, but not
+ * highlighted.
+ *
+ * @param {string} code - The code snippet.
+ * @param {string?} language - The language of the code snippet, such as `js`.
+ * @return {string} The highlighted code, as HTML. The HTML is not wrapped in a `<pre>` or `<code>`
+ * element.
+ */
+exports.highlight = (code, language) => {
+    if (!JS_LANGUAGES.includes(String(language).toLowerCase())) {
+        return escape(code);
+    }
+
+    return highlightJs(code);
+};
+
+/**
+ * Gets the function to use for syntax highlighting.
+ *
+ * @param {(string|function)?} highlighter - The highlighter function, or the path to a module that
+ * assigns a highlighter function to `exports.highlight`. A relative path is resolved from the
+ * current working directory. If this value is not set, or if the module cannot be loaded, the
+ * built-in highlighter is used.
+ * @return {function} The highlighter function.
+ */
+exports.getHighlighter = highlighter => {
+    let modulePath;
+
+    switch (typeof highlighter) {
+        case 'string':
+            if (!highlighter) {
+                return exports.highlight;
+            }
+
+            modulePath = path.resolve(process.cwd(), highlighter);
+            if (!highlighters.has(modulePath)) {
+                highlighters.set(modulePath, loadHighlighter(modulePath));
+            }
+
+            return highlighters.get(modulePath);
+
+        case 'function':
+            return highlighter;
+
+        default:
+            return exports.highlight;
+    }
+};
+
+/**
+ * Gets the language of a source file, based on its file extension.
+ *
+ * @param {string} filepath - The path to the source file.
+ * @return {string} The language, such as `js`.
+ */
+exports.getLanguage = filepath => {
+    const match = /\.([^./\\]+)$/.exec(filepath);
+
+    return match ? match[1].toLowerCase() : 'plain';
+};
+
+/**
+ * Turns the first occurrence of a word in highlighted HTML into a link. The word must appear in
+ * the text of the HTML, not in a tag or an existing link, and it must not be part of a longer
+ * identifier.
+ *
+ * @param {string} html - The highlighted HTML.
+ * @param {string} word - The word to link, such as the name of a function.
+ * @param {string} attributes - The attributes for the `<a>` tag, such as `href="foo.html"`.
+ * @return {string} The HTML with the link, or the original HTML if the word was not found.
+ */
+exports.linkWord = (html, word, attributes) => {
+    const parts = html.split(/(<[^>]*>)/);
+    const wordRegExp = new RegExp(`(^|[^\\w$])(${escapeRegexp(escape(word))})(?![\\w$])`);
+    let inLink = false;
+
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+
+        if (i % 2) {
+            if (/^<a[\s>]/i.test(part)) {
+                inLink = true;
+            } else if (/^<\/a>/i.test(part)) {
+                inLink = false;
+            }
+        } else if (!inLink && wordRegExp.test(part)) {
+            parts[i] = part.replace(wordRegExp,
+                (match, before, found) => `${before}<a ${attributes}>${found}</a>`);
+
+            return parts.join('');
+        }
+    }
+
+    return html;
+};
+
+/**
+ * Splits highlighted HTML into lines. If an element contains more than one line, such as a
+ * multi-line comment, the element is closed at the end of each line and reopened at the start of
+ * the next line, so that each line is valid HTML on its own.
+ *
+ * @param {string} html - The highlighted HTML.
+ * @return {Array<string>} The HTML for each line. If the HTML ends with a line break, there is no
+ * empty line at the end.
+ */
+exports.splitLines = html => {
+    const lines = html.split(/\r?\n/);
+    let openTags = [];
+
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    return lines.map(line => {
+        const result = openTags.map(tag => tag.html).join('') + line;
+
+        for (const [tagHtml, closing, tagName, selfClosing] of line.matchAll(TAG)) {
+            const name = tagName.toLowerCase();
+
+            if (selfClosing || VOID_ELEMENTS.includes(name)) {
+                continue;
+            }
+
+            if (closing) {
+                const index = openTags.map(tag => tag.name).lastIndexOf(name);
+
+                if (index !== -1) {
+                    openTags = openTags.slice(0, index);
+                }
+            } else {
+                openTags.push({
+                    html: tagHtml,
+                    name
+                });
+            }
+        }
+
+        return result + openTags.slice().reverse().map(tag => `</${tag.name}>`).join('');
+    });
+};
@@ -2,11 +2,13 @@ const _ = require('lodash');
 const escapeRegexp = require('escape-string-regexp');
 const { replaceInlineTags } = require('@jsdoc/tag').inline;
 const { name } = require('@jsdoc/core');
-const { OUTPUT_FILE_KINDS } = require('./enums');
+const { CATEGORIES, KIND_TO_CATEGORY, OUTPUT_FILE_KINDS, OUTPUT_FORMATS } = require('./enums');
 const { default: ow } = require('ow');
+const path = require('path');
 const slugify = require('@sindresorhus/slugify');
 
 const GLOBAL_SCOPE = name.SCOPE.NAMES.GLOBAL;
+const MODULE_CATEGORY = KIND_TO_CATEGORY.module;
 const MODULE_NAMESPACE = name.MODULE_NAMESPACE;
 // TODO: Get this from the tag dictionary instead of cheating.
 const NAMESPACES = [
@@ -16,6 +18,9 @@ const NAMESPACES = [
 ];
 const SCOPE_PUNC_VALUES = _.values(name.SCOPE_TO_PUNC).join('');
 const SCOPE_TO_PUNC = name.SCOPE_TO_PUNC;
+// Prefix for the strings that identify tutorials, so that tutorials and symbols can have the same
+// names.
+const TUTORIAL_NAMESPACE = 'tutorial:';
 const SOFT_BREAK_AFTER = (() => {
     const values = `${SCOPE_PUNC_VALUES}/`;
 
@@ -47,6 +52,11 @@ function extractLeadingText(string, completeTag) {
     };
 }
 
+// Escape characters that would end the link text of a Markdown link.
+function escapeMarkdownLinkText(text) {
+    return text.replace(/([\\[\]])/g, '\\$1');
+}
+
 function getNamespace(kind) {
     if (!NAMESPACES.includes(kind)) {
         return '';
@@ -63,6 +73,12 @@ function hasUriPrefix(str) {
     return /^[A-Za-z]+:\/\//.test(str);
 }
 
+// Check whether a URI is already usable from any page; for example, `https://example.org/`,
+// `/foo.html`, or `#bar`.
+function isUsableAnywhere(uri) {
+    return /^(?:[A-Za-z][\w+.-]*:|\/|#)/.test(uri);
+}
+
 /**
  * Check whether a doclet represents the only symbol exported by a module (as in
  * `module.exports = function() {};`).
@@ -140,17 +156,25 @@ function shouldUseMonospace(tag, text) {
  * Generates file names and links to known symbols.
  */
 module.exports = class LinkManager {
-    // TODO: Accept a category-to-directory map (requires multiple slugifiers).
     /**
      * Creates a link manager.
      *
      * @param {object} opts - Options for the link manager.
+     * @param {?string} opts.baseUrl - The absolute URL for the root of the generated docs; for
+     * example, `https://example.org/docs/` or `/docs/`. If present, links in rendered output files
+     * start with this URL, rather than being relative to the output file.
      * @param {object} opts.config - JSDoc configuration settings.
+     * @param {?Object<string, string>} opts.directories - A map of categories, such as `classes`
+     * or `modules`, to the output directory for that category, relative to the root of the
+     * generated docs. For example, `{ classes: 'classes' }`. Categories that are not in the map
+     * are placed in the root directory.
      * @param {string} opts.fileExtension - The file extension to use for generated HTML pages.
      * For example, `.html`.
      * @param {string} opts.linkExtension - The file extension to use for links to other pages in
      * the generated docs. For example, `.html`. If your web server does not expect file extensions
      * in links, use an empty string.
+     * @param {?string} opts.format - The format of the links that the link manager creates. Set to
+     * `html` or `markdown`. Defaults to `html`.
      * @param {?function} opts.slugifyFactory - A factory function for a slugifier. Must return a
      * function that accepts a string and returns a slugified version of that string. The slugified
      * version must be safe to use in a filename. Also, if the function is called more than once
@@ -159,56 +183,123 @@ module.exports = class LinkManager {
      */
     constructor(opts) {
         ow(opts, ow.object);
+        ow(opts.baseUrl, ow.optional.string);
         ow(opts.config, ow.object);
+        ow(opts.directories, ow.optional.object.valuesOfType(ow.string));
         // We check `opts.fileExtension` and `opts.linkExtension` in their setters.
+        ow(opts.format, ow.optional.string.oneOf(Object.values(OUTPUT_FORMATS)));
         ow(opts.slugifyFactory, ow.optional.function);
 
         const self = this;
 
+        this._baseUrl = opts.baseUrl ? opts.baseUrl.replace(/\/*$/, '/') : null;
         this._config = opts.config;
+        this._currentUri = null;
+        this._directories = opts.directories || {};
+        // Filenames for symbols that are documented elsewhere. These filenames are complete URIs.
+        this._externalFilenames = new Set();
         this._filenameToString = new Map();
+        this._format = opts.format || OUTPUT_FORMATS.HTML;
+        this._inlineTagHandlers = new Map();
         this._stringToFilename = new Map();
-        // Proxy for `this._stringToFilename` that we can pass to Catharsis.
+        this._tutorialTitles = new Map();
+        // Proxy for `this._stringToFilename` that we can pass to Catharsis. Catharsis checks
+        // whether a link exists with `hasOwnProperty()`, so we also report the links as properties.
         this._stringToFilenameWithLinkExtension = new Proxy({}, {
             get(target, prop) {
                 let val = self._stringToFilename.get(prop);
 
                 if (val) {
-                    val = val + self._linkExtension;
+                    val = self._filenameWithLinkExtension(val);
                 }
 
                 return val;
+            },
+            getOwnPropertyDescriptor(target, prop) {
+                const value = this.get(target, prop);
+
+                return value ? {
+                    configurable: true,
+                    enumerable: true,
+                    value,
+                    writable: false
+                } : undefined;
+            },
+            has(target, prop) {
+                return self._stringToFilename.has(prop);
             }
         });
         this._longnameToFragmentId = new Map();
         this._fragmentIdsByFilename = new Map();
         this._slugifyFactory = opts.slugifyFactory || slugify.counter;
-        this._slugify = this._slugifyFactory();
+        // Each output directory has its own slugifier, so that, for example, the class `foo` and
+        // the module `foo` can both use the filename `foo`.
+        this._slugifiers = new Map();
         this.fileExtension = opts.fileExtension;
         this.linkExtension = opts.linkExtension;
     }
 
-    _createFilename(str) {
-        const filename = this._slugify(str);
+    _createFilename(str, category) {
+        const directory = this._getDirectory(category);
+        let filename = this._getSlugifier(directory)(str);
+
+        if (directory) {
+            filename = path.posix.join(directory, filename);
+        }
 
         this._setFilenameForString(str, filename);
 
         return filename;
     }
 
+    // Wraps link text in a link, using the link manager's output format.
+    _formatLink(href, linkText, {cssClass, monospace}) {
+        let classAttr = '';
+
+        if (this._format === OUTPUT_FORMATS.MARKDOWN) {
+            if (monospace) {
+                linkText = `\`${linkText}\``;
+            } else {
+                linkText = escapeMarkdownLinkText(linkText);
+            }
+
+            return `[${linkText}](${href})`;
+        }
+
+        if (monospace) {
+            linkText = `<code>${linkText}</code>`;
+        }
+        if (cssClass) {
+            classAttr = ` class="${cssClass}"`;
+        }
+
+        return `<a href="${href}"${classAttr}>${linkText}</a>`;
+    }
+
     _filenameWithFileExtension(filename) {
         return filename + this._fileExtension;
     }
 
     _filenameWithLinkExtension(filename) {
-        return filename + this._linkExtension;
+        if (!this._externalFilenames.has(filename)) {
+            filename += this._linkExtension;
+        }
+
+        return this.resolveUri(filename);
     }
 
-    _getOrCreateFilename(str) {
+    _getDirectory(category) {
+        const directory = category ? this._directories[category] : null;
+
+        // Normalize values like `./classes/` to `classes`.
+        return directory ? path.posix.normalize(directory).replace(/^\.?\/+|\/+$/g, '') : '';
+    }
+
+    _getOrCreateFilename(str, category) {
         let filename = this._stringToFilename.get(str);
 
         if (!filename) {
-            filename = this._createFilename(str);
+            filename = this._createFilename(str, category);
         }
 
         return filename;
@@ -217,6 +308,17 @@ module.exports = class LinkManager {
     // TODO: Do we need the empty string fallbacks for `id` and `fragmentId`?
     // TODO: Separate "get/register frag ID for longname" from "request a fragment ID similar to X"
     // TODO: Should ensure a guaranteed-unique-per-file fragment ID.
+    _getSlugifier(directory) {
+        let slugifier = this._slugifiers.get(directory);
+
+        if (!slugifier) {
+            slugifier = this._slugifyFactory();
+            this._slugifiers.set(directory, slugifier);
+        }
+
+        return slugifier;
+    }
+
     _getOrRegisterFragmentId(filename, longname, id = '') {
         let fragmentId = this._longnameToFragmentId.get(longname) || '';
         let fragmentIds;
@@ -258,6 +360,20 @@ module.exports = class LinkManager {
         }));
     }
 
+    // Process a string that contains a `{@tutorial}` inline tag.
+    _processTutorialLink(string, {completeTag, text}) {
+        const leading = extractLeadingText(string, completeTag);
+        const tutorialName = text.trim();
+
+        return leading.string.replace(completeTag, this.createLink(
+            TUTORIAL_NAMESPACE + tutorialName,
+            {
+                linkText: leading.leadingText || this._tutorialTitles.get(tutorialName) ||
+                    tutorialName
+            }
+        ));
+    }
+
     _setFilenameForString(str, filename) {
         this._filenameToString.set(filename, str);
         this._stringToFilename.set(str, filename);
@@ -267,12 +383,12 @@ module.exports = class LinkManager {
         return this._config.templates && this._config.templates.useShortNamesInLinks;
     }
 
-    // TODO: Accept an `opts.category` parameter that creates the filename in a subdirectory.
     /**
-     * Creates an HTML link to a longname, or to a URI that might be enclosed in angle brackets.
+     * Creates an HTML link to a longname, or to a URI that might be enclosed in angle brackets. If
+     * the link manager's format is `markdown`, this method creates a Markdown link instead.
      *
      * If the file namer does not recognize the longname, this method returns the link text, not an
-     * HTML link.
+     * HTML link. While an output file is being rendered, the link works from that output file.
      *
      * @param {string} str - The longname or URI for which to create a link.
      * @param {?object} opts - Options for creating the link.
@@ -285,7 +401,8 @@ module.exports = class LinkManager {
      * `str`.
      * @param {?boolean} opts.monospace - Whether to use a fixed-width font for the link text.
      * Defaults to `false` if the link text appears to be a URI and `true` for any other link text.
-     * @return {string} An HTML anchor (`<a>`) tag, including an `href` attribute and link text.
+     * @return {string} An HTML anchor (`<a>`) tag, including an `href` attribute and link text; or
+     * a Markdown link.
      */
     createLink(str, opts = {}) {
         ow(str, ow.string);
@@ -295,7 +412,6 @@ module.exports = class LinkManager {
         ow(opts.linkText, ow.optional.string);
         ow(opts.monospace, ow.optional.boolean);
 
-        let classAttr = '';
         const cssClass = opts.cssClass || '';
         let href;
         let filename;
@@ -315,8 +431,9 @@ module.exports = class LinkManager {
             if (!linkText) {
                 linkText = this._shouldShortenLongname() ? getShortName(str) : str;
             }
-            // Add line-break opportunities to the link text, unless it appears to be a URI.
-            if (!hasUriPrefix(linkText)) {
+            // Add line-break opportunities to the link text, unless it appears to be a URI. Markdown
+            // output doesn't need them.
+            if (!hasUriPrefix(linkText) && this._format !== OUTPUT_FORMATS.MARKDOWN) {
                 linkText = softBreak(linkText);
             }
 
@@ -331,19 +448,34 @@ module.exports = class LinkManager {
             }
         }
 
-        if (href && monospace) {
-            linkText = `<code>${linkText}</code>`;
-        }
         if (href) {
-            if (cssClass) {
-                classAttr = ` class="${cssClass}"`;
-            }
-            linkText = `<a href="${href}"${classAttr}>${linkText}</a>`;
+            linkText = this._formatLink(href, linkText, {
+                cssClass,
+                monospace
+            });
         }
 
         return linkText;
     }
 
+    /**
+     * The URI of the output file that is being rendered, relative to the root of the generated
+     * docs; or `null` if no output file is being rendered. While this property is set, the link
+     * manager creates links, and returns URIs, that work from this output file. See
+     * {@link module:lib/link-manager#resolveUri}.
+     *
+     * @type {?string}
+     */
+    get currentUri() {
+        return this._currentUri;
+    }
+
+    set currentUri(uri) {
+        ow(uri, ow.any(ow.nullOrUndefined, ow.string));
+
+        this._currentUri = uri ? uri.replace(/\\/g, '/') : null;
+    }
+
     get fileExtension() {
         return this._fileExtension;
     }
@@ -364,21 +496,125 @@ module.exports = class LinkManager {
         this._linkExtension = extension;
     }
 
-    // TODO: Accept an `opts.category` parameter that creates the filename in a subdirectory.
-    getUniqueFilename(str) {
+    /**
+     * Creates a unique filename, including the file extension, for a string.
+     *
+     * @param {string} str - The string for which to create a filename.
+     * @param {?object} opts - Options for creating the filename.
+     * @param {?string} opts.category - The category of the output file, such as `classes`. If the
+     * link manager has an output directory for the category, the filename is in that directory.
+     * @return {string} The filename, relative to the root of the generated docs.
+     */
+    getUniqueFilename(str, opts = {}) {
         ow(str, ow.string);
+        ow(opts, ow.object);
+        ow(opts.category, ow.optional.string);
 
-        const filename = this._createFilename(str);
+        const filename = this._createFilename(str, opts.category);
 
         return this._filenameWithFileExtension(filename);
     }
 
-    getUri(str) {
+    /**
+     * Gets the link manager's filenames and fragment IDs, in a format that can be passed to
+     * another thread and restored with {@link module:lib/link-manager#importState}.
+     *
+     * @return {Object} The link manager's state.
+     */
+    exportState() {
+        const fragmentIdsByFilename = [];
+
+        for (const [filename, ids] of this._fragmentIdsByFilename) {
+            fragmentIdsByFilename.push([filename, [...ids]]);
+        }
+
+        return {
+            externalFilenames: [...this._externalFilenames],
+            fragmentIdsByFilename,
+            longnameToFragmentId: [...this._longnameToFragmentId],
+            stringToFilename: [...this._stringToFilename],
+            tutorialTitles: [...this._tutorialTitles]
+        };
+    }
+
+    /**
+     * Finds the targets of `{@link}`, `{@linkcode}`, `{@linkplain}`, and `{@tutorial}` inline tags
+     * that the link manager cannot resolve. When the link manager creates a link to one of these
+     * targets, it returns plain text instead of a link. Tutorials are reported with the prefix
+     * `tutorial:`; for example, `tutorial:getting-started`.
+     *
+     * @param {string} str - A string that might contain inline links.
+     * @return {Array<string>} The targets that cannot be resolved.
+     */
+    getUnresolvedLinks(str) {
         ow(str, ow.string);
 
+        const replacers = {};
+        const unresolved = [];
+
+        if (!str.includes('{@')) {
+            return unresolved;
+        }
+
+        replacers.link = (string, { completeTag, text }) => {
+            const target = stripAngleBrackets(splitLinkText(text).target);
+
+            if (!hasUriPrefix(target) && !this._stringToFilename.has(target)) {
+                unresolved.push(target);
+            }
+
+            return string.replace(completeTag, '');
+        };
+        replacers.linkcode = replacers.link;
+        replacers.linkplain = replacers.link;
+        replacers.tutorial = (string, { completeTag, text }) => {
+            const target = TUTORIAL_NAMESPACE + text.trim();
+
+            if (!this._stringToFilename.has(target)) {
+                unresolved.push(target);
+            }
+
+            return string.replace(completeTag, '');
+        };
+
+        replaceInlineTags(str, replacers);
+
+        return unresolved;
+    }
+
+    /**
+     * Gets the URI for a longname or other registered string.
+     *
+     * @param {string} str - The longname or other string whose URI will be retrieved.
+     * @param {?object} opts - Options for getting the URI.
+     * @param {?boolean} opts.includeFragmentId - Whether to include the fragment ID, if any, that
+     * identifies the string within its output file. Defaults to `false`.
+     * @return {string} The URI, or an empty string if the string is not recognized. While an
+     * output file is being rendered, the URI works from that output file; otherwise, it is
+     * relative to the root of the generated docs.
+     */
+    getUri(str, opts = {}) {
+        ow(str, ow.string);
+        ow(opts, ow.object);
+        ow(opts.includeFragmentId, ow.optional.boolean);
+
         const filename = this._stringToFilename.get(str) || null;
+        let fragmentId;
+        let uri;
+
+        if (!filename) {
+            return '';
+        }
 
-        return filename ? this._filenameWithLinkExtension(filename) : '';
+        uri = this._filenameWithLinkExtension(filename);
+        if (opts.includeFragmentId) {
+            fragmentId = this._longnameToFragmentId.get(str);
+            if (fragmentId) {
+                uri += `#${fragmentId}`;
+            }
+        }
+
+        return uri;
     }
 
     registerDoclet(doclet) {
@@ -394,7 +630,8 @@ module.exports = class LinkManager {
 
         if (OUTPUT_FILE_KINDS.includes(doclet.kind) || isModuleExports(doclet)) {
             // The doclet gets its own output file.
-            filename = this._getOrCreateFilename(doclet.longname);
+            filename = this._getOrCreateFilename(doclet.longname,
+                isModuleExports(doclet) ? MODULE_CATEGORY : KIND_TO_CATEGORY[doclet.kind]);
         } else {
             // The doclet goes in another output file.
             // TODO: Seems like `doclet.memberof` might not be what we want for, say, enum values.
@@ -414,6 +651,85 @@ module.exports = class LinkManager {
         };
     }
 
+    /**
+     * Restores filenames and fragment IDs from another link manager. Use this method, along with
+     * {@link module:lib/link-manager#exportState}, to create links in another thread.
+     *
+     * @param {Object} state - The state returned by {@link module:lib/link-manager#exportState}.
+     */
+    importState(state) {
+        ow(state, ow.object);
+        ow(state.externalFilenames, ow.optional.array);
+        ow(state.fragmentIdsByFilename, ow.array);
+        ow(state.longnameToFragmentId, ow.array);
+        ow(state.stringToFilename, ow.array);
+        ow(state.tutorialTitles, ow.optional.array);
+
+        for (const [str, filename] of state.stringToFilename) {
+            this._setFilenameForString(str, filename);
+        }
+        for (const [longname, fragmentId] of state.longnameToFragmentId) {
+            this._longnameToFragmentId.set(longname, fragmentId);
+        }
+        for (const [filename, ids] of state.fragmentIdsByFilename) {
+            this._fragmentIdsByFilename.set(filename, new Set(ids));
+        }
+        for (const filename of state.externalFilenames || []) {
+            this._externalFilenames.add(filename);
+        }
+        for (const [tutorialName, title] of state.tutorialTitles || []) {
+            this._tutorialTitles.set(tutorialName, title);
+        }
+    }
+
+    /**
+     * Adds links to symbols that are documented elsewhere; for example, in the generated docs for
+     * another project. After you add the links, the link manager creates links to these symbols,
+     * just like it does for the symbols in this project.
+     *
+     * If the link manager already has a URI for a longname, the existing URI is kept.
+     *
+     * @param {Object<string, string>} links - A map of longnames to URIs. Each URI can include a
+     * fragment ID. For example, `{ 'otherlib.Foo#bar': 'otherlib-foo.html#bar' }`.
+     * @param {?string} baseUrl - The URL to prepend to each URI; for example,
+     * `https://example.org/otherlib/`. If the URL is relative, it must be relative to the root of
+     * the generated docs.
+     * @return {Array<string>} The longnames that were added.
+     */
+    importLinks(links, baseUrl = '') {
+        ow(links, ow.object.valuesOfType(ow.string));
+        ow(baseUrl, ow.string);
+
+        const added = [];
+
+        if (baseUrl) {
+            baseUrl = baseUrl.replace(/\/*$/, '/');
+        }
+
+        for (const longname of Object.keys(links)) {
+            const uri = links[longname];
+            const fragmentIndex = uri.indexOf('#');
+            let filename;
+
+            if (this._stringToFilename.has(longname)) {
+                continue;
+            }
+
+            filename = baseUrl + (fragmentIndex === -1 ? uri : uri.slice(0, fragmentIndex));
+            if (!isUsableAnywhere(filename)) {
+                filename = path.posix.normalize(filename);
+            }
+            this._externalFilenames.add(filename);
+            this._setFilenameForString(longname, filename);
+            if (fragmentIndex !== -1 && fragmentIndex < uri.length - 1) {
+                this._longnameToFragmentId.set(longname, uri.slice(fragmentIndex + 1));
+            }
+            added.push(longname);
+        }
+
+        return added;
+    }
+
     // Intended for registering fragment IDs that are inserted into the output by, say, a Markdown
     // heading slugifier.
     registerFragmentId(filename, id) {
@@ -423,24 +739,116 @@ module.exports = class LinkManager {
         return this._getOrRegisterFragmentId(filename, null, id);
     }
 
-    // TODO: Accept an `opts.category` parameter that creates the filename in a subdirectory.
-    requestFilename(str) {
-        return this._createFilename(str);
+    /**
+     * Registers a handler for an inline tag, such as `{@jira ABC-1}`. When the link manager
+     * resolves inline links, it replaces each instance of the tag with the value that the handler
+     * returns. A handler for `link`, `linkcode`, `linkplain`, or `tutorial` replaces the link
+     * manager's own handling of that tag.
+     *
+     * @param {string} tagName - The name of the inline tag, without the leading `@`; for example,
+     * `jira`.
+     * @param {function} handler - The handler for the tag. The handler receives two parameters:
+     * information about the tag (`completeTag`, `tag`, and `text`), and a context object that
+     * contains the `doclet`, if known, and the `linkManager`. The handler returns a string to use
+     * in place of the complete tag.
+     * @returns {this}
+     */
+    registerInlineTag(tagName, handler) {
+        ow(tagName, ow.string.nonEmpty.not.startsWith('@'));
+        ow(handler, ow.function);
+
+        this._inlineTagHandlers.set(tagName, handler);
+
+        return this;
+    }
+
+    /**
+     * Registers a tutorial, and creates a unique filename, without the file extension, for the
+     * tutorial. Links to the tutorial use the string `tutorial:` followed by the tutorial's name;
+     * for example, `tutorial:getting-started`.
+     *
+     * @param {string} tutorialName - The tutorial's name.
+     * @param {?string} title - The tutorial's title, which is used as the text for `{@tutorial}`
+     * links. Defaults to the tutorial's name.
+     * @return {string} The filename, relative to the root of the generated docs.
+     */
+    registerTutorial(tutorialName, title) {
+        ow(tutorialName, ow.string.nonEmpty);
+        ow(title, ow.optional.string);
+
+        const str = TUTORIAL_NAMESPACE + tutorialName;
+
+        this._tutorialTitles.set(tutorialName, title || tutorialName);
+
+        return this._stringToFilename.get(str) ||
+            this._createFilename(str, CATEGORIES.TUTORIALS);
+    }
+
+    /**
+     * Creates a unique filename, without the file extension, for a string.
+     *
+     * @param {string} str - The string for which to create a filename.
+     * @param {?object} opts - Options for creating the filename.
+     * @param {?string} opts.category - The category of the output file, such as `classes`. If the
+     * link manager has an output directory for the category, the filename is in that directory.
+     * @return {string} The filename, relative to the root of the generated docs.
+     */
+    requestFilename(str, opts = {}) {
+        ow(opts, ow.object);
+        ow(opts.category, ow.optional.string);
+
+        return this._createFilename(str, opts.category);
     }
 
     resetCounters() {
-        this._slugify = this._slugifyFactory();
+        this._slugifiers.clear();
+    }
+
+    /**
+     * Converts a URI that is relative to the root of the generated docs, such as
+     * `css/baseline.css`, to a URI that works from the output file that is being rendered.
+     *
+     * If the link manager has a base URL, the result is the base URL followed by the URI.
+     * Otherwise, the result is relative to the link manager's `currentUri`. If no output file is
+     * being rendered, or if the URI is absolute or contains only a fragment ID, the URI is
+     * returned unchanged.
+     *
+     * @param {string} uri - The URI, relative to the root of the generated docs.
+     * @return {string} The URI to use in the output file that is being rendered.
+     */
+    resolveUri(uri) {
+        ow(uri, ow.string);
+
+        let fragment;
+        let fragmentIndex;
+
+        if (!this._currentUri || !uri || isUsableAnywhere(uri)) {
+            return uri;
+        }
+        if (this._baseUrl) {
+            return this._baseUrl + uri;
+        }
+
+        fragmentIndex = uri.indexOf('#');
+        fragment = fragmentIndex === -1 ? '' : uri.slice(fragmentIndex);
+        uri = fragmentIndex === -1 ? uri : uri.slice(0, fragmentIndex);
+
+        return path.posix.relative(path.posix.dirname(this._currentUri), uri) + fragment;
     }
 
-    // TODO: Make the list of inline tags configurable.
     /**
-     * Replaces `{@link}`, `{@linkcode}`, and `{@linkplain}` inline tags with the appropriate
-     * HTML links.
+     * Replaces `{@link}`, `{@linkcode}`, `{@linkplain}`, and `{@tutorial}` inline tags with the
+     * appropriate HTML links. Also replaces inline tags that have a handler; see
+     * {@link module:lib/link-manager#registerInlineTag}.
      *
      * @param {string} str - A string that might contain inline links.
+     * @param {?object} context - Information about the string, which is passed to inline-tag
+     * handlers.
+     * @param {?object} context.doclet - The doclet that the string belongs to.
      * @returns {string} An updated string, with inline links replaced by HTML links.
      */
-    resolveInlineLinks(str) {
+    resolveInlineLinks(str, context = {}) {
+        const handlerContext = Object.assign({}, context, { linkManager: this });
         const replacers = {};
 
         // Fast path for values that clearly do not contain inline tags.
@@ -451,10 +859,28 @@ module.exports = class LinkManager {
         replacers.link = (string, tagInfo) => this._processLink(string, tagInfo);
         replacers.linkcode = replacers.link;
         replacers.linkplain = replacers.link;
+        replacers.tutorial = (string, tagInfo) => this._processTutorialLink(string, tagInfo);
+
+        for (const [tagName, handler] of this._inlineTagHandlers) {
+            replacers[tagName] = (string, tagInfo) => {
+                let replacement = handler(tagInfo, handlerContext);
+
+                if (replacement === null || replacement === undefined) {
+                    replacement = '';
+                }
+
+                // Use a function so that `$` in the replacement is not treated as a pattern.
+                return string.replace(tagInfo.completeTag, () => String(replacement));
+            };
+        }
 
         return replaceInlineTags(str, replacers).newString;
     }
 
+    static get TUTORIAL_NAMESPACE() {
+        return TUTORIAL_NAMESPACE;
+    }
+
     get stringToLinkUri() {
         return this._stringToFilenameWithLinkExtension;
     }
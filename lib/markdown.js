@@ -3,7 +3,7 @@
  */
 const env = require('jsdoc/env');
 const { escape } = require('html-escaper');
-const { log } = require('@jsdoc/util');
+const { getHighlighter } = require('./highlighter');
 const MarkdownIt = require('markdown-it');
 const mda = require('markdown-it-anchor');
 
@@ -21,28 +21,36 @@ function escapeInlineTagBackslashes(text) {
 }
 
 /**
- * Wraps a code snippet in HTML tags that enable syntax highlighting.
+ * Gets a function that highlights a code snippet, then wraps it in HTML tags.
  *
- * @param {string} code - The code snippet.
- * @param {string?} language - The language of the code snippet.
- * @returns {string} The wrapped code snippet.
+ * @param {function} codeHighlighter - The function that highlights the code snippet.
+ * @returns {function} A function that accepts the code snippet and its language, and returns the
+ * wrapped code snippet.
  */
-function highlight(code, language) {
-    let classString;
-    let langClass = '';
-
-    if (language && (language !== 'plain')) {
-        langClass = ` lang-${language}`;
-    }
-
-    if (language !== 'plain') {
-        classString = ` class="prettyprint source${langClass}"`;
-    }
-    else {
-        classString = ' class="source"';
-    }
-
-    return `<pre${classString}><code>${escape(code)}</code></pre>`;
+function getDefaultHighlighter(codeHighlighter) {
+    return (code, language) => {
+        let classString;
+        let highlighted;
+        let langClass = '';
+
+        if (language && (language !== 'plain')) {
+            langClass = ` lang-${language}`;
+        }
+
+        if (language !== 'plain') {
+            highlighted = codeHighlighter(code, language);
+            // If the code is already highlighted, `prettify.js` doesn't need to highlight it again.
+            classString = highlighted === escape(code) ?
+                ` class="prettyprint source${langClass}"` :
+                ` class="prettyprint prettyprinted source${langClass}"`;
+        }
+        else {
+            highlighted = escape(code);
+            classString = ' class="source"';
+        }
+
+        return `<pre${classString}><code>${highlighted}</code></pre>`;
+    };
 }
 
 /**
@@ -55,44 +63,6 @@ function unencodeQuotes(text) {
     return text.replace(inlineTagRegExp, wholeMatch => wholeMatch.replace(/&quot;/g, '"'));
 }
 
-/**
- * Gets the appropriate function for applying syntax highlighting to text, based on the user's
- * Markdown configuration settings.
- *
- * @param {Object} conf - The user's Markdown configuration settings.
- * @return {function} The highlighter function.
- */
-function getHighlighter(conf) {
-    let highlighter;
-
-    switch (typeof conf.highlight) {
-        case 'string':
-            try {
-                highlighter = require(conf.highlight).highlight;
-            } catch (e) {
-                log.error(e);
-            }
-
-            if (typeof highlighter !== 'function') {
-                log.error(`The syntax highlighting module ${conf.highlight} does not assign a ` +
-                    'method to `exports.highlight`. Using the default syntax highlighter.');
-                highlighter = highlight;
-            }
-
-            break;
-
-        case 'function':
-            highlighter = conf.highlight;
-
-            break;
-
-        default:
-            highlighter = highlight;
-    }
-
-    return highlighter;
-}
-
 /**
  * Retrieves a function that accepts a single parameter containing Markdown source. The function
  * uses the specified parser to transform the Markdown source to HTML, then returns the HTML as a
@@ -100,16 +70,20 @@ function getHighlighter(conf) {
  *
  * @private
  * @param {Object} [conf] Configuration for the Markdown parser.
+ * @param {(string|function)?} [codeHighlighter] The highlighter for code blocks, or the path to a
+ * highlighter module. Ignored if `conf.highlight` is set.
  * @returns {function} A function that accepts Markdown source, feeds it to the selected parser, and
  * returns the resulting HTML.
  */
-function getParseFunction(conf) {
+function getParseFunction(conf, codeHighlighter) {
     let highlighter;
     let parserFunction;
     let renderer;
 
     conf = conf || {};
-    highlighter = getHighlighter(conf);
+    highlighter = conf.highlight ?
+        getHighlighter(conf.highlight) :
+        getDefaultHighlighter(getHighlighter(codeHighlighter));
 
     renderer = new MarkdownIt({
         breaks: Boolean(conf.hardwrap),
@@ -142,6 +116,11 @@ function getParseFunction(conf) {
  * Markdown source. The function converts the Markdown source to HTML, then returns the HTML as a
  * string.
  *
+ * @param {Object} [opts] Options for the parser.
+ * @param {(string|function)?} [opts.highlighter] The highlighter for code blocks, or the path to a
+ * module that assigns a highlighter to `exports.highlight`. The highlighter accepts the code and
+ * its language, and returns the highlighted code without a `<pre>` element. If the JSDoc
+ * configuration sets `markdown.highlight`, that highlighter is used instead.
  * @returns {function} A function that converts Markdown to HTML.
  */
-exports.getParser = () => getParseFunction(env.conf.markdown);
+exports.getParser = (opts = {}) => getParseFunction(env.conf.markdown, opts.highlighter);
@@ -0,0 +1,282 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/render-pool */
+
+const { default: ow } = require('ow');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Key for the non-enumerable properties of an object, such as the `parsedType` property that JSDoc
+// adds to type information. The structured clone algorithm drops these properties.
+const HIDDEN_KEY = '__jsdocHiddenProperties';
+const WORKER_PATH = path.join(__dirname, 'render-worker.js');
+
+function isCloneableAsIs(value) {
+    return value instanceof Date || value instanceof RegExp || value instanceof Map ||
+        value instanceof Set;
+}
+
+/**
+ * Converts a value to a format that can be passed to a worker thread. Functions are dropped, and
+ * non-enumerable properties are preserved. Use {@link module:lib/render-pool.fromCloneable} to
+ * restore the value.
+ *
+ * @param {*} value - The value to convert.
+ * @param {Map} [seen] - Values that were already converted. Used to preserve circular references.
+ * @return {*} The converted value.
+ */
+function toCloneable(value, seen = new Map()) {
+    let hidden;
+    let result;
+
+    if (value === null || typeof value !== 'object' || isCloneableAsIs(value)) {
+        return typeof value === 'function' ? undefined : value;
+    }
+    if (seen.has(value)) {
+        return seen.get(value);
+    }
+
+    if (Array.isArray(value)) {
+        result = [];
+        seen.set(value, result);
+        for (const item of value) {
+            result.push(toCloneable(item, seen));
+        }
+
+        return result;
+    }
+
+    result = {};
+    seen.set(value, result);
+    for (const key of Object.getOwnPropertyNames(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+
+        if (!('value' in descriptor) || typeof descriptor.value === 'function') {
+            continue;
+        }
+
+        if (descriptor.enumerable) {
+            result[key] = toCloneable(descriptor.value, seen);
+        } else {
+            hidden = hidden || {};
+            hidden[key] = toCloneable(descriptor.value, seen);
+        }
+    }
+    if (hidden) {
+        result[HIDDEN_KEY] = hidden;
+    }
+
+    return result;
+}
+
+/**
+ * Restores a value that was converted by {@link module:lib/render-pool.toCloneable}.
+ *
+ * @param {*} value - The value to restore. The value is modified in place.
+ * @param {Set} [seen] - Values that were already restored.
+ * @return {*} The restored value.
+ */
+function fromCloneable(value, seen = new Set()) {
+    let hidden;
+
+    if (value === null || typeof value !== 'object' || isCloneableAsIs(value) ||
+        seen.has(value)) {
+        return value;
+    }
+
+    seen.add(value);
+    if (!Array.isArray(value) && {}.hasOwnProperty.call(value, HIDDEN_KEY)) {
+        hidden = value[HIDDEN_KEY];
+        delete value[HIDDEN_KEY];
+        for (const key of Object.keys(hidden)) {
+            Object.defineProperty(value, key, {
+                configurable: true,
+                enumerable: false,
+                value: fromCloneable(hidden[key], seen),
+                writable: true
+            });
+        }
+    }
+    for (const key of Object.keys(value)) {
+        fromCloneable(value[key], seen);
+    }
+
+    return value;
+}
+
+/**
+ * A pool of worker threads that render views. Each worker creates its own template, so rendering
+ * in a worker produces the same output as calling {@link module:lib/template#render}.
+ */
+class RenderPool {
+    /**
+     * Creates a pool of worker threads.
+     *
+     * @param {Object} opts - Options for the pool.
+     * @param {number} opts.size - The number of worker threads to create.
+     * @param {Object} opts.env - The `conf`, `dirname`, and `opts` properties of the JSDoc
+     * environment (`jsdoc/env`).
+     * @param {module:lib/link-manager} opts.linkManager - The link manager whose filenames and
+     * fragment IDs are used when rendering.
+     * @param {Set<string>} [opts.newLongnames] - The longnames of the symbols that are new in the
+     * current version of the package.
+     * @param {Object} opts.templateConfig - The template's configuration settings.
+     */
+    constructor(opts) {
+        ow(opts, ow.object);
+        ow(opts.size, ow.number.integer.positive);
+        ow(opts.env, ow.object);
+        ow(opts.linkManager, ow.object);
+        ow(opts.newLongnames, ow.optional.set);
+        ow(opts.templateConfig, ow.object);
+
+        const workerData = toCloneable({
+            env: {
+                conf: opts.env.conf,
+                dirname: opts.env.dirname,
+                opts: opts.env.opts
+            },
+            linkManagerState: opts.linkManager.exportState(),
+            newLongnames: opts.newLongnames || new Set(),
+            templateConfig: opts.templateConfig
+        });
+
+        this._busy = new Map();
+        this._idle = [];
+        this._queue = [];
+        this._workers = [];
+
+        for (let i = 0; i < opts.size; i++) {
+            this._addWorker(workerData);
+        }
+    }
+
+    _addWorker(workerData) {
+        const worker = new Worker(WORKER_PATH, { workerData });
+
+        worker.on('message', message => this._onMessage(worker, message));
+        worker.on('error', e => this._onError(worker, e));
+        worker.on('exit', exitCode => this._onExit(worker, exitCode));
+        this._workers.push(worker);
+        this._idle.push(worker);
+    }
+
+    _next() {
+        let job;
+        let worker;
+
+        while (this._idle.length && this._queue.length) {
+            worker = this._idle.shift();
+            job = this._queue.shift();
+            this._busy.set(worker, job);
+            worker.postMessage(job.message);
+        }
+    }
+
+    _onError(worker, e) {
+        const job = this._busy.get(worker);
+
+        this._busy.delete(worker);
+        this._workers = this._workers.filter(w => w !== worker);
+        this._idle = this._idle.filter(w => w !== worker);
+
+        if (job) {
+            job.reject(e);
+        }
+
+        // If every worker has failed, nothing will ever process the queue.
+        if (!this._workers.length) {
+            for (const queued of this._queue.splice(0)) {
+                queued.reject(e);
+            }
+        }
+    }
+
+    _onExit(worker, exitCode) {
+        // If the worker failed with an error, or if the pool was closed, then the worker is already
+        // gone from the pool.
+        if (!this._workers.includes(worker)) {
+            return;
+        }
+
+        this._onError(worker,
+            new Error(`A render worker stopped unexpectedly with the exit code ${exitCode}.`));
+    }
+
+    _onMessage(worker, { error, rendered }) {
+        const job = this._busy.get(worker);
+        let e;
+
+        this._busy.delete(worker);
+        this._idle.push(worker);
+
+        if (error) {
+            e = new Error(error.message);
+            e.stack = error.stack;
+            job.reject(e);
+        } else {
+            job.resolve(rendered);
+        }
+
+        this._next();
+    }
+
+    /**
+     * Stops all of the worker threads.
+     *
+     * @return {Promise} A promise that is fulfilled when all of the worker threads have stopped.
+     */
+    close() {
+        const workers = this._workers;
+
+        this._workers = [];
+        this._idle = [];
+
+        return Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    /**
+     * Renders a view in a worker thread. Accepts the same arguments as
+     * {@link module:lib/template#render}.
+     *
+     * @param {string} viewName - The name of the view to render.
+     * @param {Object} data - The data to pass to the view.
+     * @param {Object} [options] - Options for rendering the view.
+     * @return {Promise<string>} A promise that is fulfilled with the rendered view.
+     */
+    render(viewName, data, options = {}) {
+        if (!this._workers.length) {
+            return Promise.reject(new Error('The render pool has no worker threads.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this._queue.push({
+                message: {
+                    data: toCloneable(data),
+                    options,
+                    viewName
+                },
+                reject,
+                resolve
+            });
+            this._next();
+        });
+    }
+}
+
+exports.fromCloneable = fromCloneable;
+exports.RenderPool = RenderPool;
+exports.toCloneable = toCloneable;
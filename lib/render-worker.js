@@ -0,0 +1,77 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+// Entry point for the worker threads in `lib/render-pool`. Each worker creates its own template,
+// then renders views as the main thread requests them.
+const { fromCloneable } = require('./render-pool');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+
+// JSDoc lets templates call `require('jsdoc/foo')` by patching `require`. Worker threads don't
+// inherit the patch, so we have to apply it again. The patch only applies to modules that are
+// loaded through the patched `require`, so we load JSDoc's modules by path.
+function getRequire(jsdocPath) {
+    let requizzle;
+
+    if (!jsdocPath) {
+        return require;
+    }
+
+    requizzle = require(require.resolve('requizzle', { paths: [jsdocPath] }));
+
+    return requizzle({
+        requirePaths: {
+            before: [path.join(jsdocPath, 'lib')],
+            after: [path.join(jsdocPath, 'node_modules')]
+        },
+        infect: true
+    });
+}
+
+function createTemplate({ env: envData, linkManagerState, newLongnames, templateConfig }) {
+    const templateRequire = getRequire(envData.dirname);
+    const env = envData.dirname ?
+        templateRequire(path.join(envData.dirname, 'lib', 'jsdoc', 'env')) :
+        templateRequire('jsdoc/env');
+    const Template = templateRequire(path.join(__dirname, 'template'));
+    let template;
+
+    env.conf = envData.conf;
+    env.dirname = envData.dirname;
+    env.opts = envData.opts;
+
+    template = new Template(templateConfig);
+    template.linkManager.importState(linkManagerState);
+    template.newLongnames = newLongnames;
+
+    return template;
+}
+
+const template = createTemplate(fromCloneable(workerData));
+
+parentPort.on('message', ({ data, options, viewName }) => {
+    try {
+        parentPort.postMessage({
+            rendered: template.render(viewName, fromCloneable(data), options)
+        });
+    } catch (e) {
+        parentPort.postMessage({
+            error: {
+                message: e.message,
+                stack: e.stack
+            }
+        });
+    }
+});
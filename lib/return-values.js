@@ -0,0 +1,128 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/return-values */
+
+const { AstBuilder } = require('jsdoc/src/astbuilder');
+const fs = require('fs-extra');
+const path = require('path');
+
+const FUNCTION_TYPES = ['ArrowFunctionExpression', 'FunctionDeclaration', 'FunctionExpression'];
+
+// Gets the child nodes of an AST node.
+function getChildNodes(node) {
+    const children = [];
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key.endsWith('Comments')) {
+            continue;
+        }
+
+        for (const child of [].concat(value)) {
+            if (child && typeof child.type === 'string') {
+                children.push(child);
+            }
+        }
+    }
+
+    return children;
+}
+
+// Finds the outermost function node that is within the range, or `null` if there isn't one.
+function findFunctionNode(node, range) {
+    if (node.range) {
+        if (node.range[1] <= range[0] || node.range[0] >= range[1]) {
+            return null;
+        }
+        if (FUNCTION_TYPES.includes(node.type) && node.range[0] >= range[0] &&
+            node.range[1] <= range[1]) {
+            return node;
+        }
+    }
+
+    for (const child of getChildNodes(node)) {
+        const found = findFunctionNode(child, range);
+
+        if (found) {
+            return found;
+        }
+    }
+
+    return null;
+}
+
+// Gets the AST for a source file, or `null` if the file can't be read or parsed.
+function getAst(filepath, asts) {
+    let ast;
+
+    if (!asts.has(filepath)) {
+        try {
+            ast = new AstBuilder().build(fs.readFileSync(filepath, 'utf8'), filepath);
+        } catch (e) {
+            ast = null;
+        }
+        asts.set(filepath, ast || null);
+    }
+
+    return asts.get(filepath);
+}
+
+// Checks whether a function node returns a value. Ignores `return` statements in nested functions.
+function nodeReturnsValue(functionNode) {
+    const nodes = [functionNode.body];
+    let node;
+
+    // Arrow functions with expression bodies always return a value.
+    if (functionNode.body.type !== 'BlockStatement') {
+        return true;
+    }
+
+    while (nodes.length) {
+        node = nodes.pop();
+        if (node.type === 'ReturnStatement' && node.argument) {
+            return true;
+        }
+        if (!FUNCTION_TYPES.includes(node.type)) {
+            nodes.push(...getChildNodes(node));
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Checks whether the code for a function returns a value. Only the function's own `return`
+ * statements count; `return` statements in nested functions, comments, and strings are ignored.
+ *
+ * @param {Object} doclet - The doclet for the function.
+ * @param {Map<string, ?Object>} [asts] - A cache that maps the paths to source files to their ASTs.
+ * Pass the same cache each time to avoid parsing a file more than once.
+ * @return {?boolean} `true` if the function returns a value, `false` if it does not, or `null` if
+ * the code is not available.
+ */
+exports.returnsValue = (doclet, asts = new Map()) => {
+    let ast;
+    let functionNode;
+    const meta = doclet.meta;
+
+    if (!meta || !meta.filename || !meta.range) {
+        return null;
+    }
+
+    ast = getAst(path.join(meta.path || '', meta.filename), asts);
+    functionNode = ast ? findFunctionNode(ast, meta.range) : null;
+
+    return functionNode ? nodeReturnsValue(functionNode) : null;
+};
@@ -0,0 +1,122 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/sources */
+
+// Kinds of doclets that don't represent a declaration in the code.
+const IGNORED_KINDS = [
+    'file',
+    'package'
+];
+
+function byName(a, b) {
+    return a.name.localeCompare(b.name);
+}
+
+function sortTree(directory) {
+    directory.directories.sort(byName);
+    directory.files.sort(byName);
+    directory.directories.forEach(sortTree);
+
+    return directory;
+}
+
+/**
+ * Finds the documented symbols that are declared in each source file. Inherited and mixed-in
+ * symbols are ignored, because they are declared somewhere else.
+ *
+ * @param {Array<Object>} doclets - All of the doclets.
+ * @return {Map<string, Array<Object>>} The `kind`, `line`, `longname`, and `name` of each
+ * declaration, keyed by the short path of the source file. The declarations are sorted by line
+ * number.
+ */
+exports.getDeclarations = doclets => {
+    const declarations = new Map();
+
+    for (const doclet of doclets) {
+        const meta = doclet.meta;
+        let found;
+
+        if (!meta || !meta.shortpath || !meta.lineno || doclet.inherited || doclet.mixed ||
+            IGNORED_KINDS.includes(doclet.kind)) {
+            continue;
+        }
+
+        if (!declarations.has(meta.shortpath)) {
+            declarations.set(meta.shortpath, []);
+        }
+        found = declarations.get(meta.shortpath);
+        if (!found.some(({ line, longname }) => line === meta.lineno &&
+            longname === doclet.longname)) {
+            found.push({
+                kind: doclet.kind,
+                line: meta.lineno,
+                longname: doclet.longname,
+                name: doclet.name
+            });
+        }
+    }
+
+    for (const found of declarations.values()) {
+        found.sort((a, b) => (a.line - b.line) || a.longname.localeCompare(b.longname));
+    }
+
+    return declarations;
+};
+
+/**
+ * Arranges the short paths of the source files into a directory tree.
+ *
+ * @param {Array<string>} shortpaths - The short paths of the source files.
+ * @return {Object} The root directory. Each directory has a `name`, a `path`, a list of
+ * `directories`, and a list of `files`; each file has a `name` and a `shortpath`. Directories and
+ * files are sorted by name.
+ */
+exports.getSourceTree = shortpaths => {
+    const root = {
+        directories: [],
+        files: [],
+        name: '',
+        path: ''
+    };
+
+    for (const shortpath of shortpaths) {
+        const parts = shortpath.split(/[/\\]/);
+        const filename = parts.pop();
+        let current = root;
+
+        for (const part of parts) {
+            let child = current.directories.find(({ name }) => name === part);
+
+            if (!child) {
+                child = {
+                    directories: [],
+                    files: [],
+                    name: part,
+                    path: current.path ? `${current.path}/${part}` : part
+                };
+                current.directories.push(child);
+            }
+            current = child;
+        }
+
+        current.files.push({
+            name: filename,
+            shortpath
+        });
+    }
+
+    return sortTree(root);
+};
@@ -0,0 +1,286 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const fs = require('fs-extra');
+const { getUnresolvedLinks } = require('../unresolved-links');
+const { log } = require('@jsdoc/util');
+const path = require('path');
+const { Task } = require('@jsdoc/task-runner');
+
+// Extensions for output files whose links we check.
+const PAGE_EXTENSIONS = ['.html', '.md'];
+const HREF = /\shref="([^"]*)"/g;
+const ID = /\sid="([^"]*)"/g;
+const MARKDOWN_LINK = /\]\(([^)\s]+)\)/g;
+
+function decode(str) {
+    str = str.replace(/&amp;/g, '&').replace(/&quot;/g, '"');
+
+    try {
+        return decodeURIComponent(str);
+    } catch (e) {
+        return str;
+    }
+}
+
+// Links that we can't check, such as links to other sites, or to pages outside the output
+// directory.
+function isExternal(href) {
+    return /^(?:[A-Za-z][\w+.-]*:|\/)/.test(href);
+}
+
+function stripExtension(url) {
+    return url.slice(0, url.length - path.posix.extname(url).length);
+}
+
+/**
+ * Checks the links in the generated docs, after all of the output files have been written. The
+ * task reports links to output files that don't exist, links to fragment IDs that don't exist,
+ * `{@link}` tags whose targets can't be resolved, and `@see` tags that refer to unknown symbols.
+ * When possible, each report includes the source file and line number of the doclet that contains
+ * the broken link. Links are checked against the files that the current build wrote, as listed in
+ * `ctx.outputFiles`, so a link to a stale file from an earlier build counts as broken.
+ *
+ * If the `linkChecker.failOnError` config setting is `true`, the task fails when it finds a broken
+ * link. Otherwise, it logs a warning for each broken link.
+ */
+module.exports = class CheckLinks extends Task {
+    constructor(opts) {
+        super(opts);
+
+        this.func = ctx => {
+            try {
+                const { enabled, failOnError } = ctx.templateConfig.linkChecker || {};
+                let errors;
+
+                if (!enabled) {
+                    return Promise.resolve();
+                }
+
+                errors = this._checkDoclets(ctx).concat(this._checkOutputFiles(ctx));
+                for (const error of errors) {
+                    if (failOnError) {
+                        log.error(error);
+                    } else {
+                        log.warn(error);
+                    }
+                }
+                if (failOnError && errors.length) {
+                    return Promise.reject(new Error(`Found ${errors.length} broken links in ` +
+                        'the generated docs'));
+                }
+
+                return Promise.resolve();
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        };
+    }
+
+    // Finds `{@link}` and `@see` tags that refer to unknown symbols. The link manager creates plain
+    // text for these tags, so we can't find them in the output files.
+    _checkDoclets(ctx) {
+        const errors = [];
+        const linkManager = ctx.linkManager;
+
+        for (const doclet of ctx.doclets.value()) {
+            for (const target of getUnresolvedLinks(doclet, linkManager)) {
+                errors.push(this._formatError(`Unable to resolve the link to ${target} in ` +
+                    `${doclet.longname}`, doclet, ctx));
+            }
+        }
+
+        return errors;
+    }
+
+    _checkOutputFiles(ctx) {
+        const baseUrl = ctx.templateConfig.baseUrl ?
+            ctx.templateConfig.baseUrl.replace(/\/*$/, '/') :
+            '';
+        const errors = [];
+        // Only the files from this build count, not stale files from earlier builds.
+        const files = new Set(ctx.outputFiles);
+        const ids = new Map();
+        const pages = [...files].filter(file => PAGE_EXTENSIONS.includes(path.extname(file)));
+        const urlToLongname = this._mapUrlsToLongnames(ctx);
+
+        const getIds = url => {
+            if (!ids.has(url)) {
+                ids.set(url, this._findIds(this._readFile(ctx, url)));
+            }
+
+            return ids.get(url).ids;
+        };
+        const hasId = (url, id) => getIds(url).has(id);
+        // Finds the doclet for the part of the page that contains a link.
+        const findDoclet = (url, positions, index) => {
+            let longname;
+
+            for (let i = positions.length - 1; i >= 0 && !longname; i--) {
+                if (positions[i].index < index) {
+                    longname = urlToLongname.get(`${stripExtension(url)}#${positions[i].id}`);
+                }
+            }
+            longname = longname || urlToLongname.get(stripExtension(url));
+
+            return longname ? ctx.doclets.find({ longname }).value() : null;
+        };
+
+        for (const url of pages) {
+            const content = this._readFile(ctx, url);
+            const pageIds = this._findIds(content);
+            const hrefs = this._findHrefs(content, path.extname(url));
+
+            ids.set(url, pageIds);
+            for (const { href, index } of hrefs) {
+                const error = this._checkHref(href, url, {
+                    baseUrl,
+                    files,
+                    hasId
+                });
+
+                if (error) {
+                    errors.push(this._formatError(`${error} in ${url}`,
+                        findDoclet(url, pageIds.positions, index), ctx));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // Returns a description of the problem with a link, or nothing if the link works.
+    _checkHref(href, pageUrl, { baseUrl, files, hasId }) {
+        const extension = path.posix.extname(pageUrl);
+        const fragmentIndex = href.indexOf('#');
+        const fragment = fragmentIndex === -1 ? null : decode(href.slice(fragmentIndex + 1));
+        let target = fragmentIndex === -1 ? href : href.slice(0, fragmentIndex);
+        let targetUrl;
+
+        target = decode(target.replace(/\?.*$/, ''));
+        if (baseUrl && target.startsWith(baseUrl)) {
+            target = path.posix.relative(path.posix.dirname(pageUrl), target.slice(baseUrl.length));
+        } else if (isExternal(href)) {
+            return null;
+        }
+
+        targetUrl = target ?
+            path.posix.normalize(path.posix.join(path.posix.dirname(pageUrl), target)) :
+            pageUrl;
+        // Links to other projects' docs, which we can't check.
+        if (targetUrl.startsWith('../')) {
+            return null;
+        }
+        // The link might omit the file extension, or point to a directory.
+        targetUrl = [
+            targetUrl,
+            targetUrl + extension,
+            path.posix.join(targetUrl, `index${extension}`)
+        ].find(candidate => files.has(candidate));
+
+        if (!targetUrl) {
+            return `Broken link to ${href}`;
+        }
+        if (fragment && PAGE_EXTENSIONS.includes(path.posix.extname(targetUrl)) &&
+            !hasId(targetUrl, fragment)) {
+            return `Broken link to the missing fragment ID in ${href}`;
+        }
+
+        return null;
+    }
+
+    _findHrefs(content, extension) {
+        const hrefs = [];
+        const patterns = extension === '.md' ? [HREF, MARKDOWN_LINK] : [HREF];
+
+        for (const pattern of patterns) {
+            let match;
+
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(content)) !== null) {
+                hrefs.push({
+                    href: match[1],
+                    index: match.index
+                });
+            }
+        }
+
+        return hrefs;
+    }
+
+    // Returns the IDs in a page, plus the position of each ID.
+    _findIds(content) {
+        const ids = new Set();
+        let match;
+        const positions = [];
+
+        ID.lastIndex = 0;
+        while ((match = ID.exec(content)) !== null) {
+            const id = decode(match[1]);
+
+            ids.add(id);
+            positions.push({
+                id,
+                index: match.index
+            });
+        }
+
+        return {
+            ids,
+            positions
+        };
+    }
+
+    _formatError(message, doclet, ctx) {
+        let filepath;
+        const meta = doclet && doclet.meta;
+
+        if (!meta || !meta.filename) {
+            return message;
+        }
+
+        filepath = path.join(meta.path || '', meta.filename);
+        filepath = (ctx.sourceFiles && ctx.sourceFiles[filepath]) || filepath;
+
+        return `${message} (${filepath}, line ${meta.lineno})`;
+    }
+
+    _mapUrlsToLongnames(ctx) {
+        const urlToLongname = new Map();
+
+        for (const longname of ctx.allLongnames) {
+            const url = ctx.linkManager.getUri(longname, { includeFragmentId: true });
+            const fragmentIndex = url.indexOf('#');
+            let key;
+
+            if (!url) {
+                continue;
+            }
+
+            key = fragmentIndex === -1 ?
+                stripExtension(url) :
+                `${stripExtension(url.slice(0, fragmentIndex))}${url.slice(fragmentIndex)}`;
+            if (!urlToLongname.has(key)) {
+                urlToLongname.set(key, longname);
+            }
+        }
+
+        return urlToLongname;
+    }
+
+    _readFile(ctx, url) {
+        return fs.readFileSync(path.join(ctx.destination, url), 'utf8');
+    }
+};
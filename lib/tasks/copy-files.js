@@ -25,6 +25,7 @@ module.exports = class CopyFiles extends Task {
 
         this.func = ctx => {
             try {
+                const buildCache = ctx.buildCache;
                 const promises = [];
                 const tickets = this.tickets;
 
@@ -33,6 +34,15 @@ module.exports = class CopyFiles extends Task {
                     const outputDir = path.dirname(outputFile);
                     let promise = Promise.resolve();
 
+                    // Files from a previous build that are still current count as output files.
+                    if (ctx.outputFiles) {
+                        ctx.outputFiles.add(ticket.url.replace(/\\/g, '/'));
+                    }
+                    // In incremental builds, only copy files that are new or changed.
+                    if (buildCache && buildCache.isCopyCurrent(ticket.source, outputFile)) {
+                        return;
+                    }
+
                     promise = promise.then(
                         () => fs.ensureDir(outputDir),
                         e => Promise.reject(e)
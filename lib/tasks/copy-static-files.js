@@ -14,6 +14,7 @@
     limitations under the License.
 */
 const CopyFiles = require('./copy-files');
+const { OUTPUT_FORMATS } = require('../enums');
 const Ticket = require('../ticket');
 
 module.exports = class CopyStaticFiles extends CopyFiles {
@@ -21,6 +22,13 @@ module.exports = class CopyStaticFiles extends CopyFiles {
         try {
             const staticFiles = ctx.templateConfig.staticFiles;
 
+            // The static files are the styles and scripts for the HTML output.
+            if (ctx.templateConfig.outputFormat === OUTPUT_FORMATS.MARKDOWN) {
+                this.tickets = [];
+
+                return Promise.resolve();
+            }
+
             this.tickets = staticFiles.map(staticFile => new Ticket({
                 source: staticFile.absolute,
                 url: staticFile.relative
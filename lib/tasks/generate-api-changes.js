@@ -0,0 +1,286 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const { db } = require('../db');
+const fs = require('fs-extra');
+const GenerateFiles = require('./generate-files');
+const { log } = require('@jsdoc/util');
+const { name } = require('@jsdoc/core');
+const Ticket = require('../ticket');
+
+const FORMAT_VERSION = 1;
+
+function formatType(type) {
+    return (type && type.names && type.names.length) ? type.names.join('|') : '';
+}
+
+// Doclets that are part of the public API. Snapshots from `jsdoc -X` include doclets that the
+// template normally prunes, so we filter both builds the same way.
+function isPublicApi(doclet) {
+    return Boolean(doclet && doclet.longname) &&
+        !doclet.undocumented &&
+        !doclet.ignore &&
+        !doclet.inherited &&
+        doclet.kind !== 'package' &&
+        doclet.memberof !== '<anonymous>' &&
+        doclet.access !== 'private';
+}
+
+function getSignature({ params, returns }) {
+    return {
+        params: (params || []).map(param => ({
+            name: param.name || '',
+            optional: Boolean(param.optional),
+            type: formatType(param.type)
+        })),
+        returns: (returns || []).map(item => formatType(item.type)).filter(Boolean)
+    };
+}
+
+// Formats a signature like `(foo: string, [bar]: number) → boolean`.
+function formatSignature({ params, returns }) {
+    const formattedParams = params.map(({ name: paramName, optional, type }) => {
+        const formattedName = optional ? `[${paramName}]` : paramName;
+
+        return type ? `${formattedName}: ${type}` : formattedName;
+    });
+    let formatted = `(${formattedParams.join(', ')})`;
+
+    if (returns.length) {
+        formatted += ` → ${returns.join('|')}`;
+    }
+
+    return formatted;
+}
+
+function hasSignature(doclet) {
+    return Boolean((doclet.params && doclet.params.length) ||
+        (doclet.returns && doclet.returns.length) ||
+        doclet.kind === 'function' ||
+        doclet.kind === 'class');
+}
+
+// Maps longnames, without variations, to doclets. If there are several doclets for a longname, the
+// last one wins, as in the `SetContext` task.
+function mapByLongname(doclets) {
+    const result = new Map();
+
+    for (const doclet of doclets) {
+        if (isPublicApi(doclet)) {
+            result.set(name.stripVariation(doclet.longname), doclet);
+        }
+    }
+
+    return result;
+}
+
+// Gets the doclets from a snapshot. The snapshot can be an array of doclets, like the output of
+// `jsdoc -X`, or an object with a `doclets` array.
+function getSnapshotDoclets(snapshot) {
+    if (Array.isArray(snapshot)) {
+        return snapshot;
+    }
+    if (snapshot && Array.isArray(snapshot.doclets)) {
+        return snapshot.doclets;
+    }
+
+    throw new Error('The snapshot must be an array of doclets, or an object with a `doclets` ' +
+        'array');
+}
+
+function getPackageVersion(doclets) {
+    const packageDoclet = doclets.find(doclet => doclet && doclet.kind === 'package');
+
+    return (packageDoclet && packageDoclet.version) || null;
+}
+
+/**
+ * Compares the public API in the current build with the API in a snapshot of a previous build.
+ *
+ * @param {Array<Object>} previousDoclets - The doclets from the previous build.
+ * @param {Object<string, Object>} currentDocletsByLongname - The doclets from the current build,
+ * keyed by longname.
+ * @return {Object} The changes. The `added`, `removed`, `deprecated`, and `changed` properties are
+ * arrays of objects that each have a `longname` and a `kind`. Deprecated symbols also have a
+ * `message`; symbols with changed signatures have `before` and `after` signatures, plus a list of
+ * the parts of the signature that `changed` (`params`, `returns`, or both).
+ */
+function diffApis(previousDoclets, currentDocletsByLongname) {
+    const changes = {
+        added: [],
+        changed: [],
+        deprecated: [],
+        removed: []
+    };
+    const current = mapByLongname(Object.values(currentDocletsByLongname));
+    const previous = mapByLongname(previousDoclets);
+
+    for (const [longname, doclet] of current) {
+        const previousDoclet = previous.get(longname);
+        let after;
+        let before;
+        const changedParts = [];
+
+        if (!previousDoclet) {
+            changes.added.push({
+                kind: doclet.kind,
+                longname
+            });
+
+            continue;
+        }
+
+        if (doclet.deprecated && !previousDoclet.deprecated) {
+            changes.deprecated.push({
+                kind: doclet.kind,
+                longname,
+                message: typeof doclet.deprecated === 'string' ? doclet.deprecated : ''
+            });
+        }
+
+        if (hasSignature(doclet) || hasSignature(previousDoclet)) {
+            before = getSignature(previousDoclet);
+            after = getSignature(doclet);
+
+            if (JSON.stringify(before.params) !== JSON.stringify(after.params)) {
+                changedParts.push('params');
+            }
+            if (JSON.stringify(before.returns) !== JSON.stringify(after.returns)) {
+                changedParts.push('returns');
+            }
+
+            if (changedParts.length) {
+                changes.changed.push({
+                    after: formatSignature(after),
+                    before: formatSignature(before),
+                    changed: changedParts,
+                    kind: doclet.kind,
+                    longname
+                });
+            }
+        }
+    }
+
+    for (const [longname, doclet] of previous) {
+        if (!current.has(longname)) {
+            changes.removed.push({
+                kind: doclet.kind,
+                longname
+            });
+        }
+    }
+
+    for (const key of Object.keys(changes)) {
+        changes[key].sort((a, b) => a.longname.localeCompare(b.longname));
+    }
+
+    return changes;
+}
+
+/**
+ * Generates a page that lists the changes to the API since a previous build, plus a JSON version
+ * of the changes for other tools, such as release-notes generators. The task runs only if the
+ * `apiChanges.previous` config setting is present. That setting is the path to a JSON snapshot of
+ * the doclets from the previous build, such as the output of `jsdoc -X`.
+ *
+ * The page lists the symbols that were added, removed, and deprecated, and the symbols whose
+ * signatures changed (parameter names, optionality, and types, plus return types). Each entry
+ * links to the symbol's current page, if any.
+ */
+module.exports = class GenerateApiChanges extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        // The URL for the JSON version of the changes.
+        this.jsonUrl = opts.jsonUrl;
+        this.url = opts.url;
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            const { previous } = ctx.templateConfig.apiChanges || {};
+            let changes;
+            let previousDoclets;
+            let previousVersion;
+            let title;
+            let url;
+
+            if (!previous) {
+                return Promise.resolve();
+            }
+
+            try {
+                previousDoclets = getSnapshotDoclets(fs.readJsonSync(previous));
+            } catch (e) {
+                log.error(`Unable to load the API snapshot ${previous}: ${e}`);
+
+                return Promise.resolve();
+            }
+            // Apply the same filter rules as the current build, so that excluded symbols don't
+            // show up as removed.
+            previousDoclets = db({ values: previousDoclets.slice() })
+                .prune(ctx.templateConfig.filter)
+                .value();
+
+            changes = diffApis(previousDoclets, ctx.allDocletsByLongname);
+            previousVersion = getPackageVersion(previousDoclets);
+            title = ctx.template.translate('apiChanges.title');
+            url = this.url || ctx.linkManager.getUri('api-changes');
+
+            for (const key of Object.keys(changes)) {
+                for (const entry of changes[key]) {
+                    entry.url = ctx.linkManager.getUri(entry.longname, {
+                        includeFragmentId: true
+                    }) || null;
+                }
+            }
+
+            this.tickets.push(new Ticket({
+                data: {
+                    changes,
+                    package: ctx.package,
+                    pageTitle: ctx.template.translate('pageTitleNoCategory', {
+                        prefix: ctx.pageTitlePrefix,
+                        title
+                    }),
+                    pageTitlePrefix: ctx.pageTitlePrefix,
+                    previousVersion
+                },
+                url,
+                viewName: 'api-changes.njk'
+            }));
+            if (this.jsonUrl) {
+                this.tickets.push(new Ticket({
+                    data: {
+                        payload: Object.assign({
+                            format: FORMAT_VERSION,
+                            previousVersion
+                        }, changes)
+                    },
+                    url: this.jsonUrl,
+                    viewName: 'json.njk'
+                }));
+            }
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
+
+module.exports.diffApis = diffApis;
@@ -0,0 +1,271 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const GenerateFiles = require('./generate-files');
+const { log } = require('@jsdoc/util');
+const path = require('path');
+const { returnsValue } = require('../return-values');
+const Ticket = require('../ticket');
+
+const FORMAT_VERSION = 1;
+// Matches the module that a longname belongs to, like `module:foo/bar` in `module:foo/bar~baz`.
+const MODULE_LONGNAME = /^module:[^.#~]+/;
+const METRICS = ['symbols', 'params', 'returns'];
+
+function createCounts() {
+    const counts = {};
+
+    for (const metric of METRICS) {
+        counts[metric] = {
+            documented: 0,
+            total: 0
+        };
+    }
+
+    return counts;
+}
+
+function getPercent({ documented, total }) {
+    // If there's nothing to document, then everything is documented.
+    return total ? Math.round((documented / total) * 1000) / 10 : 100;
+}
+
+function summarize(counts) {
+    const summary = {};
+
+    for (const metric of METRICS) {
+        summary[metric] = Object.assign({
+            percent: getPercent(counts[metric])
+        }, counts[metric]);
+    }
+
+    return summary;
+}
+
+// Finds the symbols that belong in the report. The doclets include the "undocumented" doclets that
+// the template normally ignores, so we skip some doclets that aren't really part of the API:
+//
+// + Undocumented inner symbols, which are usually local variables
+// + Artifacts of CommonJS exports, like `module.exports`
+function isCounted(doclet) {
+    return Boolean(doclet && doclet.longname) &&
+        !doclet.ignore &&
+        !doclet.inherited &&
+        doclet.access !== 'private' &&
+        doclet.kind !== 'file' &&
+        doclet.kind !== 'package' &&
+        doclet.memberof !== '<anonymous>' &&
+        doclet.memberof !== 'module' &&
+        doclet.longname !== 'module.exports' &&
+        !(doclet.undocumented && doclet.scope === 'inner');
+}
+
+function hasDescription(item) {
+    return Boolean(item && item.description && item.description.trim());
+}
+
+function hasReturnType(doclet) {
+    return (doclet.returns || []).some(item => item.type && item.type.names &&
+        item.type.names.length);
+}
+
+/**
+ * Measures how much of the public API is documented, and generates a report, plus a JSON summary
+ * of the report. The task runs only if the `coverage.generate` config setting is `true`.
+ *
+ * The report covers three metrics, both for each group of symbols and for the whole project:
+ *
+ * + `symbols`: The percentage of symbols that have a JSDoc comment.
+ * + `params`: The percentage of parameters, for documented symbols, that have a description.
+ * + `returns`: The percentage of documented functions that have a return type. Only functions that
+ * return a value, or that already have a `@returns` tag, are counted.
+ *
+ * Symbols in a module are grouped by module. Other symbols are grouped by source file.
+ *
+ * If the overall percentage for a metric is below the minimum in the `coverage.thresholds` config
+ * setting, the task fails after writing the report.
+ */
+module.exports = class GenerateCoverage extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        // The URL for the JSON summary.
+        this.jsonUrl = opts.jsonUrl;
+        this.url = opts.url;
+    }
+
+    // Gets the name of the module or source file for a symbol.
+    _getGroupName(doclet, ctx) {
+        const moduleMatch = MODULE_LONGNAME.exec(doclet.longname);
+        const meta = doclet.meta;
+        let filepath;
+
+        if (moduleMatch) {
+            return moduleMatch[0];
+        }
+        if (!meta || !meta.filename) {
+            return null;
+        }
+
+        filepath = path.join(meta.path || '', meta.filename);
+
+        return (ctx.sourceFiles && ctx.sourceFiles[filepath]) || meta.filename;
+    }
+
+    // Picks one doclet per longname. A symbol is documented if any of its doclets is documented.
+    _getSymbols(doclets) {
+        const symbols = new Map();
+
+        for (const doclet of doclets.filter(isCounted)) {
+            const existing = symbols.get(doclet.longname);
+
+            if (!existing || (existing.undocumented && !doclet.undocumented)) {
+                symbols.set(doclet.longname, doclet);
+            }
+        }
+
+        return [...symbols.values()];
+    }
+
+    _measure(ctx) {
+        const asts = new Map();
+        const groups = new Map();
+        const overall = createCounts();
+
+        for (const doclet of this._getSymbols(ctx.unprunedDoclets || [])) {
+            const groupName = this._getGroupName(doclet, ctx);
+            let group = groups.get(groupName);
+            const counts = [overall];
+            const hasReturns = doclet.kind === 'function' && !doclet.undocumented &&
+                Boolean(doclet.returns || returnsValue(doclet, asts));
+
+            if (!group) {
+                group = {
+                    counts: createCounts(),
+                    isModule: MODULE_LONGNAME.test(groupName || ''),
+                    name: groupName,
+                    undocumented: []
+                };
+                groups.set(groupName, group);
+            }
+            counts.push(group.counts);
+
+            for (const { params, returns, symbols } of counts) {
+                symbols.total++;
+                if (doclet.undocumented) {
+                    continue;
+                }
+                symbols.documented++;
+
+                for (const param of doclet.params || []) {
+                    params.total++;
+                    if (hasDescription(param)) {
+                        params.documented++;
+                    }
+                }
+
+                if (hasReturns) {
+                    returns.total++;
+                    if (hasReturnType(doclet)) {
+                        returns.documented++;
+                    }
+                }
+            }
+
+            if (doclet.undocumented) {
+                group.undocumented.push(doclet.longname);
+            }
+        }
+
+        return {
+            groups: [...groups.values()]
+                .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+                .map(({ counts, isModule, name, undocumented }) => Object.assign({
+                    isModule,
+                    name,
+                    undocumented: undocumented.sort()
+                }, summarize(counts))),
+            overall: summarize(overall)
+        };
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            const { generate, thresholds } = ctx.templateConfig.coverage || {};
+            const failures = [];
+            let report;
+            let title;
+
+            if (!generate) {
+                return Promise.resolve();
+            }
+
+            report = this._measure(ctx);
+            for (const metric of METRICS) {
+                const minimum = (thresholds && thresholds[metric]) || 0;
+
+                if (report.overall[metric].percent < minimum) {
+                    failures.push(`${metric}: ${report.overall[metric].percent}% ` +
+                        `(minimum: ${minimum}%)`);
+                }
+            }
+
+            title = ctx.template.translate('coverage.title');
+            this.tickets.push(new Ticket({
+                data: {
+                    package: ctx.package,
+                    pageTitle: ctx.template.translate('pageTitleNoCategory', {
+                        prefix: ctx.pageTitlePrefix,
+                        title
+                    }),
+                    pageTitlePrefix: ctx.pageTitlePrefix,
+                    report
+                },
+                url: this.url || ctx.linkManager.getUri('coverage'),
+                viewName: 'coverage.njk'
+            }));
+            if (this.jsonUrl) {
+                this.tickets.push(new Ticket({
+                    data: {
+                        payload: Object.assign({
+                            format: FORMAT_VERSION,
+                            passed: !failures.length,
+                            thresholds: Object.assign({}, thresholds)
+                        }, report)
+                    },
+                    url: this.jsonUrl,
+                    viewName: 'json.njk'
+                }));
+            }
+
+            return super.run(ctx).then(() => {
+                if (failures.length) {
+                    for (const failure of failures) {
+                        log.error(`Documentation coverage is below the minimum for ${failure}`);
+                    }
+
+                    return Promise.reject(new Error('Documentation coverage is below the ' +
+                        'minimum'));
+                }
+
+                return Promise.resolve();
+            });
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
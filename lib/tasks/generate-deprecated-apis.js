@@ -0,0 +1,105 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const GenerateFiles = require('./generate-files');
+const Ticket = require('../ticket');
+
+// Finds the nearest ancestor of a doclet that has its own output file, such as the module or class
+// that the doclet belongs to.
+function getGroupLongname(doclet, ctx) {
+    let memberof = doclet.memberof;
+
+    while (memberof) {
+        if (ctx.needsOutputFile[memberof]) {
+            return memberof;
+        }
+
+        memberof = ctx.allDocletsByLongname[memberof] ?
+            ctx.allDocletsByLongname[memberof].memberof :
+            null;
+    }
+
+    return null;
+}
+
+/**
+ * Generates a page that lists every deprecated symbol, grouped by the module, class, or other
+ * symbol that contains it. Symbols that do not belong to another symbol with its own page, such as
+ * global functions and top-level modules, come first. The task does nothing if there are no
+ * deprecated symbols.
+ */
+module.exports = class GenerateDeprecatedApis extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            const deprecated = ctx.deprecatedDoclets || [];
+            const groups = new Map();
+            let title;
+
+            if (!deprecated.length) {
+                return Promise.resolve();
+            }
+
+            for (const doclet of deprecated) {
+                const groupLongname = getGroupLongname(doclet, ctx);
+
+                if (!groups.has(groupLongname)) {
+                    groups.set(groupLongname, []);
+                }
+                groups.get(groupLongname).push(doclet);
+            }
+
+            title = ctx.template.translate('deprecatedApis.title');
+            this.tickets.push(new Ticket({
+                data: {
+                    // Top-level symbols come first, followed by the other groups in alphabetical
+                    // order.
+                    groups: [...groups.keys()]
+                        .sort((a, b) => {
+                            if (a === null || b === null) {
+                                return a === null ? -1 : 1;
+                            }
+
+                            return a.localeCompare(b);
+                        })
+                        .map(longname => ({
+                            items: groups.get(longname)
+                                .sort((a, b) => a.longname.localeCompare(b.longname)),
+                            longname
+                        })),
+                    package: ctx.package,
+                    pageTitle: ctx.template.translate('pageTitleNoCategory', {
+                        prefix: ctx.pageTitlePrefix,
+                        title
+                    }),
+                    pageTitlePrefix: ctx.pageTitlePrefix
+                },
+                url: this.url || ctx.linkManager.getUri('deprecated-apis'),
+                viewName: 'deprecated-apis.njk'
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
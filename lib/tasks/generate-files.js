@@ -13,10 +13,13 @@
     See the License for the specific language governing permissions and
     limitations under the License.
 */
+const BuildCache = require('../build-cache');
 const fs = require('fs-extra');
 const path = require('path');
 const { Task } = require('@jsdoc/task-runner');
 
+const BEAUTIFY_EXTENSIONS = ['.html', '.md'];
+
 module.exports = class GenerateFiles extends Task {
     constructor(opts) {
         super(opts);
@@ -26,35 +29,52 @@ module.exports = class GenerateFiles extends Task {
         this.func = ctx => {
             try {
                 const beautify = ctx.templateConfig.beautify;
+                const buildCache = ctx.buildCache;
                 const packageInfo = ctx.package;
                 const promises = [];
+                const renderPool = ctx.renderPool;
                 const template = ctx.template;
                 const tickets = this.tickets;
 
                 tickets.forEach(ticket => {
                     const options = {
-                        beautify
+                        beautify,
+                        url: ticket.url
                     };
-                    let output;
                     const outputFile = path.join(ctx.destination, ticket.url);
                     const outputDir = path.dirname(outputFile);
-                    let promise = Promise.resolve();
+                    let promise;
 
                     if (!ticket.data.package) {
                         ticket.data.package = packageInfo;
                     }
-                    // Only beautify HTML files.
-                    if (path.extname(ticket.url) !== '.html') {
+                    // Files from a previous build that are still current count as output files.
+                    if (ctx.outputFiles) {
+                        ctx.outputFiles.add(ticket.url.replace(/\\/g, '/'));
+                    }
+                    // In incremental builds, skip the file if its inputs haven't changed.
+                    if (buildCache &&
+                        buildCache.isCurrent(ticket.url, outputFile, BuildCache.hashTicket(ticket))) {
+                        return;
+                    }
+                    // Only beautify HTML and Markdown files.
+                    if (!BEAUTIFY_EXTENSIONS.includes(path.extname(ticket.url))) {
                         options.beautify = false;
                     }
-                    output = template.render(ticket.viewName, ticket.data, options);
+                    if (renderPool) {
+                        promise = renderPool.render(ticket.viewName, ticket.data, options);
+                    } else {
+                        promise = Promise.resolve(
+                            template.render(ticket.viewName, ticket.data, options)
+                        );
+                    }
 
                     // TODO: Replace with async method. (For some reason, calling `fs.ensureDir` in
                     // this class's tests used the real `fs` instead of the mock. Need to figure out
                     // why.)
                     fs.ensureDirSync(outputDir);
                     promise = promise.then(
-                        () => fs.writeFile(outputFile, output),
+                        output => fs.writeFile(outputFile, output),
                         e => Promise.reject(e)
                     );
 
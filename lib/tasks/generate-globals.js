@@ -45,7 +45,7 @@ module.exports = class GenerateGlobals extends GenerateFiles {
             title = template.translate(`headings.${CATEGORIES.GLOBALS}`, values.length);
             data = {
                 members: globals.categorize().value(),
-                pageCategory: null,
+                pageCategory: CATEGORIES.GLOBALS,
                 pageHeading: template.translate(`headings.${CATEGORIES.GLOBALS}`, values.length),
                 pageTitle: template.translate('pageTitleNoCategory', {
                     prefix: ctx.pageTitlePrefix,
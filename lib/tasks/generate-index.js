@@ -28,6 +28,10 @@ module.exports = class GenerateIndex extends GenerateFiles {
         try {
             const data = {
                 allLongnamesTree: ctx.allLongnamesTree,
+                hasDeprecatedApis: Boolean(ctx.deprecatedDoclets && ctx.deprecatedDoclets.length),
+                hasSinceIndex: Boolean(ctx.sinceDoclets && ctx.sinceDoclets.length),
+                hasSourceIndex: Boolean(ctx.templateConfig.sourceFiles.generate &&
+                    Object.keys(ctx.sourceFiles || {}).length),
                 package: ctx.package,
                 pageTitle: ctx.template.translate('pageTitleNoCategory', {
                     prefix: ctx.pageTitlePrefix,
@@ -0,0 +1,250 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const _ = require('lodash');
+const GenerateFiles = require('./generate-files');
+const { getCoreDocs } = require('../core-docs');
+const path = require('path');
+const { SORT_ORDERS } = require('../enums');
+const Ticket = require('../ticket');
+
+const FORMAT_VERSION = 1;
+// Doclet properties that contain longnames, or arrays of longnames.
+const LONGNAME_KEYS = [
+    'augments',
+    'fires',
+    'implements',
+    'inherits',
+    'listeners',
+    'listens',
+    'memberof',
+    'mixes',
+    'overrides',
+    'requires',
+    'see'
+];
+// Properties that TaffyDB adds to doclets.
+const OMIT_KEYS = [
+    '___id',
+    '___s'
+];
+const VIEW_NAME = 'json.njk';
+
+// Finds the names in a type expression, like `Foo` and `Bar` in `Array<(Foo|Bar)>`.
+function getTypeNames(typeExpression) {
+    return (typeExpression.match(/[\w$#~:/.-]+/g) || [])
+        .map(str => str.replace(/\.$/, ''));
+}
+
+function toUrl(filepath) {
+    return filepath.replace(/\\/g, '/');
+}
+
+/**
+ * Writes the data for the generated docs as JSON, so that other tools can use the data without
+ * scraping the HTML output files.
+ *
+ * The task writes a manifest to the location specified by the `url` property, plus a JSON document
+ * for each symbol that gets its own HTML output file, in the same directory as the manifest. Each
+ * document contains the `docs`, `members`, and `pageCategory` data for the symbol's page, plus a
+ * `links` object that maps longnames mentioned in the document to their URLs. If inherited members
+ * are grouped by ancestor, the document also contains the `inheritedMembers` data. Inline links in
+ * descriptions are resolved to HTML links. All URLs are relative to the root of the generated
+ * docs. Each doclet's `meta` property omits the absolute `path` to the source file; use the
+ * `shortpath` instead.
+ */
+module.exports = class GenerateJsonApi extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    // Finds the URL for each longname that a value refers to, and adds it to `links`.
+    _addLinks(key, value, links, ctx) {
+        let candidates = [];
+
+        if (LONGNAME_KEYS.includes(key)) {
+            candidates = [].concat(value).filter(item => typeof item === 'string');
+        } else if (key === 'names' && Array.isArray(value)) {
+            for (const typeExpression of value) {
+                candidates = candidates.concat(getTypeNames(String(typeExpression)));
+            }
+        }
+
+        for (const candidate of candidates) {
+            const url = ctx.linkManager.getUri(candidate, { includeFragmentId: true });
+
+            if (url) {
+                links[candidate] = url;
+            }
+        }
+    }
+
+    _getJsonUrl(htmlUrl) {
+        const dir = path.dirname(this.url);
+
+        return path.join(dir, path.dirname(htmlUrl),
+            `${path.basename(htmlUrl, path.extname(htmlUrl))}.json`);
+    }
+
+    // Gets a copy of a doclet's `meta` property without the absolute path to the source file, which
+    // would expose the layout of the machine that generated the docs. The `shortpath`, which is
+    // relative to the common prefix of the source files, takes its place.
+    _getMeta(meta, ctx) {
+        const result = _.omit(meta, 'path');
+        let filepath;
+
+        if (!result.shortpath && meta.filename) {
+            filepath = path.join(meta.path || '', meta.filename);
+            if (ctx.sourceFiles && ctx.sourceFiles[filepath]) {
+                result.shortpath = ctx.sourceFiles[filepath];
+            }
+        }
+
+        return result;
+    }
+
+    // Creates a copy of a value that can be converted to JSON, with inline links resolved. Also
+    // records the URLs for all of the longnames that the value refers to.
+    _toJson(value, links, ctx, stack = []) {
+        let result;
+
+        if (typeof value === 'string') {
+            return ctx.linkManager.resolveInlineLinks(value, {
+                // The nearest object with a longname is the doclet that the string belongs to.
+                doclet: _.findLast(stack, item => Boolean(item.longname))
+            });
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        // Drop circular references.
+        if (stack.includes(value)) {
+            return undefined;
+        }
+
+        stack.push(value);
+        if (Array.isArray(value)) {
+            result = value.map(item => this._toJson(item, links, ctx, stack));
+        } else {
+            result = {};
+            for (const key of Object.keys(value)) {
+                if (OMIT_KEYS.includes(key) || typeof value[key] === 'function') {
+                    continue;
+                }
+
+                this._addLinks(key, value[key], links, ctx);
+                if (key === 'meta' && value[key] && typeof value[key] === 'object') {
+                    result[key] = this._toJson(this._getMeta(value[key], ctx), links, ctx, stack);
+                } else {
+                    result[key] = this._toJson(value[key], links, ctx, stack);
+                }
+            }
+            if (value.longname && !value.url) {
+                result.url = ctx.linkManager.getUri(value.longname, { includeFragmentId: true });
+            }
+        }
+        stack.pop();
+
+        return result;
+    }
+
+    _getNavTree(tree, ctx) {
+        const keys = Object.keys(tree || {});
+
+        // Use the same order as the TOC.
+        if (ctx.templateConfig.sort === SORT_ORDERS.ALPHABETICAL) {
+            keys.sort();
+        }
+
+        return keys.filter(key => tree[key]).map(key => {
+            const item = tree[key];
+            const url = ctx.linkManager.getUri(item.longname);
+
+            return {
+                children: this._getNavTree(item.children, ctx),
+                json: url ? toUrl(this._getJsonUrl(url)) : null,
+                longname: item.longname,
+                name: item.name,
+                url: url || null
+            };
+        });
+    }
+
+    run(ctx) {
+        let globalsLinks;
+        let manifest;
+        const symbols = [];
+
+        this.tickets = [];
+
+        try {
+            if (!ctx.templateConfig.jsonApi.generate) {
+                return Promise.resolve();
+            }
+
+            for (const { data, longname, url } of getCoreDocs(ctx)) {
+                const jsonUrl = this._getJsonUrl(url);
+                const links = {};
+                const payload = {
+                    docs: this._toJson(data.docs, links, ctx),
+                    longname,
+                    members: this._toJson(data.members, links, ctx),
+                    pageCategory: data.pageCategory,
+                    url
+                };
+
+                if (data.inheritedMembers) {
+                    payload.inheritedMembers = this._toJson(data.inheritedMembers, links, ctx);
+                }
+                payload.links = links;
+                symbols.push({
+                    json: toUrl(jsonUrl),
+                    longname,
+                    pageCategory: data.pageCategory,
+                    url
+                });
+                this.tickets.push(new Ticket({
+                    data: { payload },
+                    url: jsonUrl,
+                    viewName: VIEW_NAME
+                }));
+            }
+
+            globalsLinks = {};
+            manifest = {
+                format: FORMAT_VERSION,
+                globals: this._toJson(ctx.globals.value(), globalsLinks, ctx),
+                links: globalsLinks,
+                navTree: this._getNavTree(ctx.navTree, ctx),
+                package: ctx.package ? {
+                    name: ctx.package.name || null,
+                    version: ctx.package.version || null
+                } : null,
+                symbols
+            };
+            this.tickets.unshift(new Ticket({
+                data: { payload: manifest },
+                url: this.url,
+                viewName: VIEW_NAME
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
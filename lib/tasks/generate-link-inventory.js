@@ -0,0 +1,76 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const GenerateFiles = require('./generate-files');
+const Ticket = require('../ticket');
+
+const FORMAT_VERSION = 1;
+const VIEW_NAME = 'json.njk';
+
+/**
+ * Writes a link inventory: a JSON file that maps each longname in the generated docs to its URL.
+ * Other projects can import the inventory, using the `linkInventory.imports` config setting, so
+ * that they can link to the symbols in this project.
+ *
+ * The inventory has the properties `format` (the version of the inventory format), `package` (the
+ * name and version of the package, if known), and `links` (the map of longnames to URLs). Each URL
+ * includes the fragment ID, if any, and is relative to the root of the generated docs.
+ */
+module.exports = class GenerateLinkInventory extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    run(ctx) {
+        const links = {};
+
+        this.tickets = [];
+
+        try {
+            if (!ctx.templateConfig.linkInventory.generate) {
+                return Promise.resolve();
+            }
+
+            for (const longname of ctx.allLongnames.slice().sort()) {
+                const url = ctx.linkManager.getUri(longname, { includeFragmentId: true });
+
+                if (url) {
+                    links[longname] = url;
+                }
+            }
+
+            this.tickets.push(new Ticket({
+                data: {
+                    payload: {
+                        format: FORMAT_VERSION,
+                        links,
+                        package: ctx.package ? {
+                            name: ctx.package.name || null,
+                            version: ctx.package.version || null
+                        } : null
+                    }
+                },
+                url: this.url,
+                viewName: VIEW_NAME
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
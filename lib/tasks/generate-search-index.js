@@ -0,0 +1,218 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const GenerateFiles = require('./generate-files');
+const { OUTPUT_FORMATS } = require('../enums');
+const path = require('path');
+const Ticket = require('../ticket');
+
+const INLINE_TAG = /\{@\w+\s+([^}|\s]+)(?:[|\s]+([^}]*))?\}/g;
+const MAX_SUMMARY_LENGTH = 160;
+const OTHER_SHARD = '_';
+const TRIGRAM_LENGTH = 3;
+const VIEW_NAME = 'search-index.njk';
+
+// Use the first character of a symbol's name to decide which shard it belongs to. The browser
+// script uses the same logic to decide which shard to load first for a query.
+function getShardKey(str) {
+    const first = (str || '').charAt(0).toLowerCase();
+
+    if (/[a-z]/.test(first)) {
+        return first;
+    }
+    if (/[0-9]/.test(first)) {
+        return '0';
+    }
+
+    return OTHER_SHARD;
+}
+
+// Get every lowercase three-character substring of the specified strings.
+function getTrigrams(...strs) {
+    const trigrams = new Set();
+
+    for (const str of strs) {
+        const lower = (str || '').toLowerCase();
+
+        for (let i = 0; i + TRIGRAM_LENGTH <= lower.length; i++) {
+            trigrams.add(lower.substr(i, TRIGRAM_LENGTH));
+        }
+    }
+
+    return trigrams;
+}
+
+// Get a short, plain-text summary of a doclet: the `summary` if there is one, or else the first
+// sentence of the class description or description.
+function getSummary({ classdesc, description, summary }) {
+    let text = summary || classdesc || description || '';
+    let firstSentence;
+
+    text = text.replace(INLINE_TAG, (match, target, linkText) => linkText || target)
+        .replace(/<[^>]+>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (!summary) {
+        firstSentence = /^(.+?[.!?])(?:\s|$)/.exec(text);
+        if (firstSentence) {
+            text = firstSentence[1];
+        }
+    }
+
+    if (text.length > MAX_SUMMARY_LENGTH) {
+        text = `${text.substr(0, MAX_SUMMARY_LENGTH - 1).trim()}…`;
+    }
+
+    return text;
+}
+
+/**
+ * Generates the index that the search box in the navbar uses. The index is written as a series of
+ * JavaScript files, each of which passes a compact JSON payload to the browser script, so that
+ * searching works even when the docs are viewed from the local file system.
+ *
+ * Each entry in the index is an array with the format `[name, longname, kind, summary, url]`. If
+ * the number of entries exceeds the `search.shardThreshold` config setting, the entries are split
+ * into shards, based on the first character of each symbol's name.
+ *
+ * When the index is sharded, the manifest also includes a trigram index, which maps each
+ * three-character substring of a symbol's name or longname to the keys of the shards that contain
+ * it. For each query, the browser script loads the shard for the query's first character, which
+ * has the prefix matches, plus the shards whose trigrams include every trigram in the query, which
+ * have the substring matches. This keeps the number of files that the browser loads small, at the
+ * cost of a larger manifest. As a trade-off, fuzzy matches, and substring matches for queries that
+ * are shorter than three characters, only come from shards that the browser has already loaded.
+ */
+module.exports = class GenerateSearchIndex extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    _getEntries(ctx) {
+        const entries = [];
+        const seen = new Set();
+
+        for (const doclet of ctx.doclets.value()) {
+            const longname = doclet.longname;
+            let url;
+
+            if (!longname || doclet.kind === 'package' || seen.has(longname)) {
+                continue;
+            }
+
+            url = ctx.linkManager.getUri(longname, { includeFragmentId: true });
+            if (!url) {
+                continue;
+            }
+
+            seen.add(longname);
+            entries.push([
+                doclet.name || longname,
+                longname,
+                doclet.kind,
+                getSummary(doclet),
+                url
+            ]);
+        }
+
+        return entries;
+    }
+
+    run(ctx) {
+        let entries;
+        let manifest;
+        const shards = {};
+        let trigrams;
+        const shardDir = path.join(path.dirname(this.url || ''), 'jsdoc-search');
+
+        this.tickets = [];
+
+        try {
+            // The search box is part of the HTML output.
+            if (!ctx.templateConfig.components.search ||
+                ctx.templateConfig.outputFormat === OUTPUT_FORMATS.MARKDOWN) {
+                return Promise.resolve();
+            }
+
+            entries = this._getEntries(ctx);
+            manifest = {
+                url: this.url.replace(/\\/g, '/'),
+                entries: null,
+                shards: null,
+                trigrams: null
+            };
+
+            if (entries.length <= ctx.templateConfig.search.shardThreshold) {
+                manifest.entries = entries;
+            } else {
+                for (const entry of entries) {
+                    const key = getShardKey(entry[0]);
+
+                    shards[key] = shards[key] || [];
+                    shards[key].push(entry);
+                }
+
+                manifest.shards = {};
+                trigrams = {};
+                for (const key of Object.keys(shards).sort()) {
+                    const url = path.join(shardDir, `${key}.js`);
+
+                    manifest.shards[key] = url.replace(/\\/g, '/');
+                    for (const entry of shards[key]) {
+                        // A query can match either the name or the longname, so index both.
+                        for (const trigram of getTrigrams(entry[0], entry[1])) {
+                            trigrams[trigram] = trigrams[trigram] || new Set();
+                            trigrams[trigram].add(key);
+                        }
+                    }
+                    this.tickets.push(new Ticket({
+                        data: {
+                            method: 'addShard',
+                            payload: {
+                                entries: shards[key],
+                                key
+                            }
+                        },
+                        url,
+                        viewName: VIEW_NAME
+                    }));
+                }
+
+                // Store each trigram's shard keys as a string, such as `abf`, to keep the manifest
+                // small.
+                manifest.trigrams = {};
+                for (const trigram of Object.keys(trigrams).sort()) {
+                    manifest.trigrams[trigram] = [...trigrams[trigram]].join('');
+                }
+            }
+
+            this.tickets.unshift(new Ticket({
+                data: {
+                    method: 'setManifest',
+                    payload: manifest
+                },
+                url: this.url,
+                viewName: VIEW_NAME
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
@@ -0,0 +1,80 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const { compareVersions } = require('../versions');
+const GenerateFiles = require('./generate-files');
+const Ticket = require('../ticket');
+
+/**
+ * Generates a page that lists the symbols that were added in each version of the package, based on
+ * their `@since` tags. The page has one section per version, with the newest version first. The
+ * task does nothing if no symbols have a `@since` tag. Values that are not versions go at the end of
+ * the page.
+ */
+module.exports = class GenerateSinceIndex extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            const sinceDoclets = ctx.sinceDoclets || [];
+            const versions = new Map();
+            let title;
+
+            if (!sinceDoclets.length) {
+                return Promise.resolve();
+            }
+
+            for (const doclet of sinceDoclets) {
+                const version = String(doclet.since);
+
+                if (!versions.has(version)) {
+                    versions.set(version, []);
+                }
+                versions.get(version).push(doclet);
+            }
+
+            title = ctx.template.translate('sinceIndex.title');
+            this.tickets.push(new Ticket({
+                data: {
+                    package: ctx.package,
+                    pageTitle: ctx.template.translate('pageTitleNoCategory', {
+                        prefix: ctx.pageTitlePrefix,
+                        title
+                    }),
+                    pageTitlePrefix: ctx.pageTitlePrefix,
+                    versions: [...versions.keys()]
+                        .sort((a, b) => compareVersions(b, a))
+                        .map(version => ({
+                            items: versions.get(version)
+                                .sort((a, b) => a.longname.localeCompare(b.longname)),
+                            version
+                        }))
+                },
+                url: this.url || ctx.linkManager.getUri('whats-new'),
+                viewName: 'since-index.njk'
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
@@ -13,15 +13,28 @@
     See the License for the specific language governing permissions and
     limitations under the License.
 */
-const { CATEGORIES } = require('../enums');
+const { CATEGORIES, OUTPUT_FORMATS } = require('../enums');
 const fs = require('fs-extra');
 const GenerateFiles = require('./generate-files');
+const { getDeclarations } = require('../sources');
+const { getHighlighter, getLanguage, splitLines } = require('../highlighter');
 const Ticket = require('../ticket');
 
+/**
+ * Generates a pretty-printed version of each source file. For HTML output, the source code is
+ * highlighted when the docs are built, and each line has an ID, such as `source-line-12`, that
+ * links can point to.
+ *
+ * Each documented symbol that is declared in the source file links back to its documentation, and
+ * the page includes an outline of those symbols.
+ */
 module.exports = class GenerateSourceFiles extends GenerateFiles {
     run(ctx) {
         try {
+            const highlight = getHighlighter(ctx.templateConfig.highlighter);
+            const isMarkdown = ctx.templateConfig.outputFormat === OUTPUT_FORMATS.MARKDOWN;
             const sourceFiles = ctx.sourceFiles;
+            const declarations = getDeclarations(ctx.doclets ? ctx.doclets.value() : []);
 
             this.tickets = [];
 
@@ -38,6 +51,17 @@ module.exports = class GenerateSourceFiles extends GenerateFiles {
                 // Links are keyed to the shortened path.
                 url = ctx.linkManager.getUri(sourceFile);
                 data.docs = fs.readFileSync(file, ctx.template.encoding);
+                // The Markdown view uses the unhighlighted source code.
+                if (!isMarkdown) {
+                    data.lines = splitLines(highlight(data.docs, getLanguage(file)));
+                    data.outline = declarations.get(sourceFile) || [];
+                    // Maps line numbers to the symbols that are declared on that line.
+                    data.declarations = {};
+                    for (const declaration of data.outline) {
+                        data.declarations[declaration.line] =
+                            (data.declarations[declaration.line] || []).concat(declaration);
+                    }
+                }
 
                 this.tickets.push(new Ticket({
                     data,
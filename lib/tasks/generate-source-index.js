@@ -0,0 +1,87 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const fs = require('fs-extra');
+const GenerateFiles = require('./generate-files');
+const { getDeclarations, getSourceTree } = require('../sources');
+const Ticket = require('../ticket');
+
+// Adds the size and the number of documented symbols to each file in a directory and its
+// subdirectories.
+function addFileInfo({ directories, files }, fullPaths, declarations) {
+    for (const file of files) {
+        file.size = fs.statSync(fullPaths[file.shortpath]).size;
+        file.symbols = (declarations.get(file.shortpath) || []).length;
+    }
+    for (const directory of directories) {
+        addFileInfo(directory, fullPaths, declarations);
+    }
+}
+
+/**
+ * Generates a page that lists the source files as a directory tree, with the size of each file and
+ * the number of documented symbols that are declared in it. The task does nothing if there are no
+ * source files, or if the `sourceFiles.generate` config setting is `false`.
+ */
+module.exports = class GenerateSourceIndex extends GenerateFiles {
+    constructor(opts) {
+        super(opts);
+
+        this.url = opts.url;
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            const sourceFiles = ctx.sourceFiles || {};
+            const fullPaths = {};
+            let declarations;
+            let title;
+            let tree;
+
+            if (!ctx.templateConfig.sourceFiles.generate || !Object.keys(sourceFiles).length) {
+                return Promise.resolve();
+            }
+
+            for (const fullPath of Object.keys(sourceFiles)) {
+                fullPaths[sourceFiles[fullPath]] = fullPath;
+            }
+
+            declarations = getDeclarations(ctx.doclets ? ctx.doclets.value() : []);
+            tree = getSourceTree(Object.keys(fullPaths));
+            addFileInfo(tree, fullPaths, declarations);
+
+            title = ctx.template.translate('sourceIndex.title');
+            this.tickets.push(new Ticket({
+                data: {
+                    package: ctx.package,
+                    pageTitle: ctx.template.translate('pageTitleNoCategory', {
+                        prefix: ctx.pageTitlePrefix,
+                        title
+                    }),
+                    pageTitlePrefix: ctx.pageTitlePrefix,
+                    tree
+                },
+                url: this.url || ctx.linkManager.getUri('source-files'),
+                viewName: 'source-index.njk'
+            }));
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
@@ -13,8 +13,12 @@
     See the License for the specific language governing permissions and
     limitations under the License.
 */
+const { escape } = require('html-escaper');
 const GenerateFiles = require('./generate-files');
+const { getSourceTree } = require('../sources');
+const LinkManager = require('../link-manager');
 const { name } = require('@jsdoc/core');
+const { OUTPUT_FORMATS, SORT_ORDERS } = require('../enums');
 const Ticket = require('../ticket');
 
 module.exports = class GenerateToc extends GenerateFiles {
@@ -39,7 +43,15 @@ module.exports = class GenerateToc extends GenerateFiles {
         }
 
         function addItems(data) {
-            Object.keys(data).sort().forEach(key => {
+            const keys = Object.keys(data);
+
+            // The tree follows the order of the doclets, which is already sorted. For alphabetical
+            // order, sort by name rather than longname.
+            if (ctx.templateConfig.sort === SORT_ORDERS.ALPHABETICAL) {
+                keys.sort();
+            }
+
+            keys.forEach(key => {
                 const item = data[key];
                 let tocEntry;
 
@@ -61,7 +73,46 @@ module.exports = class GenerateToc extends GenerateFiles {
             });
         }
 
+        function getTutorialItems(tutorials) {
+            return tutorials.map(tutorial => {
+                const longname = LinkManager.TUTORIAL_NAMESPACE + tutorial.name;
+
+                return {
+                    children: getTutorialItems(tutorial.children || []),
+                    id: longname,
+                    label: ctx.linkManager.createLink(longname, {
+                        linkText: tutorial.title
+                    })
+                };
+            });
+        }
+
+        function getSourceItems({ directories, files }) {
+            return directories
+                .map(directory => ({
+                    children: getSourceItems(directory),
+                    id: `source:${directory.path}/`,
+                    label: `${escape(directory.name)}/`
+                }))
+                .concat(files.map(file => ({
+                    children: [],
+                    id: `source:${file.shortpath}`,
+                    label: ctx.linkManager.createLink(file.shortpath, {
+                        linkText: file.name
+                    })
+                })));
+        }
+
         try {
+            const sourceFiles = Object.values(ctx.sourceFiles || {});
+
+            // The TOC is a script for the HTML output.
+            if (ctx.templateConfig.outputFormat === OUTPUT_FORMATS.MARKDOWN) {
+                this.tickets = [];
+
+                return Promise.resolve();
+            }
+
             // If there are globals, force their TOC item to come first.
             if (ctx.globals.value().length) {
                 addItems({
@@ -73,10 +124,49 @@ module.exports = class GenerateToc extends GenerateFiles {
                 });
             }
             addItems(ctx.navTree);
+            // Tutorials go in their own branch, after the symbols.
+            if (ctx.tutorials && ctx.tutorials.children && ctx.tutorials.children.length) {
+                tocData.push({
+                    children: getTutorialItems(ctx.tutorials.children),
+                    id: 'tutorials',
+                    label: ctx.template.translate('headings.tutorials', 2)
+                });
+            }
+            // So do the source files, if they're generated.
+            if (ctx.templateConfig.sourceFiles.generate && sourceFiles.length) {
+                tocData.push({
+                    children: getSourceItems(getSourceTree(sourceFiles)),
+                    id: 'source-files',
+                    label: ctx.linkManager.createLink('source-files', {
+                        linkText: ctx.template.translate('headings.sources', 2)
+                    })
+                });
+            }
+            if (ctx.sinceDoclets && ctx.sinceDoclets.length) {
+                tocData.push({
+                    children: [],
+                    id: 'whats-new',
+                    label: ctx.linkManager.createLink('whats-new', {
+                        linkText: ctx.template.translate('sinceIndex.title')
+                    })
+                });
+            }
+            if (ctx.deprecatedDoclets && ctx.deprecatedDoclets.length) {
+                tocData.push({
+                    children: [],
+                    id: 'deprecated-apis',
+                    label: ctx.linkManager.createLink('deprecated-apis', {
+                        linkText: ctx.template.translate('deprecatedApis.title')
+                    })
+                });
+            }
 
             this.tickets = [
                 new Ticket({
-                    data: { tocData },
+                    data: {
+                        tocData,
+                        tocUrl: this.url
+                    },
                     url: this.url,
                     viewName: 'toc.njk'
                 })
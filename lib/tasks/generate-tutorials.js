@@ -0,0 +1,77 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const { CATEGORIES } = require('../enums');
+const GenerateFiles = require('./generate-files');
+const LinkManager = require('../link-manager');
+const Ticket = require('../ticket');
+const { TYPES } = require('jsdoc/tutorial');
+
+function summarize(tutorial) {
+    return {
+        // The string that identifies the tutorial to the link manager.
+        longname: LinkManager.TUTORIAL_NAMESPACE + tutorial.name,
+        name: tutorial.name,
+        title: tutorial.title
+    };
+}
+
+/**
+ * Generates an output file for each tutorial, including nested tutorials. The tutorials come from
+ * the directory specified by JSDoc's `--tutorials` option.
+ *
+ * Each output file shows the tutorial's content, plus links to its parent tutorial and its child
+ * tutorials. Markdown tutorials are converted to HTML for HTML output; HTML tutorials are used
+ * as-is.
+ */
+module.exports = class GenerateTutorials extends GenerateFiles {
+    _addTickets(tutorials, parent, ctx) {
+        for (const tutorial of tutorials) {
+            const children = tutorial.children || [];
+
+            this.tickets.push(new Ticket({
+                data: {
+                    pageCategory: CATEGORIES.TUTORIALS,
+                    pageTitle: tutorial.title,
+                    pageTitlePrefix: ctx.pageTitlePrefix,
+                    tutorial: Object.assign(summarize(tutorial), {
+                        children: children.map(summarize),
+                        content: tutorial.content || '',
+                        isMarkdown: tutorial.type === TYPES.MARKDOWN,
+                        parent: parent ? summarize(parent) : null
+                    })
+                },
+                url: ctx.linkManager.getUri(LinkManager.TUTORIAL_NAMESPACE + tutorial.name),
+                viewName: 'tutorial.njk'
+            }));
+
+            this._addTickets(children, tutorial, ctx);
+        }
+    }
+
+    run(ctx) {
+        this.tickets = [];
+
+        try {
+            if (ctx.tutorials) {
+                this._addTickets(ctx.tutorials.children || [], null, ctx);
+            }
+
+            return super.run(ctx);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+};
@@ -0,0 +1,102 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const fs = require('fs-extra');
+const path = require('path');
+const { Task } = require('@jsdoc/task-runner');
+
+const FORMAT_VERSION = 1;
+
+// Sorts version names so that the newest version comes first; for example, `v10.0`, `v9.1`, `v9.0`.
+function compareVersions(a, b) {
+    return b.name.localeCompare(a.name, 'en', { numeric: true });
+}
+
+function toUrl(filepath) {
+    return filepath.replace(/\\/g, '/');
+}
+
+/**
+ * Adds the current version of the docs to the version manifest, a JSON file in the shared root
+ * directory for all versions of the docs. The task runs only if the `versions.current` config
+ * setting is present.
+ *
+ * The manifest has the properties `format` (the version of the manifest format) and `versions`, an
+ * array of versions, newest first. Each version has a `name`, plus the `url` of its directory, the
+ * `index` page, and its link `inventory`, if any. All URLs are relative to the manifest. The
+ * version switcher in the navbar uses the manifest to find the equivalent page in other versions.
+ *
+ * Versions that are already in the manifest are kept, so that each build adds itself to the list.
+ */
+module.exports = class GenerateVersionManifest extends Task {
+    constructor(opts) {
+        super(opts);
+
+        // The manifest's URL, relative to the shared root directory.
+        this.url = opts.url;
+        // The link inventory's URL, relative to the root of each version of the docs.
+        this.inventoryUrl = opts.inventoryUrl;
+
+        this.func = ctx => {
+            try {
+                const { current } = ctx.templateConfig.versions || {};
+                let manifestPath;
+                let versions;
+                let versionUrl;
+
+                if (!current) {
+                    return Promise.resolve();
+                }
+
+                manifestPath = path.join(ctx.config.opts.destination, this.url);
+                versionUrl = `${toUrl(path.relative(path.dirname(manifestPath),
+                    ctx.destination))}/`;
+
+                versions = this._readVersions(manifestPath)
+                    .filter(version => version.name !== current)
+                    .concat({
+                        index: versionUrl + ctx.linkManager.getUri('index'),
+                        inventory: ctx.templateConfig.linkInventory.generate ?
+                            versionUrl + toUrl(this.inventoryUrl) :
+                            null,
+                        name: current,
+                        url: versionUrl
+                    })
+                    .sort(compareVersions);
+
+                return fs.outputJson(manifestPath, {
+                    format: FORMAT_VERSION,
+                    versions
+                }, { spaces: 2 });
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        };
+    }
+
+    // Reads the versions from the existing manifest, if there is one. If the manifest is missing
+    // or invalid, we start over.
+    _readVersions(manifestPath) {
+        let manifest;
+
+        try {
+            manifest = fs.readJsonSync(manifestPath);
+        } catch (e) {
+            return [];
+        }
+
+        return (manifest && Array.isArray(manifest.versions)) ? manifest.versions : [];
+    }
+};
@@ -13,24 +13,48 @@
     See the License for the specific language governing permissions and
     limitations under the License.
 */
+const CheckLinks = require('./check-links');
 const CopyFiles = require('./copy-files');
 const CopyStaticFiles = require('./copy-static-files');
+const GenerateApiChanges = require('./generate-api-changes');
 const GenerateCoreDocs = require('./generate-core-docs');
+const GenerateCoverage = require('./generate-coverage');
+const GenerateDeprecatedApis = require('./generate-deprecated-apis');
 const GenerateFiles = require('./generate-files');
 const GenerateGlobals = require('./generate-globals');
 const GenerateIndex = require('./generate-index');
+const GenerateJsonApi = require('./generate-json-api');
+const GenerateLinkInventory = require('./generate-link-inventory');
+const GenerateSearchIndex = require('./generate-search-index');
+const GenerateSinceIndex = require('./generate-since-index');
 const GenerateSourceFiles = require('./generate-source-files');
+const GenerateSourceIndex = require('./generate-source-index');
 const GenerateToc = require('./generate-toc');
+const GenerateTutorials = require('./generate-tutorials');
+const GenerateVersionManifest = require('./generate-version-manifest');
+const LintDoclets = require('./lint-doclets');
 const SetContext = require('./set-context');
 
 module.exports = {
+    CheckLinks,
     CopyFiles,
     CopyStaticFiles,
+    GenerateApiChanges,
     GenerateCoreDocs,
+    GenerateCoverage,
+    GenerateDeprecatedApis,
     GenerateFiles,
     GenerateGlobals,
     GenerateIndex,
+    GenerateJsonApi,
+    GenerateLinkInventory,
+    GenerateSearchIndex,
+    GenerateSinceIndex,
     GenerateSourceFiles,
+    GenerateSourceIndex,
     GenerateToc,
+    GenerateTutorials,
+    GenerateVersionManifest,
+    LintDoclets,
     SetContext
 };
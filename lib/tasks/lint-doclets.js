@@ -0,0 +1,208 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const { defaultConfig } = require('../config');
+const escape = require('escape-string-regexp');
+const { getUnresolvedLinks } = require('../unresolved-links');
+const { log } = require('@jsdoc/util');
+const { default: ow } = require('ow');
+const path = require('path');
+const { returnsValue } = require('../return-values');
+const { Task } = require('@jsdoc/task-runner');
+
+const SEVERITIES = ['error', 'off', 'warn'];
+
+function hasText(str) {
+    return typeof str === 'string' && Boolean(str.trim());
+}
+
+// Converts a suppression pattern, like `module:foo.*`, to a regular expression.
+function patternToRegExp(pattern) {
+    return new RegExp(`^${pattern.split('*').map(part => escape(part)).join('.*')}$`);
+}
+
+// Each rule returns a list of messages for a doclet. The rules are called with the task as `this`.
+const RULES = {
+    'empty-description'(doclet) {
+        const messages = [];
+
+        if (doclet.kind !== 'package' && !hasText(doclet.description) &&
+            !hasText(doclet.classdesc)) {
+            messages.push(`${doclet.longname} has no description`);
+        }
+        for (const param of doclet.params || []) {
+            if (param.name && !hasText(param.description)) {
+                messages.push(`The parameter ${param.name} of ${doclet.longname} has no ` +
+                    'description');
+            }
+        }
+
+        return messages;
+    },
+    'empty-example'(doclet) {
+        return (doclet.examples || [])
+            .filter(example => !hasText(String(example || '')
+                .replace(/^\s*<caption>[\s\S]*?<\/caption>/i, '')))
+            .map(() => `${doclet.longname} has an example with no code`);
+    },
+    'missing-returns'(doclet) {
+        if (doclet.kind !== 'function' || doclet.returns || doclet.yields || doclet.virtual) {
+            return [];
+        }
+
+        if (returnsValue(doclet, this._asts)) {
+            return [`${doclet.longname} returns a value, but it has no @returns tag`];
+        }
+
+        return [];
+    },
+    'param-mismatch'(doclet) {
+        const code = doclet.meta && doclet.meta.code;
+        let codeParams;
+        let documentedParams;
+        const messages = [];
+
+        if (!['class', 'function'].includes(doclet.kind) || !code ||
+            !Array.isArray(code.paramnames)) {
+            return messages;
+        }
+
+        codeParams = code.paramnames
+            .map(paramName => String(paramName).replace(/^\.\.\./, ''))
+            .filter(Boolean);
+        // Ignore properties of parameters, like `options.foo`.
+        documentedParams = (doclet.params || [])
+            .map(param => param.name)
+            .filter(paramName => paramName && !paramName.includes('.'));
+
+        for (const paramName of documentedParams) {
+            if (!codeParams.includes(paramName)) {
+                messages.push(`The parameter ${paramName} of ${doclet.longname} is documented, ` +
+                    'but it is not in the code');
+            }
+        }
+        for (const paramName of codeParams) {
+            if (!documentedParams.includes(paramName)) {
+                messages.push(`The parameter ${paramName} of ${doclet.longname} is not ` +
+                    'documented');
+            }
+        }
+
+        return messages;
+    },
+    'unresolved-link'(doclet, ctx) {
+        return getUnresolvedLinks(doclet, ctx.linkManager)
+            .map(target => `Unable to resolve the link to ${target} in ${doclet.longname}`);
+    }
+};
+
+/**
+ * Checks the quality of the doc comments while the template has all of the doclets in hand. The
+ * task runs only if the `lint.enabled` config setting is `true`. It logs a message for each
+ * problem, with the source file and line number of the doc comment.
+ *
+ * Each rule has a severity in the `lint.rules` config setting: `error`, `warn`, or `off`. If there
+ * are any problems with the severity `error`, the task fails after reporting all of the problems.
+ * The `lint.suppress` config setting maps rule names, or `*` for all rules, to a list of longnames
+ * whose problems are ignored. A longname can include `*` as a wildcard; for example, `module:foo*`
+ * matches the module `foo` and all of its members.
+ */
+module.exports = class LintDoclets extends Task {
+    constructor(opts) {
+        super(opts);
+
+        this._asts = new Map();
+        this.func = ctx => {
+            try {
+                const { enabled, rules, suppress } = ctx.templateConfig.lint || {};
+                let errorCount = 0;
+                let severities;
+                const suppressions = new Map();
+
+                if (!enabled) {
+                    return Promise.resolve();
+                }
+
+                for (const ruleName of Object.keys(rules || {})) {
+                    ow(ruleName, `rule name ${ruleName}`, ow.string.oneOf(Object.keys(RULES)));
+                    ow(rules[ruleName], `severity for ${ruleName}`, ow.string.oneOf(SEVERITIES));
+                }
+                // Rules that the user didn't configure keep their default severity.
+                severities = Object.assign({}, defaultConfig.lint.rules, rules);
+                for (const ruleName of Object.keys(suppress || {})) {
+                    ow(suppress[ruleName], `suppressions for ${ruleName}`,
+                        ow.array.ofType(ow.string));
+                    suppressions.set(ruleName, suppress[ruleName].map(patternToRegExp));
+                }
+
+                for (const doclet of ctx.doclets.value()) {
+                    // Inherited symbols are copies of symbols that we check elsewhere.
+                    if (doclet.inherited) {
+                        continue;
+                    }
+
+                    for (const ruleName of Object.keys(RULES)) {
+                        const severity = severities[ruleName];
+
+                        if (severity === 'off' ||
+                            this._isSuppressed(ruleName, doclet, suppressions)) {
+                            continue;
+                        }
+
+                        for (const message of RULES[ruleName].call(this, doclet, ctx)) {
+                            const formatted = this._formatMessage(ruleName, message, doclet, ctx);
+
+                            if (severity === 'error') {
+                                errorCount++;
+                                log.error(formatted);
+                            } else {
+                                log.warn(formatted);
+                            }
+                        }
+                    }
+                }
+
+                if (errorCount) {
+                    return Promise.reject(new Error(`Found ${errorCount} problems in the doc ` +
+                        'comments'));
+                }
+
+                return Promise.resolve();
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        };
+    }
+
+    _formatMessage(ruleName, message, doclet, ctx) {
+        const meta = doclet.meta;
+        let filepath;
+
+        if (!meta || !meta.filename) {
+            return `${message} [${ruleName}]`;
+        }
+
+        filepath = path.join(meta.path || '', meta.filename);
+        filepath = (ctx.sourceFiles && ctx.sourceFiles[filepath]) || filepath;
+
+        return `${filepath}:${meta.lineno}: ${message} [${ruleName}]`;
+    }
+
+    _isSuppressed(ruleName, doclet, suppressions) {
+        const patterns = (suppressions.get(ruleName) || []).concat(suppressions.get('*') || []);
+
+        return patterns.some(pattern => pattern.test(doclet.longname));
+    }
+};
@@ -1,6 +1,15 @@
+const BuildCache = require('../build-cache');
 const { CATEGORIES, KIND_TO_CATEGORY, OUTPUT_FILE_CATEGORIES } = require('../enums');
+const { compareVersions } = require('../versions');
 const { db } = require('../../lib/db');
+const env = require('jsdoc/env');
+const fs = require('fs-extra');
+const { getUnresolvedLinks } = require('../unresolved-links');
+const LinkManager = require('../link-manager');
+const { log } = require('@jsdoc/util');
 const { name } = require('@jsdoc/core');
+const path = require('path');
+const { RenderPool } = require('../render-pool');
 const { Task } = require('@jsdoc/task-runner');
 const Template = require('../template');
 
@@ -20,6 +29,47 @@ const defaultGlobalKinds = (() => {
     return kinds;
 })();
 
+// Gets the output directory. If the `versions.current` config setting is present, the output goes
+// in a subdirectory for that version.
+function getDestination(ctx) {
+    const destination = ctx.config.opts.destination;
+    const { current } = ctx.templateConfig.versions || {};
+
+    if (!current) {
+        return destination;
+    }
+
+    if (/[/\\]/.test(current) || current === '.' || current === '..') {
+        throw new Error(`The version name "${current}" must be the name of a single directory, ` +
+            'such as v2.1');
+    }
+
+    return path.join(destination || '', current);
+}
+
+// Finds the longnames that a doclet refers to outside of its text: the symbols that it extends,
+// implements, or mixes in, and the names in its type expressions, such as `Foo` in `Array<Foo>`.
+function getReferences(value, references = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => getReferences(item, references));
+    } else if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            if (['augments', 'implements', 'mixes'].includes(key)) {
+                references.push(...[].concat(value[key]).filter(item => typeof item === 'string'));
+            } else if (key === 'type' && value.type && Array.isArray(value.type.names)) {
+                for (const typeName of value.type.names) {
+                    references.push(...(String(typeName).match(/[\w$#~:/.-]+/g) || [])
+                        .map(str => str.replace(/\.$/, '')));
+                }
+            } else if (key !== 'comment' && key !== 'meta') {
+                getReferences(value[key], references);
+            }
+        }
+    }
+
+    return references;
+}
+
 function isValidPackage(doclet) {
     return doclet && doclet.kind === 'package' && doclet.longname !== 'package:undefined';
 }
@@ -31,31 +81,46 @@ module.exports = class SetContext extends Task {
         this.globalKinds = defaultGlobalKinds.slice();
         this.func = ctx => {
             try {
-                const doclets = ctx.doclets;
+                let doclets;
+                let excludedLongnames;
                 const workspace = {
                     allDocletsByLongname: {},
                     allLongnames: [],
+                    docletsToRegister: [],
                     events: {},
                     globals: [],
                     listeners: {},
                     needsOutputFile: {}
                 };
 
+                // Remove the symbols that the filter rules exclude before anything links to them.
+                excludedLongnames = this._filterDoclets(ctx);
+                doclets = ctx.doclets;
+
                 ctx.readme = ctx.config.opts.readme;
                 ctx.template = new Template(ctx.templateConfig);
                 ctx.linkManager = ctx.template.linkManager;
 
                 // Claim some special filenames before anything else has a chance to get them.
                 this._claimSpecialFilenames(ctx);
-                // Then claim filenames for the source files.
+                // Then claim filenames for the source files and tutorials.
                 this._claimSourceFilenames(ctx);
+                this._claimTutorialFilenames(ctx);
 
                 for (const doclet of doclets.value()) {
                     this._handleDoclet(doclet, ctx, workspace);
                 }
+                this._registerDoclets(ctx, workspace);
+                // Import links to other projects last, so that this project's symbols take
+                // precedence.
+                this._importLinkInventories(ctx);
+                this._warnAboutExcludedSymbols(ctx, excludedLongnames);
 
                 this._addListenersToEvents(workspace);
                 this._updateContext(ctx, workspace);
+                this._markNewSymbols(ctx);
+                this._createBuildCache(ctx);
+                this._createRenderPool(ctx);
             } catch (e) {
                 return Promise.reject(e);
             }
@@ -82,20 +147,124 @@ module.exports = class SetContext extends Task {
     _claimSourceFilenames(ctx) {
         if (ctx.sourceFiles) {
             for (const filename of Object.values(ctx.sourceFiles)) {
-                ctx.linkManager.requestFilename(filename);
+                ctx.linkManager.requestFilename(filename, { category: CATEGORIES.SOURCES });
             }
         }
     }
 
     _claimSpecialFilenames(ctx) {
+        const { apiChanges, coverage } = ctx.templateConfig;
+
         ctx.linkManager.requestFilename('index');
-        ctx.linkManager.requestFilename('global');
+        ctx.linkManager.requestFilename('deprecated-apis');
+        ctx.linkManager.requestFilename('source-files');
+        ctx.linkManager.requestFilename('whats-new');
+        if (apiChanges && apiChanges.previous) {
+            ctx.linkManager.requestFilename('api-changes');
+        }
+        if (coverage && coverage.generate) {
+            ctx.linkManager.requestFilename('coverage');
+        }
+        ctx.linkManager.requestFilename('global', { category: CATEGORIES.GLOBALS });
+    }
+
+    // Registers each tutorial, including nested tutorials, with the link manager.
+    _claimTutorialFilenames(ctx) {
+        const tutorialNames = [];
+
+        function claim(tutorials) {
+            for (const tutorial of tutorials) {
+                ctx.linkManager.registerTutorial(tutorial.name, tutorial.title);
+                tutorialNames.push(tutorial.name);
+                claim(tutorial.children || []);
+            }
+        }
+
+        if (ctx.tutorials) {
+            claim(ctx.tutorials.children || []);
+        }
+        ctx.tutorialNames = tutorialNames;
+    }
+
+    // For incremental builds, load the cache from the previous build. The fingerprint covers
+    // everything that can change an output file without changing its ticket: the template config,
+    // and the URL for every longname and tutorial.
+    _createBuildCache(ctx) {
+        const { enabled, force } = ctx.templateConfig.incremental || {};
+        let fingerprint;
+        const tutorialStrings = ctx.tutorialNames.map(
+            tutorialName => LinkManager.TUTORIAL_NAMESPACE + tutorialName
+        );
+
+        if (!enabled) {
+            return;
+        }
+
+        fingerprint = BuildCache.hash(
+            ctx.templateConfig,
+            ctx.allLongnames.concat(ctx.importedLongnames, tutorialStrings).map(longname => [
+                longname,
+                ctx.linkManager.getUri(longname, { includeFragmentId: true })
+            ])
+        );
+        ctx.buildCache = new BuildCache({
+            filepath: path.join(ctx.destination, BuildCache.CACHE_FILENAME),
+            fingerprint,
+            force: Boolean(force)
+        }).load();
+    }
+
+    // Start the worker threads for rendering, if any. The workers get a copy of the link manager's
+    // state, so this must happen after every doclet has been registered.
+    _createRenderPool(ctx) {
+        const size = ctx.templateConfig.renderWorkers;
+
+        if (!size) {
+            return;
+        }
+
+        ctx.renderPool = new RenderPool({
+            env,
+            linkManager: ctx.linkManager,
+            newLongnames: ctx.newLongnames,
+            size,
+            templateConfig: ctx.templateConfig
+        });
+    }
+
+    // Applies the rules in the `filter` config setting, and returns the longnames of the symbols
+    // that were removed. The rules also apply to the unpruned doclets, so that the excluded symbols
+    // don't count toward the documentation coverage.
+    _filterDoclets(ctx) {
+        const filter = ctx.templateConfig.filter || {};
+        let allDoclets;
+        let kept;
+        let keptLongnames;
+
+        if (!(filter.exclude && filter.exclude.length) && !(filter.include && filter.include.length)) {
+            return new Set();
+        }
+
+        // Pruning changes the array in place, so keep a copy.
+        allDoclets = ctx.doclets.value().slice();
+        kept = ctx.doclets.prune(filter).value();
+        keptLongnames = new Set(kept.map(d => d.longname));
+        ctx.doclets = db({
+            config: ctx.config,
+            values: kept
+        });
+        if (ctx.unprunedDoclets) {
+            ctx.unprunedDoclets = db({ values: ctx.unprunedDoclets.slice() }).prune(filter).value();
+        }
+
+        return new Set(allDoclets.map(d => d.longname).filter(l => !keptLongnames.has(l)));
     }
 
     _handleDoclet(doclet, ctx, workspace) {
         const {
             allDocletsByLongname,
             allLongnames,
+            docletsToRegister,
             events,
             globals,
             listeners,
@@ -146,22 +315,99 @@ module.exports = class SetContext extends Task {
                 needsOutputFile[longname] = true;
             }
 
+            docletsToRegister.push(doclet);
+        }
+    }
+
+    // Adds links to the symbols in other projects' link inventories. If an import doesn't have a
+    // base URL, we link to the directory that contains the inventory.
+    _importLinkInventories(ctx) {
+        const destination = getDestination(ctx);
+        const { imports } = ctx.templateConfig.linkInventory || {};
+
+        ctx.importedLongnames = [];
+
+        for (const { baseUrl, path: filepath } of imports || []) {
+            let inventory;
+            let url = baseUrl;
+
+            try {
+                inventory = fs.readJsonSync(filepath);
+            } catch (e) {
+                log.error(`Unable to load the link inventory ${filepath}: ${e}`);
+                continue;
+            }
+
+            if (!url) {
+                url = path.relative(path.resolve(destination || ''),
+                    path.dirname(path.resolve(filepath))).replace(/\\/g, '/');
+            }
+
+            ctx.importedLongnames = ctx.importedLongnames.concat(
+                ctx.linkManager.importLinks(inventory.links || {}, url)
+            );
+        }
+    }
+
+    // If the user asked us to, find the symbols that were added in the current version of the
+    // package, so that the template can add a label to them.
+    _markNewSymbols(ctx) {
+        const { since } = ctx.templateConfig;
+        const version = ctx.package && ctx.package.version;
+
+        ctx.newLongnames = new Set();
+        ctx.template.newLongnames = ctx.newLongnames;
+        if (!since || !since.labelNew || !version) {
+            return;
+        }
+
+        for (const doclet of ctx.doclets.value()) {
+            if (doclet.since && compareVersions(String(doclet.since), String(version)) === 0) {
+                ctx.newLongnames.add(doclet.longname);
+            }
+        }
+    }
+
+    // Registers the doclets with the link manager. Symbols that get their own output file go first,
+    // so that their members, which may come earlier in the sort order, can't claim a filename for
+    // them in the wrong directory.
+    _registerDoclets(ctx, { docletsToRegister }) {
+        const ownFile = [];
+        const others = [];
+
+        for (const doclet of docletsToRegister) {
+            if (OUTPUT_FILE_CATEGORIES.includes(KIND_TO_CATEGORY[doclet.kind])) {
+                ownFile.push(doclet);
+            } else {
+                others.push(doclet);
+            }
+        }
+
+        for (const doclet of ownFile.concat(others)) {
             ctx.linkManager.registerDoclet(doclet);
         }
     }
 
     _updateContext(ctx, workspace) {
+        ctx.allDocletsByLongname = workspace.allDocletsByLongname;
         ctx.allLongnames = workspace.allLongnames;
         ctx.allLongnamesTree = name.longnamesToTree(
             workspace.allLongnames,
             workspace.allDocletsByLongname
         );
-        ctx.destination = ctx.config.opts.destination;
+        // Inherited members are listed under the symbol that they came from.
+        ctx.deprecatedDoclets = Object.values(workspace.allDocletsByLongname)
+            .filter(doclet => doclet.deprecated && !doclet.inherited);
+        ctx.destination = getDestination(ctx);
         ctx.globals = db({
             values: workspace.globals
         });
         ctx.navTree = name.longnamesToTree(Object.keys(workspace.needsOutputFile));
         ctx.needsOutputFile = workspace.needsOutputFile;
+        // The tasks that write output files add the URL of each file, relative to the destination.
+        ctx.outputFiles = new Set();
+        ctx.sinceDoclets = Object.values(workspace.allDocletsByLongname)
+            .filter(doclet => doclet.since && !doclet.inherited);
 
         if (!ctx.package || !ctx.package.name) {
             ctx.pageTitlePrefix = '';
@@ -172,4 +418,24 @@ module.exports = class SetContext extends Task {
             });
         }
     }
+
+    // Warns about links from the documented symbols to the symbols that the filter rules excluded.
+    // The links are displayed as plain text.
+    _warnAboutExcludedSymbols(ctx, excludedLongnames) {
+        if (!excludedLongnames.size) {
+            return;
+        }
+
+        for (const doclet of ctx.doclets.value()) {
+            const targets = new Set(getUnresolvedLinks(doclet, ctx.linkManager)
+                .concat(getReferences(doclet)));
+
+            for (const target of targets) {
+                if (excludedLongnames.has(target) && !ctx.linkManager.getUri(target)) {
+                    log.warn(`${doclet.longname} refers to ${target}, which is excluded by the ` +
+                        'filter rules. The link is displayed as plain text.');
+                }
+            }
+        }
+    }
 };
@@ -24,6 +24,7 @@ const { log } = require('@jsdoc/util');
 const { lsSync } = require('@jsdoc/util').fs;
 const MessageFormat = require('messageformat');
 const nunjucks = require('nunjucks');
+const { OUTPUT_FORMATS } = require('./enums');
 const path = require('path');
 const { readFileSync } = require('fs');
 const { ViewLoader } = require('./loader');
@@ -37,6 +38,48 @@ const BASE_VIEWS = [
     path.resolve(__dirname, '../views/macros'),
     path.resolve(__dirname, '../views/partials')
 ];
+// Views that replace the base views when the output format is Markdown.
+const MARKDOWN_VIEWS = [
+    path.resolve(__dirname, '../views/markdown/layouts'),
+    path.resolve(__dirname, '../views/markdown/macros'),
+    path.resolve(__dirname, '../views/markdown/partials')
+];
+
+// Removes trailing whitespace and extra blank lines, which are harmless in HTML but change the
+// meaning of Markdown. Fenced code blocks are left alone.
+function tidyMarkdown(markdown) {
+    let fence = null;
+    const lines = [];
+
+    for (let line of markdown.split('\n')) {
+        const fenceMatch = line.match(/^\s*(`{3,})/);
+
+        if (fence) {
+            lines.push(line);
+            // A closing fence contains only backticks, at least as many as the opening fence.
+            if (fenceMatch && fenceMatch[1].length >= fence.length &&
+                line.trim() === fenceMatch[1]) {
+                fence = null;
+            }
+
+            continue;
+        }
+
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+        }
+
+        line = line.replace(/\s+$/, '');
+        // Skip blank lines at the start of the file, and blank lines that follow another blank line.
+        if (!line && (!lines.length || !lines[lines.length - 1])) {
+            continue;
+        }
+
+        lines.push(line);
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+}
 
 function loadYaml(filepath) {
     let parsedObject;
@@ -54,13 +97,22 @@ function loadYaml(filepath) {
 
 module.exports = class Template {
     constructor(conf) {
+        const isMarkdown = conf.outputFormat === OUTPUT_FORMATS.MARKDOWN;
+
         this._l10nData = null;
         this._l10nFormatter = null;
         this._loaders = [
             new ViewLoader(conf.views),
             new ViewLoader(BASE_VIEWS)
         ];
-        this._renderEnv = new nunjucks.Environment(this._loaders);
+        if (isMarkdown) {
+            this._loaders.splice(1, 0, new ViewLoader(MARKDOWN_VIEWS));
+        }
+        // In Markdown, whitespace is significant, so we remove the whitespace around tags.
+        this._renderEnv = new nunjucks.Environment(this._loaders, {
+            lstripBlocks: isMarkdown,
+            trimBlocks: isMarkdown
+        });
         this.config = conf;
         this.cssClasses = config.readJsonSync(conf.cssClassMap);
         this.encoding = this.config.encoding;
@@ -68,18 +120,60 @@ module.exports = class Template {
         this.locale = this.config.locale;
         this.ids = {};
         this.linkManager = new LinkManager({
+            baseUrl: conf.baseUrl,
             config: conf,
+            directories: conf.outputDirectories,
             fileExtension: conf.extensions.outputFiles,
+            format: conf.outputFormat,
             linkExtension: conf.extensions.links
         });
+        // The longnames of the symbols that are new in the current version of the package.
+        this.newLongnames = new Set();
         this.path = this.config.templatePath;
         this.views = new Map();
-        this._renderEnvInit()
+        this._inlineTagsInit()
+            ._renderEnvInit()
             ._l10nInit();
 
         log.debug(`Initialized the template in ${this.path} with config: ${this.config}`);
     }
 
+    /**
+     * Loads the handlers for custom inline tags, as specified by the `inlineTags` config setting,
+     * and registers them with the link manager.
+     *
+     * @private
+     * @returns {this}
+     */
+    _inlineTagsInit() {
+        const inlineTags = this.config.inlineTags || {};
+
+        for (const tagName of Object.keys(inlineTags)) {
+            const modulePath = path.resolve(inlineTags[tagName]);
+            let handler;
+
+            try {
+                handler = require(modulePath);
+            } catch (e) {
+                log.error(`Unable to load the handler for the inline tag {@${tagName}} from ` +
+                    `${modulePath}: ${e}`);
+
+                continue;
+            }
+
+            if (typeof handler !== 'function') {
+                log.error(`The handler for the inline tag {@${tagName}} in ${modulePath} ` +
+                    'is not a function');
+
+                continue;
+            }
+
+            this.linkManager.registerInlineTag(tagName, handler);
+        }
+
+        return this;
+    }
+
     /**
      * Loads the string resources and formatters used for localization.
      *
@@ -128,6 +222,26 @@ module.exports = class Template {
         return BASE_VIEWS;
     }
 
+    static get MARKDOWN_VIEWS() {
+        return MARKDOWN_VIEWS;
+    }
+
+    /**
+     * Renders a view.
+     *
+     * Each render gets its own `renderState` object, which helpers use to track state, such as the
+     * current heading level, for the duration of the render. As a result, renders cannot affect
+     * one another, even if they happen at the same time.
+     *
+     * @param {string} viewName - The name of the view to render.
+     * @param {Object} data - The data to pass to the view.
+     * @param {Object} [options] - Options for rendering the view.
+     * @param {boolean} [options.beautify=true] - Whether to reindent the rendered view. For
+     * Markdown output, whether to remove extra blank lines.
+     * @param {string} [options.url] - The URL of the output file, relative to the root of the
+     * generated docs. If present, links in the rendered view are relative to this URL.
+     * @returns {string} The rendered view.
+     */
     render(viewName, data, options = {}) {
         let beautifyOptions;
         const i18nData = {
@@ -140,9 +254,18 @@ module.exports = class Template {
         }
 
         data.intl = i18nData;
-        rendered = this._renderEnv.render(viewName, data);
+        this.linkManager.currentUri = options.url;
+        try {
+            rendered = this._renderEnv.render(viewName, Object.assign({}, data, {
+                renderState: {}
+            }));
+        } finally {
+            this.linkManager.currentUri = null;
+        }
 
-        if (options.beautify !== false) {
+        if (options.beautify !== false && this.config.outputFormat === OUTPUT_FORMATS.MARKDOWN) {
+            rendered = tidyMarkdown(rendered);
+        } else if (options.beautify !== false) {
             /* eslint-disable camelcase */
             beautifyOptions = {
                 indent_size: 2,
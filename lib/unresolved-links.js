@@ -0,0 +1,71 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/unresolved-links */
+
+const { OUTPUT_FILE_KINDS } = require('./enums');
+
+const LEADING_SCOPE_PUNC = /^[#.~]/;
+
+// Gets the strings in a doclet, such as its description, and the descriptions of its parameters.
+function getStrings(value, strings = []) {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => getStrings(item, strings));
+    } else if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            // The comment and metadata repeat the doclet's other values, or are not rendered.
+            if (key !== 'comment' && key !== 'meta') {
+                getStrings(value[key], strings);
+            }
+        }
+    }
+
+    return strings;
+}
+
+/**
+ * Finds the `{@link}` and `@see` tags in a doclet that refer to unknown symbols.
+ *
+ * @param {Object} doclet - The doclet to check.
+ * @param {module:lib/link-manager} linkManager - The link manager that knows about every symbol.
+ * @return {Array<string>} The unknown targets of the links.
+ */
+exports.getUnresolvedLinks = (doclet, linkManager) => {
+    const unresolved = new Set();
+
+    for (const str of getStrings(doclet)) {
+        linkManager.getUnresolvedLinks(str).forEach(target => unresolved.add(target));
+    }
+    for (let see of doclet.see || []) {
+        // Free-form text isn't a reference to a symbol.
+        if (typeof see !== 'string' || /\s/.test(see) || /^[A-Za-z]+:\/\//.test(see)) {
+            continue;
+        }
+        // A reference like `#foo` is relative to the symbol's parent, or to the symbol itself if
+        // it has its own output file.
+        if (LEADING_SCOPE_PUNC.test(see)) {
+            see = (OUTPUT_FILE_KINDS.includes(doclet.kind) ?
+                doclet.longname :
+                doclet.memberof || '') + see;
+        }
+        if (!linkManager.getUri(see)) {
+            unresolved.add(see);
+        }
+    }
+
+    return [...unresolved];
+};
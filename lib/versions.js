@@ -0,0 +1,93 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/** @module lib/versions */
+
+// Matches semantic versions like `1.2`, `v1.2.3`, and `1.2.3-beta.1`.
+const SEMVER_REGEXP = /^v?(\d+(?:\.\d+)*)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function compareIdentifiers(a, b) {
+    const aIsNumber = /^\d+$/.test(a);
+    const bIsNumber = /^\d+$/.test(b);
+
+    if (aIsNumber && bIsNumber) {
+        return Number(a) - Number(b);
+    }
+    // Numeric identifiers have lower precedence than alphanumeric identifiers.
+    if (aIsNumber !== bIsNumber) {
+        return aIsNumber ? -1 : 1;
+    }
+
+    return a.localeCompare(b);
+}
+
+/**
+ * Compares two version strings, using semantic-versioning precedence where possible. Missing
+ * components count as zeroes, so `1.2` is the same as `1.2.0`, and a prerelease version like
+ * `2.0.0-beta` comes before `2.0.0`. Strings that are not versions come before all of the versions,
+ * in natural sort order.
+ *
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @return {number} A negative number if `a` comes before `b`, a positive number if `a` comes after
+ * `b`, or `0` if they are equivalent.
+ */
+exports.compareVersions = (a, b) => {
+    const aMatch = SEMVER_REGEXP.exec(a);
+    const bMatch = SEMVER_REGEXP.exec(b);
+    let aParts;
+    let bParts;
+
+    if (!aMatch || !bMatch) {
+        if (aMatch || bMatch) {
+            return aMatch ? 1 : -1;
+        }
+
+        return a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    aParts = aMatch[1].split('.');
+    bParts = bMatch[1].split('.');
+    for (let i = 0, l = Math.max(aParts.length, bParts.length); i < l; i++) {
+        const diff = Number(aParts[i] || 0) - Number(bParts[i] || 0);
+
+        if (diff) {
+            return diff;
+        }
+    }
+
+    // A prerelease comes before the release.
+    if (!aMatch[2] || !bMatch[2]) {
+        return (aMatch[2] ? -1 : 0) + (bMatch[2] ? 1 : 0);
+    }
+
+    aParts = aMatch[2].split('.');
+    bParts = bMatch[2].split('.');
+    for (let i = 0, l = Math.max(aParts.length, bParts.length); i < l; i++) {
+        let diff;
+
+        // A shorter set of prerelease identifiers comes first.
+        if (aParts[i] === undefined || bParts[i] === undefined) {
+            return aParts[i] === undefined ? -1 : 1;
+        }
+
+        diff = compareIdentifiers(aParts[i], bParts[i]);
+        if (diff) {
+            return diff;
+        }
+    }
+
+    return 0;
+};
@@ -21,7 +21,7 @@ const env = require('jsdoc/env');
 const { TaskRunner } = require('@jsdoc/task-runner');
 const tasks = require('./lib/default-tasks');
 
-exports.publish = async (taffyData, options) => {
+exports.publish = async (taffyData, options, tutorials) => {
     const templateConfig = config.loadSync().get();
     const allConfig = _.defaults({}, {
         templates: {
@@ -36,23 +36,33 @@ exports.publish = async (taffyData, options) => {
     // TODO: Stop passing context to constructor when that's possible.
     const runner = new TaskRunner(context);
 
-    docletHelper.addDoclets(taffyData);
+    // Keep the doclets that `DocletHelper` removes, so that we can report on undocumented symbols.
+    context.unprunedDoclets = taffyData().get();
+    docletHelper.addDoclets(taffyData, templateConfig.sort);
     // TODO: Replicate this logic when `DocletHelper` goes away:
     // helper.prune(taffyData);
-    // taffyData.sort('longname, version, since');
+    // db({ values }).sortOn(getSortKeys(templateConfig.sort));
     // TODO: Do all of this in the `setContext` task.
     context.doclets = db({
         config: allConfig,
         values: docletHelper.allDoclets
     });
     context.sourceFiles = docletHelper.shortPaths;
+    context.tutorials = tutorials;
 
     runner.addTasks(tasks);
     try {
         await runner.run(context);
+        if (context.buildCache) {
+            context.buildCache.save();
+        }
     } catch (e) {
         // TODO: Send to message bus
         return Promise.reject(e);
+    } finally {
+        if (context.renderPool) {
+            await context.renderPool.close();
+        }
     }
 
     return Promise.resolve();
@@ -0,0 +1,364 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/* global document, window */
+// Offline search for the navbar. The index is generated by the `GenerateSearchIndex` task. Each
+// entry has the format `[name, longname, kind, summary, url]`.
+(function() {
+    var MAX_RESULTS = 10;
+    var NAME = 0;
+    var LONGNAME = 1;
+    var KIND = 2;
+    var SUMMARY = 3;
+    var URL = 4;
+
+    var input;
+    var manifest = null;
+    var requested = {};
+    var results;
+    var root = '';
+    var shards = {};
+
+    function getShardKey(str) {
+        var first = (str || '').charAt(0).toLowerCase();
+
+        if (/[a-z]/.test(first)) {
+            return first;
+        }
+        if (/[0-9]/.test(first)) {
+            return '0';
+        }
+
+        return '_';
+    }
+
+    // Scores a subsequence match, penalizing gaps between the matched characters. Returns -1 if the
+    // query is not a subsequence of the text.
+    function fuzzyScore(query, text) {
+        var gaps = 0;
+        var last = -1;
+        var i;
+        var pos;
+
+        for (i = 0; i < query.length; i++) {
+            pos = text.indexOf(query.charAt(i), last + 1);
+            if (pos === -1) {
+                return -1;
+            }
+            if (last !== -1) {
+                gaps += pos - last - 1;
+            }
+            last = pos;
+        }
+
+        return gaps;
+    }
+
+    function score(query, entry) {
+        var name = entry[NAME].toLowerCase();
+        var longname = entry[LONGNAME].toLowerCase();
+        var pos;
+        var gaps;
+
+        if (name === query) {
+            return 1000;
+        }
+        if (name.indexOf(query) === 0) {
+            return 800 - name.length;
+        }
+        if (longname === query) {
+            return 700;
+        }
+        pos = name.indexOf(query);
+        if (pos !== -1) {
+            return 500 - pos;
+        }
+        pos = longname.indexOf(query);
+        if (pos !== -1) {
+            return 400 - pos;
+        }
+        gaps = fuzzyScore(query, name);
+        if (gaps !== -1) {
+            return Math.max(200 - gaps, 101);
+        }
+        gaps = fuzzyScore(query, longname);
+        if (gaps !== -1) {
+            return Math.max(100 - gaps, 1);
+        }
+
+        return 0;
+    }
+
+    // Gets the entries to search. If the index is sharded, this includes every shard that has
+    // loaded so far, because substring and fuzzy matches can come from any shard.
+    function getCandidates() {
+        var candidates = [];
+        var keys;
+        var i;
+
+        if (manifest.entries) {
+            return manifest.entries;
+        }
+
+        keys = Object.keys(shards);
+        for (i = 0; i < keys.length; i++) {
+            candidates = candidates.concat(shards[keys[i]]);
+        }
+
+        return candidates;
+    }
+
+    function loadScript(src) {
+        var script = document.createElement('script');
+
+        script.src = src;
+        document.body.appendChild(script);
+    }
+
+    function requestShard(key) {
+        if (manifest.shards[key] && !requested[key]) {
+            requested[key] = true;
+            loadScript(root + manifest.shards[key]);
+        }
+    }
+
+    // Gets the keys of the shards that can have substring matches for a query. The manifest's
+    // trigram index maps each three-character substring of a name or longname to a string of shard
+    // keys; a shard can only match if it has every trigram in the query. Queries that are shorter
+    // than three characters return no keys, so their substring matches, like fuzzy matches, only
+    // come from shards that have already loaded.
+    function getTrigramShards(query) {
+        var keys = null;
+        var next;
+        var found;
+        var i;
+        var j;
+
+        if (!manifest.trigrams || query.length < 3) {
+            return [];
+        }
+
+        for (i = 0; i + 3 <= query.length; i++) {
+            found = manifest.trigrams[query.substr(i, 3)];
+            if (!found) {
+                return [];
+            }
+
+            found = found.split('');
+            if (keys === null) {
+                keys = found;
+            } else {
+                next = [];
+                for (j = 0; j < keys.length; j++) {
+                    if (found.indexOf(keys[j]) !== -1) {
+                        next.push(keys[j]);
+                    }
+                }
+                keys = next;
+            }
+        }
+
+        return keys;
+    }
+
+    // Loads the shards for a query, if the index is sharded. The shard for the query's first
+    // character has the prefix matches, so the results wait for it to load. The shards with
+    // substring matches load alongside it, and the results are updated as each one arrives. Other
+    // shards are not loaded. Returns `true` if the caller needs to wait for the query's own shard
+    // to load.
+    function ensureShards(query) {
+        var key;
+        var keys;
+        var i;
+
+        if (manifest.entries) {
+            return false;
+        }
+
+        key = getShardKey(query);
+        requestShard(key);
+        keys = getTrigramShards(query);
+        for (i = 0; i < keys.length; i++) {
+            requestShard(keys[i]);
+        }
+
+        return Boolean(manifest.shards[key]) && !shards[key];
+    }
+
+    function search(query) {
+        var candidates = getCandidates();
+        var matches = [];
+        var i;
+        var s;
+
+        for (i = 0; i < candidates.length; i++) {
+            s = score(query, candidates[i]);
+            if (s > 0) {
+                matches.push({
+                    entry: candidates[i],
+                    score: s
+                });
+            }
+        }
+
+        matches.sort(function(a, b) {
+            if (a.score !== b.score) {
+                return b.score - a.score;
+            }
+
+            return a.entry[LONGNAME] < b.entry[LONGNAME] ? -1 : 1;
+        });
+
+        return matches.slice(0, MAX_RESULTS);
+    }
+
+    function createResult(entry) {
+        var item = document.createElement('li');
+        var link = document.createElement('a');
+        var kind = document.createElement('small');
+        var summary;
+
+        link.href = root + entry[URL];
+        link.appendChild(document.createTextNode(entry[LONGNAME]));
+        kind.appendChild(document.createTextNode(' ' + entry[KIND]));
+        link.appendChild(kind);
+        item.appendChild(link);
+
+        if (entry[SUMMARY]) {
+            summary = document.createElement('p');
+            summary.appendChild(document.createTextNode(entry[SUMMARY]));
+            item.appendChild(summary);
+        }
+
+        return item;
+    }
+
+    function clearResults() {
+        while (results.firstChild) {
+            results.removeChild(results.firstChild);
+        }
+        results.hidden = true;
+    }
+
+    function showResults() {
+        var query = input.value.trim().toLowerCase();
+        var matches;
+        var empty;
+        var i;
+
+        clearResults();
+        if (!query || !manifest || ensureShards(query)) {
+            return;
+        }
+
+        matches = search(query);
+        if (!matches.length) {
+            empty = document.createElement('li');
+            empty.appendChild(document.createTextNode(input.getAttribute('data-no-results')));
+            results.appendChild(empty);
+        }
+        for (i = 0; i < matches.length; i++) {
+            results.appendChild(createResult(matches[i].entry));
+        }
+        results.hidden = false;
+    }
+
+    function moveFocus(step) {
+        var links = results.getElementsByTagName('a');
+        var current = -1;
+        var i;
+
+        for (i = 0; i < links.length; i++) {
+            if (links[i] === document.activeElement) {
+                current = i;
+            }
+        }
+
+        current += step;
+        if (current < 0) {
+            input.focus();
+        } else if (current < links.length) {
+            links[current].focus();
+        }
+    }
+
+    function onKeyDown(e) {
+        var first;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                moveFocus(1);
+                e.preventDefault();
+                break;
+            case 'ArrowUp':
+                moveFocus(-1);
+                e.preventDefault();
+                break;
+            case 'Enter':
+                if (e.target === input) {
+                    first = results.getElementsByTagName('a')[0];
+                    if (first) {
+                        window.location.href = first.href;
+                    }
+                }
+                break;
+            case 'Escape':
+                input.value = '';
+                clearResults();
+                input.focus();
+                break;
+            default:
+                break;
+        }
+    }
+
+    function init() {
+        var container = document.getElementById('jsdoc-search');
+
+        input = document.getElementById('jsdoc-search-input');
+        results = document.getElementById('jsdoc-search-results');
+        if (!container || !input || !results) {
+            return;
+        }
+
+        input.addEventListener('input', showResults);
+        container.addEventListener('keydown', onKeyDown);
+    }
+
+    window.jsdocSearch = {
+        addShard: function(shard) {
+            shards[shard.key] = shard.entries;
+            if (input && input.value) {
+                showResults();
+            }
+        },
+        setManifest: function(data) {
+            var script = document.currentScript;
+            var src = script ? script.getAttribute('src') : '';
+
+            // The index URLs are relative to the root of the docs. Find the root by comparing the
+            // manifest's URL to the path that this page used to load it.
+            if (src && src.slice(-data.url.length) === data.url) {
+                root = src.slice(0, -data.url.length);
+            }
+            manifest = data;
+            if (input && input.value) {
+                showResults();
+            }
+        }
+    };
+
+    init();
+})();
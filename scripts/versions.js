@@ -0,0 +1,177 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+/* global document, window, XMLHttpRequest */
+// Version switcher for the navbar. The version manifest, `versions.json`, lists every version of
+// the docs. When the user picks a version, we use the link inventories for the current version and
+// the other version to find the equivalent page. If the other version doesn't have the symbol, we
+// go to its index page instead.
+(function() {
+    var current;
+    var manifest = null;
+    var manifestUrl;
+    var select;
+
+    function getJson(url, callback) {
+        var request = new XMLHttpRequest();
+
+        request.onload = function() {
+            var data = null;
+
+            if (request.status >= 200 && request.status < 300) {
+                try {
+                    data = JSON.parse(request.responseText);
+                } catch (e) {
+                    data = null;
+                }
+            }
+            callback(data);
+        };
+        request.onerror = function() {
+            callback(null);
+        };
+        request.open('GET', url);
+        request.send();
+    }
+
+    function resolve(url, base) {
+        return new window.URL(url, base).href;
+    }
+
+    function findVersion(name) {
+        var i;
+
+        for (i = 0; i < manifest.versions.length; i++) {
+            if (manifest.versions[i].name === name) {
+                return manifest.versions[i];
+            }
+        }
+
+        return null;
+    }
+
+    // Finds the longname for the current page, using the current version's link inventory. Returns
+    // `null` if the page isn't in the inventory.
+    function findLongname(links, version) {
+        var hash = window.location.hash;
+        var key;
+        var page = window.location.href.split('#')[0].split('?')[0];
+        var pageLongname = null;
+        var root = resolve(version.url, manifestUrl);
+
+        if (page.indexOf(root) !== 0) {
+            return null;
+        }
+        page = page.slice(root.length);
+
+        for (key in links) {
+            if (Object.prototype.hasOwnProperty.call(links, key)) {
+                // Prefer the symbol that the fragment ID points to.
+                if (hash && links[key] === page + hash) {
+                    return key;
+                }
+                if (links[key] === page && pageLongname === null) {
+                    pageLongname = key;
+                }
+            }
+        }
+
+        return pageLongname;
+    }
+
+    function goTo(url) {
+        window.location.href = url;
+    }
+
+    function switchVersion(target) {
+        var currentVersion = findVersion(current);
+        var fallback = resolve(target.index, manifestUrl);
+
+        if (!currentVersion || !currentVersion.inventory || !target.inventory) {
+            goTo(fallback);
+
+            return;
+        }
+
+        getJson(resolve(currentVersion.inventory, manifestUrl), function(currentInventory) {
+            var longname = currentInventory ?
+                findLongname(currentInventory.links || {}, currentVersion) :
+                null;
+
+            if (longname === null) {
+                goTo(fallback);
+
+                return;
+            }
+
+            getJson(resolve(target.inventory, manifestUrl), function(targetInventory) {
+                var links = targetInventory ? targetInventory.links || {} : {};
+
+                if (Object.prototype.hasOwnProperty.call(links, longname)) {
+                    goTo(resolve(links[longname], resolve(target.url, manifestUrl)));
+                } else {
+                    goTo(fallback);
+                }
+            });
+        });
+    }
+
+    function addOptions() {
+        var i;
+        var option;
+        var version;
+
+        while (select.firstChild) {
+            select.removeChild(select.firstChild);
+        }
+
+        for (i = 0; i < manifest.versions.length; i++) {
+            version = manifest.versions[i];
+            option = document.createElement('option');
+            option.value = version.name;
+            option.selected = version.name === current;
+            option.appendChild(document.createTextNode(version.name));
+            select.appendChild(option);
+        }
+    }
+
+    function onChange() {
+        var target = manifest ? findVersion(select.value) : null;
+
+        if (target && target.name !== current) {
+            switchVersion(target);
+        }
+    }
+
+    function init() {
+        select = document.getElementById('jsdoc-versions-select');
+        if (!select || !window.URL) {
+            return;
+        }
+
+        current = select.getAttribute('data-current');
+        manifestUrl = resolve(select.getAttribute('data-manifest'), window.location.href);
+
+        getJson(manifestUrl, function(data) {
+            if (data && data.versions && data.versions.length) {
+                manifest = data;
+                addOptions();
+            }
+        });
+        select.addEventListener('change', onChange);
+    }
+
+    init();
+})();
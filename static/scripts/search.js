@@ -0,0 +1 @@
+!function(){var u,l,e,s=10,f=0,h=1,m=2,p=3,g=4,v=null,t={},C="",E={};function y(e,t){var n,r,a=0,o=-1;for(n=0;n<e.length;n++){if(-1===(r=t.indexOf(e.charAt(n),o+1)))return-1;-1!==o&&(a+=r-o-1),o=r}return a}function a(e){v.shards[e]&&!t[e]&&(t[e]=!0,function(e){var t=document.createElement("script");t.src=e,document.body.appendChild(t)}(C+v.shards[e]))}function w(e){var t,n,r;if(v.entries)return!1;for(a(t=function(e){var t=(e||"").charAt(0).toLowerCase();return/[a-z]/.test(t)?t:/[0-9]/.test(t)?"0":"_"}(e)),n=function(e){var t,n,r,a,o=null;if(!v.trigrams||e.length<3)return[];for(r=0;r+3<=e.length;r++){if(!(n=v.trigrams[e.substr(r,3)]))return[];if(n=n.split(""),null===o)o=n;else{for(t=[],a=0;a<o.length;a++)-1!==n.indexOf(o[a])&&t.push(o[a]);o=t}}return o}(e),r=0;r<n.length;r++)a(n[r]);return Boolean(v.shards[t])&&!E[t]}function x(e){var t,n,r,a,o,c,d,i,u=function(){var e,t,n=[];if(v.entries)return v.entries;for(e=Object.keys(E),t=0;t<e.length;t++)n=n.concat(E[e[t]]);return n}(),l=[];for(t=0;t<u.length;t++)r=e,a=u[t],i=d=c=o=void 0,d=a[f].toLowerCase(),i=a[h].toLowerCase(),0<(n=d===r?1e3:0===d.indexOf(r)?800-d.length:i===r?700:-1!==(o=d.indexOf(r))?500-o:-1!==(o=i.indexOf(r))?400-o:-1!==(c=y(r,d))?Math.max(200-c,101):-1!==(c=y(r,i))?Math.max(100-c,1):0)&&l.push({entry:u[t],score:n});return l.sort(function(e,t){return e.score!==t.score?t.score-e.score:e.entry[h]<t.entry[h]?-1:1}),l.slice(0,s)}function b(){for(;l.firstChild;)l.removeChild(l.firstChild);l.hidden=!0}function r(){var e,t,n,r=u.value.trim().toLowerCase();if(b(),r&&v&&!w(r)){for((e=x(r)).length||((t=document.createElement("li")).appendChild(document.createTextNode(u.getAttribute("data-no-results"))),l.appendChild(t)),n=0;n<e.length;n++)l.appendChild((a=e[n].entry,i=d=c=o=void 0,c=document.createElement("li"),d=document.createElement("a"),i=document.createElement("small"),d.href=C+a[g],d.appendChild(document.createTextNode(a[h])),i.appendChild(document.createTextNode(" "+a[m])),d.appendChild(i),c.appendChild(d),a[p]&&((o=document.createElement("p")).appendChild(document.createTextNode(a[p])),c.appendChild(o)),c));var a,o,c,d,i;l.hidden=!1}}function n(e){var t,n=l.getElementsByTagName("a"),r=-1;for(t=0;t<n.length;t++)n[t]===document.activeElement&&(r=t);(r+=e)<0?u.focus():r<n.length&&n[r].focus()}function o(e){var t;switch(e.key){case"ArrowDown":n(1),e.preventDefault();break;case"ArrowUp":n(-1),e.preventDefault();break;case"Enter":e.target===u&&(t=l.getElementsByTagName("a")[0])&&(window.location.href=t.href);break;case"Escape":u.value="",b(),u.focus()}}window.jsdocSearch={addShard:function(e){E[e.key]=e.entries,u&&u.value&&r()},setManifest:function(e){var t=document.currentScript,n=t?t.getAttribute("src"):"";n&&n.slice(-e.url.length)===e.url&&(C=n.slice(0,-e.url.length)),v=e,u&&u.value&&r()}},e=document.getElementById("jsdoc-search"),u=document.getElementById("jsdoc-search-input"),l=document.getElementById("jsdoc-search-results"),e&&u&&l&&(u.addEventListener("input",r),e.addEventListener("keydown",o))}();
\ No newline at end of file
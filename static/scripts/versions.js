@@ -0,0 +1 @@
+!function(){var i,u,r,o=null;function l(n,t){var r=new XMLHttpRequest;r.onload=function(){var e=null;if(200<=r.status&&r.status<300)try{e=JSON.parse(r.responseText)}catch(n){e=null}t(e)},r.onerror=function(){t(null)},r.open("GET",n),r.send()}function a(n,e){return new window.URL(n,e).href}function t(n){var e;for(e=0;e<o.versions.length;e++)if(o.versions[e].name===n)return o.versions[e];return null}function s(n){window.location.href=n}function e(r){var e=t(i),o=a(r.index,u);e&&e.inventory&&r.inventory?l(a(e.inventory,u),function(n){var t=n?function(n,e){var t,r=window.location.hash,o=window.location.href.split("#")[0].split("?")[0],i=null,l=a(e.url,u);if(0!==o.indexOf(l))return null;for(t in o=o.slice(l.length),n)if(Object.prototype.hasOwnProperty.call(n,t)){if(r&&n[t]===o+r)return t;n[t]===o&&null===i&&(i=t)}return i}(n.links||{},e):null;null!==t?l(a(r.inventory,u),function(n){var e=n&&n.links||{};Object.prototype.hasOwnProperty.call(e,t)?s(a(e[t],a(r.url,u))):s(o)}):s(o)}):s(o)}function n(){var n=o?t(r.value):null;n&&n.name!==i&&e(n)}(r=document.getElementById("jsdoc-versions-select"))&&window.URL&&(i=r.getAttribute("data-current"),l(u=a(r.getAttribute("data-manifest"),window.location.href),function(n){n&&n.versions&&n.versions.length&&(o=n,function(){for(var n,e,t;r.firstChild;)r.removeChild(r.firstChild);for(n=0;n<o.versions.length;n++)t=o.versions[n],(e=document.createElement("option")).value=t.name,e.selected=t.name===i,e.appendChild(document.createTextNode(t.name)),r.appendChild(e)}())}),r.addEventListener("change",n))}();
\ No newline at end of file
@@ -0,0 +1,2 @@
+module.exports = ({ text }, { doclet }) =>
+    `<a href="https://jira.example.org/browse/${text}">${text}</a> (${doclet.longname})`;
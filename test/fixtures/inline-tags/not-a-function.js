@@ -0,0 +1 @@
+module.exports = 'Not a real handler';
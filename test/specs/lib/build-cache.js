@@ -0,0 +1,186 @@
+const mock = require('mock-fs');
+const BuildCache = require('../../../lib/build-cache');
+const fs = require('fs-extra');
+const path = require('path');
+
+const ARGUMENT_ERROR = 'ArgumentError';
+const CACHE_FILE = path.join('out', BuildCache.CACHE_FILENAME);
+
+describe('lib/build-cache', () => {
+    let cache;
+
+    beforeEach(() => {
+        mock({
+            out: {
+                'foo.html': 'foo',
+                'bar.html': 'bar'
+            },
+            src: {
+                'foo.css': 'foo {}'
+            }
+        });
+        cache = new BuildCache({
+            filepath: CACHE_FILE,
+            fingerprint: 'abc'
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        expect(cache).toBeInstanceOf(BuildCache);
+    });
+
+    it('requires a `filepath`', () => {
+        function factory() {
+            return new BuildCache({});
+        }
+
+        expect(factory).toThrowErrorOfType(ARGUMENT_ERROR);
+    });
+
+    describe('hash', () => {
+        it('returns the same hash for equivalent objects', () => {
+            const first = {
+                a: 1,
+                b: [2]
+            };
+            const second = {
+                b: [2],
+                a: 1
+            };
+
+            expect(BuildCache.hash(first)).toBe(BuildCache.hash(second));
+        });
+
+        it('returns a different hash for different objects', () => {
+            expect(BuildCache.hash({ a: 1 })).not.toBe(BuildCache.hash({ a: 2 }));
+        });
+
+        it('works with circular references', () => {
+            const obj = { a: 1 };
+
+            obj.self = obj;
+
+            expect(() => BuildCache.hash(obj)).not.toThrow();
+        });
+    });
+
+    describe('hashTicket', () => {
+        it('uses the view name as part of the hash', () => {
+            const data = { foo: 'bar' };
+            const first = {
+                data,
+                viewName: 'a.njk'
+            };
+            const second = {
+                data,
+                viewName: 'b.njk'
+            };
+
+            expect(BuildCache.hashTicket(first)).not.toBe(BuildCache.hashTicket(second));
+        });
+    });
+
+    describe('isCopyCurrent', () => {
+        it('returns `false` if the copy does not exist', () => {
+            expect(cache.isCopyCurrent('src/foo.css', 'out/foo.css')).toBeFalse();
+        });
+
+        it('returns `true` if the copy is the same size and is at least as new', () => {
+            fs.copyFileSync('src/foo.css', 'out/foo.css');
+
+            expect(cache.isCopyCurrent('src/foo.css', 'out/foo.css')).toBeTrue();
+        });
+
+        it('returns `false` if a full rebuild was requested', () => {
+            fs.copyFileSync('src/foo.css', 'out/foo.css');
+            cache.force = true;
+
+            expect(cache.isCopyCurrent('src/foo.css', 'out/foo.css')).toBeFalse();
+        });
+    });
+
+    describe('isCurrent', () => {
+        it('returns `false` for new output files', () => {
+            expect(cache.isCurrent('foo.html', 'out/foo.html', 'hash')).toBeFalse();
+        });
+
+        it('returns `true` after saving and reloading the cache', () => {
+            cache.isCurrent('foo.html', 'out/foo.html', 'hash');
+            cache.save();
+            cache.load();
+
+            expect(cache.isCurrent('foo.html', 'out/foo.html', 'hash')).toBeTrue();
+        });
+
+        it('returns `false` if the hash has changed', () => {
+            cache.isCurrent('foo.html', 'out/foo.html', 'hash');
+            cache.save();
+            cache.load();
+
+            expect(cache.isCurrent('foo.html', 'out/foo.html', 'newHash')).toBeFalse();
+        });
+
+        it('returns `false` if the output file is missing', () => {
+            cache.isCurrent('baz.html', 'out/baz.html', 'hash');
+            cache.save();
+            cache.load();
+
+            expect(cache.isCurrent('baz.html', 'out/baz.html', 'hash')).toBeFalse();
+        });
+    });
+
+    describe('load', () => {
+        beforeEach(() => {
+            cache.isCurrent('foo.html', 'out/foo.html', 'hash');
+            cache.save();
+        });
+
+        it('ignores the cache if the fingerprint has changed', () => {
+            const newCache = new BuildCache({
+                filepath: CACHE_FILE,
+                fingerprint: 'def'
+            }).load();
+
+            expect(newCache.isCurrent('foo.html', 'out/foo.html', 'hash')).toBeFalse();
+        });
+
+        it('ignores the cache if a full rebuild was requested', () => {
+            const newCache = new BuildCache({
+                filepath: CACHE_FILE,
+                fingerprint: 'abc',
+                force: true
+            }).load();
+
+            expect(newCache.isCurrent('foo.html', 'out/foo.html', 'hash')).toBeFalse();
+        });
+
+        it('ignores a cache file that cannot be parsed', () => {
+            fs.writeFileSync(CACHE_FILE, '{');
+
+            expect(() => cache.load()).not.toThrow();
+        });
+    });
+
+    describe('save', () => {
+        it('drops output files that were not generated in the current build', () => {
+            let newCache;
+
+            cache.isCurrent('foo.html', 'out/foo.html', 'hash');
+            cache.isCurrent('bar.html', 'out/bar.html', 'hash');
+            cache.save();
+
+            newCache = new BuildCache({
+                filepath: CACHE_FILE,
+                fingerprint: 'abc'
+            }).load();
+            newCache.isCurrent('foo.html', 'out/foo.html', 'hash');
+            newCache.save();
+
+            expect(Object.keys(fs.readJsonSync(CACHE_FILE).entries)).toEqual(['foo.html']);
+        });
+    });
+});
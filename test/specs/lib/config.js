@@ -109,6 +109,180 @@ describe('lib/config', () => {
             expect(config.get('templatePath')).toBe('/foo/bar/baz');
         });
 
+        describe('option groups', () => {
+            function load(baseline) {
+                env.conf.templates.baseline = baseline;
+
+                return config.loadSync();
+            }
+
+            it('should keep the default values for search options that the user does not set', () => {
+                load({
+                    search: {}
+                });
+
+                expect(config.get('search.shardThreshold')).toBe(2000);
+            });
+
+            it('should keep the default values for components that the user does not set', () => {
+                load({
+                    components: {
+                        footer: false
+                    }
+                });
+
+                expect(config.get('components.footer')).toBeFalse();
+                expect(config.get('components.search')).toBeTrue();
+                expect(config.get('components.summary')).toBeTrue();
+            });
+
+            it('should keep the breadcrumbs enabled if the user sets other components', () => {
+                load({
+                    components: {
+                        search: false
+                    }
+                });
+
+                expect(config.get('components.breadcrumbs')).toBeTrue();
+            });
+
+            it('should keep the default values for incremental-build options', () => {
+                load({
+                    incremental: {
+                        enabled: true
+                    }
+                });
+
+                expect(config.get('incremental')).toEqual({
+                    enabled: true,
+                    force: false
+                });
+            });
+
+            it('should keep the default values for JSON API options', () => {
+                load({
+                    jsonApi: {}
+                });
+
+                expect(config.get('jsonApi.generate')).toBeFalse();
+            });
+
+            it('should keep the default values for link-inventory options', () => {
+                load({
+                    linkInventory: {
+                        imports: ['otherlib/out']
+                    }
+                });
+
+                expect(config.get('linkInventory')).toEqual({
+                    generate: true,
+                    imports: ['otherlib/out']
+                });
+            });
+
+            it('should keep the default values for link-checker options', () => {
+                load({
+                    linkChecker: {
+                        enabled: true
+                    }
+                });
+
+                expect(config.get('linkChecker')).toEqual({
+                    enabled: true,
+                    failOnError: false
+                });
+            });
+
+            it('should keep the default values for version options', () => {
+                load({
+                    versions: {}
+                });
+
+                expect(config.get('versions.current')).toBe('');
+            });
+
+            it('should keep the default values for API-changes options', () => {
+                load({
+                    apiChanges: {}
+                });
+
+                expect(config.get('apiChanges.previous')).toBe('');
+            });
+
+            it('should keep the default values for `since` options', () => {
+                load({
+                    since: {}
+                });
+
+                expect(config.get('since.labelNew')).toBeFalse();
+            });
+
+            it('should keep the default coverage thresholds that the user does not set', () => {
+                load({
+                    coverage: {
+                        thresholds: {
+                            params: 80
+                        }
+                    }
+                });
+
+                expect(config.get('coverage')).toEqual({
+                    generate: false,
+                    thresholds: {
+                        params: 80,
+                        returns: 0,
+                        symbols: 0
+                    }
+                });
+            });
+
+            it('should keep the default severities for lint rules that the user does not set', () => {
+                load({
+                    lint: {
+                        rules: {
+                            'empty-example': 'error'
+                        }
+                    }
+                });
+
+                expect(config.get('lint.enabled')).toBeFalse();
+                expect(config.get('lint.rules')).toEqual(Object.assign({}, config.defaultConfig.lint.rules, {
+                    'empty-example': 'error'
+                }));
+            });
+
+            it('should keep the hierarchy diagrams enabled if the user sets other components', () => {
+                load({
+                    components: {
+                        summary: false
+                    }
+                });
+
+                expect(config.get('components.hierarchy')).toBeTrue();
+            });
+
+            it('should keep the default values for inherited-member options', () => {
+                load({
+                    inheritedMembers: {}
+                });
+
+                expect(config.get('inheritedMembers.display')).toBe('inline');
+            });
+
+            it('should keep the default values for filter rules that the user does not set', () => {
+                load({
+                    filter: {
+                        include: [{ kind: 'class' }]
+                    }
+                });
+
+                expect(config.get('filter')).toEqual({
+                    exclude: [],
+                    include: [{ kind: 'class' }]
+                });
+            });
+        });
+
         it('should set default values even if the config file is missing', () => {
             let event;
 
@@ -158,6 +332,49 @@ describe('lib/config', () => {
 
             expect(config.get('l10nFile')).toBe('l10n.yaml');
         });
+
+        it('should use Markdown file extensions for Markdown output', () => {
+            env.conf.templates.baseline = {
+                outputFormat: 'markdown'
+            };
+
+            config.loadSync();
+
+            expect(config.get('extensions')).toEqual({
+                links: '.md',
+                outputFiles: '.md'
+            });
+        });
+
+        it('should keep the file extensions from the config file for Markdown output', () => {
+            env.conf.templates.baseline = {
+                extensions: {
+                    links: '',
+                    outputFiles: '.mdx'
+                },
+                outputFormat: 'markdown'
+            };
+
+            config.loadSync();
+
+            expect(config.get('extensions.outputFiles')).toBe('.mdx');
+        });
+
+        it('should use the Markdown extension for extensions that the user does not set', () => {
+            env.conf.templates.baseline = {
+                extensions: {
+                    outputFiles: '.mdx'
+                },
+                outputFormat: 'markdown'
+            };
+
+            config.loadSync();
+
+            expect(config.get('extensions')).toEqual({
+                links: '.md',
+                outputFiles: '.mdx'
+            });
+        });
     });
 
     describe('readJsonSync', () => {
@@ -0,0 +1,168 @@
+const { db } = require('../../../lib/db');
+const { defaultConfig } = require('../../../lib/config');
+const { getCoreDocs } = require('../../../lib/core-docs');
+
+describe('lib/core-docs', () => {
+    describe('getCoreDocs', () => {
+        const allDoclets = [
+            {
+                kind: 'class',
+                longname: 'Animal',
+                name: 'Animal'
+            },
+            {
+                kind: 'function',
+                longname: 'Animal#eat',
+                memberof: 'Animal',
+                name: 'eat',
+                scope: 'instance'
+            },
+            {
+                augments: ['Animal'],
+                kind: 'class',
+                longname: 'Dog',
+                name: 'Dog'
+            },
+            {
+                kind: 'function',
+                longname: 'Dog#bark',
+                memberof: 'Dog',
+                name: 'bark',
+                scope: 'instance'
+            },
+            {
+                inherited: true,
+                inherits: 'Animal#eat',
+                kind: 'function',
+                longname: 'Dog#eat',
+                memberof: 'Dog',
+                name: 'eat',
+                scope: 'instance'
+            },
+            {
+                augments: ['Dog'],
+                kind: 'class',
+                longname: 'Puppy',
+                name: 'Puppy'
+            },
+            {
+                inherited: true,
+                inherits: 'Dog#bark',
+                kind: 'function',
+                longname: 'Puppy#bark',
+                memberof: 'Puppy',
+                name: 'bark',
+                scope: 'instance'
+            },
+            {
+                inherited: true,
+                inherits: 'Animal#eat',
+                kind: 'function',
+                longname: 'Puppy#eat',
+                memberof: 'Puppy',
+                name: 'eat',
+                scope: 'instance'
+            }
+        ];
+        let context;
+
+        function getPage(longname) {
+            return getCoreDocs(context).find(page => page.longname === longname);
+        }
+
+        beforeEach(() => {
+            const template = helpers.createTemplate();
+
+            context = {
+                allDocletsByLongname: {},
+                doclets: db({ values: allDoclets }),
+                linkManager: template.linkManager,
+                needsOutputFile: {
+                    Animal: true,
+                    Dog: true,
+                    Puppy: true
+                },
+                pageTitlePrefix: '',
+                templateConfig: Object.assign({}, defaultConfig)
+            };
+            for (const doclet of allDoclets) {
+                context.allDocletsByLongname[doclet.longname] = doclet;
+                context.linkManager.registerDoclet(doclet);
+            }
+        });
+
+        it('returns the data for each page', () => {
+            const page = getPage('Dog');
+
+            expect(page.data.docs[0].longname).toBe('Dog');
+            expect(page.data.pageCategory).toBe('classes');
+            expect(page.data.pageTitle).toBe('Dog');
+            expect(page.url).toBe('dog.html');
+        });
+
+        it('includes the hierarchy for classes', () => {
+            const { hierarchy } = getPage('Dog').data;
+
+            expect(hierarchy.augments).toEqual(['Animal']);
+            expect(hierarchy.subclasses).toEqual(['Puppy']);
+        });
+
+        describe('inherited members', () => {
+            function setDisplay(display) {
+                context.templateConfig.inheritedMembers = { display };
+            }
+
+            it('lists inherited members with the other members by default', () => {
+                const { data } = getPage('Dog');
+
+                expect(data.members.functions.map(d => d.longname)).toEqual(['Dog#bark', 'Dog#eat']);
+                expect(data.inheritedMembers).toBeUndefined();
+            });
+
+            it('omits inherited members if `display` is `hidden`', () => {
+                let data;
+
+                setDisplay('hidden');
+                data = getPage('Dog').data;
+
+                expect(data.members.functions.map(d => d.longname)).toEqual(['Dog#bark']);
+                expect(data.inheritedMembers).toBeUndefined();
+            });
+
+            it('groups inherited members by ancestor if `display` is `grouped`', () => {
+                let data;
+
+                setDisplay('grouped');
+                data = getPage('Dog').data;
+
+                expect(data.members.functions.map(d => d.longname)).toEqual(['Dog#bark']);
+                expect(data.inheritedMembers.length).toBe(1);
+                expect(data.inheritedMembers[0].longname).toBe('Animal');
+                expect(data.inheritedMembers[0].members.functions[0].longname).toBe('Dog#eat');
+            });
+
+            it('puts the nearest ancestor first', () => {
+                let data;
+
+                setDisplay('grouped');
+                data = getPage('Puppy').data;
+
+                expect(data.members).toEqual({});
+                expect(data.inheritedMembers.map(group => group.longname))
+                    .toEqual(['Dog', 'Animal']);
+            });
+
+            it('does not add groups if there are no inherited members', () => {
+                setDisplay('grouped');
+
+                expect(getPage('Animal').data.inheritedMembers).toBeUndefined();
+            });
+
+            it('throws on an unknown `display` value', () => {
+                setDisplay('sideways');
+
+                expect(() => getCoreDocs(context)).toThrow();
+            });
+        });
+    });
+});
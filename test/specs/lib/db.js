@@ -1,5 +1,5 @@
 const _ = require('lodash');
-const { db, mixins } = require('../../../lib/db');
+const { db, getSortKeys, mixins } = require('../../../lib/db');
 const { CATEGORY_TO_KIND } = require('../../../lib/enums');
 
 describe('lib/db', () => {
@@ -216,6 +216,26 @@ describe('lib/db', () => {
             ]);
         });
 
+        it('can sort the doclets on nested properties and functions', () => {
+            const values = db({
+                values: [
+                    {
+                        longname: 'c',
+                        meta: { lineno: 1 }
+                    },
+                    {
+                        longname: 'b',
+                        meta: { lineno: 0 }
+                    },
+                    {
+                        longname: 'a'
+                    }
+                ]
+            }).sortOn([d => (d.meta ? d.meta.lineno : null), 'longname']).value();
+
+            expect(values.map(d => d.longname)).toEqual(['b', 'c', 'a']);
+        });
+
         describe('prune', () => {
             it('is a function', () => {
                 expect(db({
@@ -251,6 +271,135 @@ describe('lib/db', () => {
                 expect(values).toBeEmptyArray();
             });
 
+            describe('filter rules', () => {
+                const path = require('path');
+
+                const doclets = [
+                    {
+                        kind: 'package',
+                        longname: 'package:foo'
+                    },
+                    {
+                        kind: 'module',
+                        longname: 'module:foo',
+                        meta: {
+                            filename: 'foo.js',
+                            path: path.join(process.cwd(), 'src')
+                        }
+                    },
+                    {
+                        kind: 'function',
+                        longname: 'module:foo.bar',
+                        memberof: 'module:foo',
+                        meta: {
+                            filename: 'foo.js',
+                            path: path.join(process.cwd(), 'src')
+                        }
+                    },
+                    {
+                        kind: 'module',
+                        longname: 'module:legacy',
+                        meta: {
+                            filename: 'legacy.js',
+                            path: path.join(process.cwd(), 'src', 'old')
+                        }
+                    },
+                    {
+                        kind: 'event',
+                        longname: 'module:legacy.event:change',
+                        memberof: 'module:legacy',
+                        meta: {
+                            filename: 'legacy.js',
+                            path: path.join(process.cwd(), 'src', 'old')
+                        }
+                    },
+                    {
+                        deprecated: true,
+                        kind: 'member',
+                        longname: 'module:foo.baz',
+                        memberof: 'module:foo',
+                        tags: [
+                            {
+                                title: 'alpha',
+                                value: ''
+                            }
+                        ]
+                    }
+                ];
+
+                function prune(filter) {
+                    return db({ values: doclets }).prune(filter).value().map(d => d.longname);
+                }
+
+                it('excludes symbols by kind', () => {
+                    expect(prune({ exclude: [{ kind: 'event' }] }))
+                        .not.toContain('module:legacy.event:change');
+                });
+
+                it('excludes symbols and their members by longname pattern', () => {
+                    expect(prune({ exclude: [{ longname: 'module:leg*' }] })).toEqual([
+                        'package:foo',
+                        'module:foo',
+                        'module:foo.bar',
+                        'module:foo.baz'
+                    ]);
+                });
+
+                it('excludes symbols by source path pattern', () => {
+                    expect(prune({ exclude: [{ path: 'src/old/*' }] })).toEqual([
+                        'package:foo',
+                        'module:foo',
+                        'module:foo.bar',
+                        'module:foo.baz'
+                    ]);
+                });
+
+                it('excludes symbols by custom tag', () => {
+                    expect(prune({ exclude: [{ tag: 'alpha' }] })).not.toContain('module:foo.baz');
+                });
+
+                it('excludes symbols by tags that are doclet properties', () => {
+                    expect(prune({ exclude: [{ tag: 'deprecated' }] }))
+                        .not.toContain('module:foo.baz');
+                });
+
+                it('requires a symbol to match every condition in a rule', () => {
+                    expect(prune({
+                        exclude: [
+                            {
+                                kind: 'function',
+                                path: 'src/old/*'
+                            }
+                        ]
+                    })).toContain('module:foo.bar');
+                });
+
+                it('keeps only the included symbols, their members, and packages', () => {
+                    expect(prune({ include: [{ longname: 'module:foo' }] })).toEqual([
+                        'package:foo',
+                        'module:foo',
+                        'module:foo.bar',
+                        'module:foo.baz'
+                    ]);
+                });
+
+                it('applies the exclude rules to the included symbols', () => {
+                    expect(prune({
+                        exclude: [{ kind: 'function' }],
+                        include: [{ longname: 'module:foo' }]
+                    })).toEqual([
+                        'package:foo',
+                        'module:foo',
+                        'module:foo.baz'
+                    ]);
+                });
+
+                it('fails on invalid rules', () => {
+                    expect(() => prune({ exclude: [{}] })).toThrowError();
+                    expect(() => prune({ exclude: [{ name: 'foo' }] })).toThrowError();
+                });
+            });
+
             describe('access', () => {
                 const access = fakeDoclets.access;
 
@@ -336,6 +485,102 @@ describe('lib/db', () => {
         });
     });
 
+    describe('getSortKeys', () => {
+        function sort(doclets, sortOrder) {
+            return db({ values: doclets }).sortOn(getSortKeys(sortOrder)).value()
+                .map(d => d.longname);
+        }
+
+        it('sorts alphabetically by longname', () => {
+            expect(sort([{ longname: 'b' }, { longname: 'a' }], 'alphabetical')).toEqual([
+                'a',
+                'b'
+            ]);
+        });
+
+        it('sorts by kind, then by longname', () => {
+            const doclets = [
+                {
+                    kind: 'member',
+                    longname: 'a'
+                },
+                {
+                    kind: 'function',
+                    longname: 'c'
+                },
+                {
+                    kind: 'function',
+                    longname: 'b'
+                }
+            ];
+
+            expect(sort(doclets, 'kind')).toEqual(['b', 'c', 'a']);
+        });
+
+        it('sorts by the `@order` tag, with untagged doclets last', () => {
+            const doclets = [
+                {
+                    longname: 'a'
+                },
+                {
+                    longname: 'b',
+                    tags: [
+                        {
+                            title: 'order',
+                            value: '2'
+                        }
+                    ]
+                },
+                {
+                    longname: 'c',
+                    tags: [
+                        {
+                            title: 'order',
+                            value: '0'
+                        }
+                    ]
+                }
+            ];
+
+            expect(sort(doclets, 'order')).toEqual(['c', 'b', 'a']);
+        });
+
+        it('sorts by source file and line number', () => {
+            const doclets = [
+                {
+                    longname: 'a',
+                    meta: {
+                        filename: 'foo.js',
+                        lineno: 20,
+                        path: '/src'
+                    }
+                },
+                {
+                    longname: 'b',
+                    meta: {
+                        filename: 'foo.js',
+                        lineno: 3,
+                        path: '/src'
+                    }
+                },
+                {
+                    longname: 'c',
+                    meta: {
+                        filename: 'bar.js',
+                        lineno: 50,
+                        path: '/src'
+                    }
+                }
+            ];
+
+            expect(sort(doclets, 'source')).toEqual(['c', 'b', 'a']);
+        });
+
+        it('fails on an unknown sort order', () => {
+            expect(() => getSortKeys('random')).toThrowError();
+        });
+    });
+
     describe('mixins', () => {
         it('has a `categorize` method', () => {
             expect(mixins.categorize).toBeFunction();
@@ -35,4 +35,12 @@ describe('lib/enums', () => {
     it('should export an "OUTPUT_FILE_KINDS" array', () => {
         expect(ENUMS.OUTPUT_FILE_KINDS).toBeArray();
     });
+
+    it('should export an "OUTPUT_FORMATS" object', () => {
+        expect(ENUMS.OUTPUT_FORMATS).toBeObject();
+    });
+
+    it('should export a "SORT_ORDERS" object', () => {
+        expect(ENUMS.SORT_ORDERS).toBeObject();
+    });
 });
@@ -87,6 +87,90 @@ describe('lib/filters', () => {
             });
         });
 
+        describe('breadcrumbs', () => {
+            beforeEach(() => {
+                [
+                    'module:foo/bar',
+                    'module:foo/bar.Baz'
+                ].forEach(longname => {
+                    linkManager.requestFilename(longname);
+                });
+            });
+
+            it('returns the ancestors and the symbol itself for symbol pages', () => {
+                const crumbs = instance.breadcrumbs('classes', 'module:foo/bar.Baz#Qux');
+
+                expect(crumbs).toEqual([
+                    {
+                        text: 'foo/bar',
+                        url: 'module-foo-bar.html'
+                    },
+                    {
+                        text: 'Baz',
+                        url: 'module-foo-bar-baz.html'
+                    },
+                    {
+                        text: 'Qux',
+                        url: null
+                    }
+                ]);
+            });
+
+            it('returns a single breadcrumb for a symbol with no ancestors', () => {
+                const crumbs = instance.breadcrumbs('modules', 'module:foo/bar');
+
+                expect(crumbs).toEqual([
+                    {
+                        text: 'foo/bar',
+                        url: null
+                    }
+                ]);
+            });
+
+            it('follows the directory path for source files', () => {
+                const crumbs = instance.breadcrumbs('sources', 'foo/bar/baz.js');
+
+                expect(crumbs.map(crumb => crumb.text)).toEqual(['foo', 'bar', 'baz.js']);
+                expect(crumbs.every(crumb => crumb.url === null)).toBeTrue();
+            });
+
+            it('returns a single breadcrumb for the globals page', () => {
+                const crumbs = instance.breadcrumbs('globals');
+
+                expect(crumbs).toEqual([
+                    {
+                        text: template.translate('breadcrumbs.globals'),
+                        url: null
+                    }
+                ]);
+            });
+
+            it('returns an empty array if there is no longname or path', () => {
+                expect(instance.breadcrumbs('classes')).toEqual([]);
+                expect(instance.breadcrumbs()).toEqual([]);
+            });
+        });
+
+        describe('codeBlock', () => {
+            it('wraps the code in a fenced code block', () => {
+                const code = instance.codeBlock('const foo = 1;\n', 'js');
+
+                expect(code.toString()).toBe('```js\nconst foo = 1;\n```');
+            });
+
+            it('works if no language is specified', () => {
+                const code = instance.codeBlock('foo');
+
+                expect(code.toString()).toBe('```\nfoo\n```');
+            });
+
+            it('uses a longer fence if the code contains backticks', () => {
+                const code = instance.codeBlock('const foo = ```bar```;');
+
+                expect(code.toString()).toBe('````\nconst foo = ```bar```;\n````');
+            });
+        });
+
         xdescribe('config', () => {
             // TODO: Write me
         });
@@ -229,6 +313,15 @@ describe('lib/filters', () => {
                 expect(description.toString()).toBe('non-null string');
             });
 
+            it('links to known types', () => {
+                let description;
+
+                linkManager.requestFilename('Foo');
+                description = instance.describeType(catharsis.parse('Array.<Foo>'));
+
+                expect(description.toString()).toBe('Array of <a href="foo.html">Foo</a>');
+            });
+
             it('returns the extended format\'s description when the format is "extended"', () => {
                 const description = instance.describeType(parsedType, 'extended');
 
@@ -243,6 +336,20 @@ describe('lib/filters', () => {
             });
         });
 
+        describe('escapeMarkdown', () => {
+            it('escapes characters that have a special meaning in Markdown', () => {
+                const escaped = instance.escapeMarkdown('foo_bar*[baz]<qux>|`');
+
+                expect(escaped.toString()).toBe('foo\\_bar\\*\\[baz\\]\\<qux\\>\\|\\`');
+            });
+
+            it('leaves other characters alone', () => {
+                const escaped = instance.escapeMarkdown('module:foo/bar.Baz#qux');
+
+                expect(escaped.toString()).toBe('module:foo/bar.Baz#qux');
+            });
+        });
+
         xdescribe('filterProperties', () => {
             // TODO: Write me
         });
@@ -329,6 +436,26 @@ describe('lib/filters', () => {
             });
         });
 
+        describe('hierarchyDiagram', () => {
+            it('returns an empty string if there is no hierarchy', () => {
+                expect(instance.hierarchyDiagram(null)).toBe('');
+            });
+
+            it('returns an SVG image with a localized label', () => {
+                const diagram = instance.hierarchyDiagram({
+                    ancestors: [],
+                    augments: ['Foo'],
+                    implementations: [],
+                    implements: [],
+                    longname: 'Bar',
+                    mixes: [],
+                    subclasses: []
+                });
+
+                expect(diagram.toString()).toContain('aria-label="Inheritance diagram for Bar"');
+            });
+        });
+
         xdescribe('id', () => {
             // TODO: Write me
 
@@ -359,6 +486,37 @@ describe('lib/filters', () => {
 
                 expect(instance.headingLevel()).toBe(6);
             });
+
+            it('tracks the heading level separately for each render state', () => {
+                const firstState = {};
+                const secondState = {};
+
+                instance.incrementHeading(firstState);
+                instance.incrementHeading(firstState);
+                instance.incrementHeading(secondState);
+
+                expect(instance.headingLevel(firstState)).toBe(3);
+                expect(instance.headingLevel(secondState)).toBe(2);
+                expect(instance.headingLevel()).toBe(1);
+            });
+        });
+
+        describe('inlineMarkdown', () => {
+            it('replaces line breaks with spaces', () => {
+                const text = instance.inlineMarkdown('Foo\n  bar.\n\nBaz.');
+
+                expect(text.toString()).toBe('Foo bar. Baz.');
+            });
+
+            it('escapes pipe characters', () => {
+                const text = instance.inlineMarkdown('foo|bar');
+
+                expect(text.toString()).toBe('foo\\|bar');
+            });
+
+            it('returns an empty string if there is no text', () => {
+                expect(instance.inlineMarkdown(undefined).toString()).toBe('');
+            });
         });
 
         xdescribe('jsdocVersion', () => {
@@ -389,8 +547,44 @@ describe('lib/filters', () => {
             });
         });
 
-        xdescribe('labels', () => {
-            // TODO: Write me
+        describe('labels', () => {
+            // TODO: Test the other labels
+
+            it('adds a label for the symbol\'s kind if the symbol has its own page', () => {
+                const labels = instance.labels({
+                    kind: 'class',
+                    longname: 'Foo'
+                });
+
+                expect(labels[0].class).toBe('!label-kind');
+            });
+
+            it('adds a label for new symbols', () => {
+                let labels;
+
+                template.newLongnames = new Set(['foo']);
+                labels = instance.labels({
+                    kind: 'function',
+                    longname: 'foo'
+                });
+
+                expect(labels).toEqual([
+                    {
+                        class: '!label-new',
+                        text: 'new'
+                    }
+                ]);
+            });
+
+            it('does not add a label for symbols that are not new', () => {
+                const labels = instance.labels({
+                    kind: 'function',
+                    longname: 'foo',
+                    since: '1.0.0'
+                });
+
+                expect(labels).toBeEmptyArray();
+            });
         });
 
         describe('licenseLink', () => {
@@ -457,6 +651,44 @@ describe('lib/filters', () => {
             });
         });
 
+        describe('linkDeclarations', () => {
+            beforeEach(() => {
+                linkManager.requestFilename('Foo');
+            });
+
+            it('returns the line as-is if there are no declarations', () => {
+                expect(instance.linkDeclarations('class Foo {}').toString()).toBe('class Foo {}');
+                expect(instance.linkDeclarations('class Foo {}', []).toString())
+                    .toBe('class Foo {}');
+            });
+
+            it('links the names of declared symbols, and adds a gutter link', () => {
+                const line = instance.linkDeclarations('class Foo {}', [
+                    {
+                        longname: 'Foo',
+                        name: 'Foo'
+                    }
+                ]);
+
+                expect(line.toString()).toBe(
+                    '<a href="foo.html" title="Foo" class="source-gutter-link" ' +
+                    'aria-label="Documentation for Foo"></a>' +
+                    'class <a href="foo.html" title="Foo">Foo</a> {}'
+                );
+            });
+
+            it('ignores symbols without docs', () => {
+                const line = instance.linkDeclarations('const bar = 1;', [
+                    {
+                        longname: 'bar',
+                        name: 'bar'
+                    }
+                ]);
+
+                expect(line.toString()).toBe('const bar = 1;');
+            });
+        });
+
         xdescribe('linkLongnameWithSignature', () => {
             // TODO: Write me
         });
@@ -498,6 +730,17 @@ describe('lib/filters', () => {
                     '<a href="glitch-js.html">glitch.<wbr />js</a>'
                 );
             });
+
+            it('omits the line number from the link if the output format is Markdown', () => {
+                let link;
+
+                template = helpers.createTemplate({ outputFormat: 'markdown' });
+                template.linkManager.requestFilename('glitch.js');
+                instance = new Filters(template);
+                link = instance.linkToLine(fakeDocletMeta);
+
+                expect(link.toString()).toBe('[glitch.js:70](glitch-js.html)');
+            });
         });
 
         xdescribe('linkWithSignature', () => {
@@ -951,8 +1194,52 @@ describe('lib/filters', () => {
             });
         });
 
-        xdescribe('resolveLinks', () => {
-            // TODO: Write me
+        describe('resolveLinks', () => {
+            it('replaces inline links with HTML links', () => {
+                linkManager.requestFilename('Foo');
+
+                expect(instance.resolveLinks('See {@link Foo}.').toString())
+                    .toBe('See <a href="foo.html"><code>Foo</code></a>.');
+            });
+
+            it('passes the doclet to the handlers for custom inline tags', () => {
+                const doclet = { longname: 'bar' };
+                let handlerDoclet;
+
+                linkManager.registerInlineTag('jira', (tagInfo, context) => {
+                    handlerDoclet = context.doclet;
+
+                    return tagInfo.text;
+                });
+
+                expect(instance.resolveLinks('{@jira ABC-1}', doclet).toString()).toBe('ABC-1');
+                expect(handlerDoclet).toBe(doclet);
+            });
+        });
+
+        describe('resolveUrl', () => {
+            afterEach(() => {
+                linkManager.currentUri = null;
+            });
+
+            it('returns the URL as-is if no output file is being rendered', () => {
+                expect(instance.resolveUrl('css/baseline.css')).toBe('css/baseline.css');
+            });
+
+            it('returns a URL that is relative to the output file', () => {
+                linkManager.currentUri = 'classes/foo.html';
+
+                expect(instance.resolveUrl('css/baseline.css')).toBe('../css/baseline.css');
+            });
+
+            it('uses the base URL, if present', () => {
+                template = helpers.createTemplate({ baseUrl: 'https://example.org/docs' });
+                instance = new Filters(template);
+                template.linkManager.currentUri = 'classes/foo.html';
+
+                expect(instance.resolveUrl('css/baseline.css'))
+                    .toBe('https://example.org/docs/css/baseline.css');
+            });
         });
 
         describe('returnTypes', () => {
@@ -1119,6 +1406,43 @@ describe('lib/filters', () => {
             });
         });
 
+        describe('typeExpression', () => {
+            const catharsis = require('catharsis');
+
+            beforeEach(() => {
+                linkManager.requestFilename('foo.Bar');
+            });
+
+            it('converts the parsed type back into a type expression', () => {
+                const expression = instance.typeExpression(catharsis.parse('?function(string)'));
+
+                expect(expression.toString()).toBe('?function(string)');
+            });
+
+            it('links to documented types', () => {
+                const expression = instance.typeExpression(catharsis.parse('Array.<foo.Bar>'));
+
+                expect(expression.toString()).toBe(
+                    'Array.&lt;<a href="foo-bar.html">foo.<wbr />Bar</a>&gt;'
+                );
+            });
+
+            it('uses Markdown links and escaping if the output format is Markdown', () => {
+                let expression;
+
+                template = helpers.createTemplate({ outputFormat: 'markdown' });
+                template.linkManager.requestFilename('foo.Bar');
+                instance = new Filters(template);
+                expression = instance.typeExpression(catharsis.parse('Array.<foo.Bar>'));
+
+                expect(expression.toString()).toBe('Array.\\<[foo.Bar](foo-bar.html)\\>');
+            });
+
+            it('uses `?` if there is no parsed type', () => {
+                expect(instance.typeExpression('').toString()).toBe('?');
+            });
+        });
+
         xdescribe('typeUnion', () => {
             // TODO: Write me
         });
@@ -0,0 +1,188 @@
+const { getHierarchy, indexSubtypes, renderSvg } = require('../../../lib/hierarchy');
+
+describe('lib/hierarchy', () => {
+    const doclets = [
+        {
+            kind: 'class',
+            longname: 'Base'
+        },
+        {
+            augments: ['Base'],
+            kind: 'class',
+            longname: 'Middle'
+        },
+        {
+            augments: ['Middle'],
+            implements: ['IDrawable'],
+            kind: 'class',
+            longname: 'Child',
+            mixes: ['Observable']
+        },
+        {
+            augments: ['Child'],
+            kind: 'class',
+            longname: 'Grandchild'
+        },
+        {
+            kind: 'interface',
+            longname: 'IDrawable'
+        },
+        {
+            kind: 'mixin',
+            longname: 'Observable'
+        },
+        {
+            augments: ['Child'],
+            inherited: true,
+            kind: 'class',
+            longname: 'Other#Nested'
+        }
+    ];
+    const byLongname = {};
+
+    doclets.forEach(doclet => {
+        byLongname[doclet.longname] = doclet;
+    });
+
+    describe('indexSubtypes', () => {
+        it('finds the subclasses of each symbol', () => {
+            const { subclasses } = indexSubtypes(doclets);
+
+            expect(subclasses.get('Base')).toEqual(['Middle']);
+            expect(subclasses.get('Child')).toEqual(['Grandchild']);
+        });
+
+        it('finds the implementations of each interface', () => {
+            const { implementations } = indexSubtypes(doclets);
+
+            expect(implementations.get('IDrawable')).toEqual(['Child']);
+        });
+
+        it('ignores inherited doclets', () => {
+            const { subclasses } = indexSubtypes(doclets);
+
+            expect(subclasses.get('Child')).not.toContain('Other#Nested');
+        });
+    });
+
+    describe('getHierarchy', () => {
+        const subtypes = indexSubtypes(doclets);
+
+        it('lists the ancestors, starting with the root', () => {
+            const hierarchy = getHierarchy(byLongname.Grandchild, byLongname, subtypes);
+
+            expect(hierarchy.ancestors).toEqual(['Base', 'Middle']);
+            expect(hierarchy.augments).toEqual(['Child']);
+        });
+
+        it('lists interfaces, mixins, and subclasses', () => {
+            const hierarchy = getHierarchy(byLongname.Child, byLongname, subtypes);
+
+            expect(hierarchy.implements).toEqual(['IDrawable']);
+            expect(hierarchy.mixes).toEqual(['Observable']);
+            expect(hierarchy.subclasses).toEqual(['Grandchild']);
+        });
+
+        it('lists the implementations of an interface', () => {
+            const hierarchy = getHierarchy(byLongname.IDrawable, byLongname, subtypes);
+
+            expect(hierarchy.implementations).toEqual(['Child']);
+        });
+
+        it('returns `null` if the symbol is not related to other symbols', () => {
+            expect(getHierarchy({
+                kind: 'class',
+                longname: 'Lonely'
+            }, byLongname, subtypes)).toBeNull();
+        });
+
+        it('stops if the inheritance chain has a cycle', () => {
+            const cyclic = {
+                A: {
+                    augments: ['B'],
+                    longname: 'A'
+                },
+                B: {
+                    augments: ['C'],
+                    longname: 'B'
+                },
+                C: {
+                    augments: ['B'],
+                    longname: 'C'
+                }
+            };
+            const hierarchy = getHierarchy(cyclic.A, cyclic, indexSubtypes([]));
+
+            expect(hierarchy.ancestors).toEqual(['C']);
+        });
+    });
+
+    describe('renderSvg', () => {
+        const subtypes = indexSubtypes(doclets);
+        let linkManager;
+
+        beforeEach(() => {
+            linkManager = helpers.createTemplate().linkManager;
+            ['Base', 'Child', 'Grandchild', 'IDrawable'].forEach(longname => {
+                linkManager.requestFilename(longname);
+            });
+        });
+
+        it('returns an SVG image with an accessible label', () => {
+            const svg = renderSvg(getHierarchy(byLongname.Child, byLongname, subtypes),
+                linkManager, 'Diagram for <Child>');
+
+            expect(svg).toMatch(/^<svg [^>]*role="img"/);
+            expect(svg).toContain('aria-label="Diagram for &lt;Child&gt;"');
+            expect(svg).toEndWith('</svg>');
+        });
+
+        it('adds a node for each related symbol', () => {
+            const svg = renderSvg(getHierarchy(byLongname.Child, byLongname, subtypes),
+                linkManager, '');
+
+            ['Base', 'Middle', 'Child', 'Grandchild', 'IDrawable', 'Observable'].forEach(longname => {
+                expect(svg).toContain(`<title>${longname}</title>`);
+            });
+        });
+
+        it('links to symbols other than the current symbol', () => {
+            const svg = renderSvg(getHierarchy(byLongname.Child, byLongname, subtypes),
+                linkManager, '');
+
+            expect(svg).toContain('<a href="base.html" xlink:href="base.html">');
+            expect(svg).toContain('<a href="grandchild.html" xlink:href="grandchild.html">');
+            expect(svg).toContain('<a href="i-drawable.html" xlink:href="i-drawable.html">');
+            expect(svg).not.toContain('href="child.html"');
+        });
+
+        it('does not link to symbols without an output file', () => {
+            const svg = renderSvg(getHierarchy(byLongname.Child, byLongname, subtypes),
+                linkManager, '');
+
+            expect(svg).not.toContain('middle.html');
+            expect(svg).not.toContain('observable.html');
+        });
+
+        it('adds an edge for each relationship', () => {
+            const svg = renderSvg(getHierarchy(byLongname.Child, byLongname, subtypes),
+                linkManager, '');
+
+            // Base <- Middle <- Child <- Grandchild, plus Child -> IDrawable and Child -> Observable
+            expect(svg.match(/<line /g).length).toBe(5);
+            expect(svg).toContain('stroke-dasharray="4 2" marker-end');
+            expect(svg).toContain('stroke-dasharray="1 2" marker-end');
+        });
+
+        it('escapes the labels', () => {
+            const hierarchy = getHierarchy({
+                augments: ['module:a<b>'],
+                longname: 'Foo'
+            }, {}, indexSubtypes([]));
+            const svg = renderSvg(hierarchy, linkManager, '');
+
+            expect(svg).toContain('<title>module:a&lt;b&gt;</title>');
+            expect(svg).not.toContain('a<b>');
+        });
+    });
+});
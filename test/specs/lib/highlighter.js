@@ -0,0 +1,167 @@
+const { EventBus } = require('@jsdoc/util');
+const highlighter = require('../../../lib/highlighter');
+const path = require('path');
+
+describe('lib/highlighter', () => {
+    const { getHighlighter, getLanguage, highlight, linkWord, splitLines } = highlighter;
+
+    describe('highlight', () => {
+        it('adds `prettify.js` classes to JavaScript tokens', () => {
+            expect(highlight('const foo = new Bar(1, \'baz\'); // done', 'js')).toBe(
+                '<span class="kwd">const</span> <span class="pln">foo</span> ' +
+                '<span class="pun">=</span> <span class="kwd">new</span> ' +
+                '<span class="typ">Bar</span><span class="pun">(</span>' +
+                '<span class="lit">1</span><span class="pun">,</span> ' +
+                '<span class="str">&#39;baz&#39;</span><span class="pun">);</span> ' +
+                '<span class="com">// done</span>'
+            );
+        });
+
+        it('highlights literal values', () => {
+            expect(highlight('null', 'js')).toBe('<span class="lit">null</span>');
+            expect(highlight('0xFF', 'js')).toBe('<span class="lit">0xFF</span>');
+        });
+
+        it('tells regular expressions apart from division', () => {
+            expect(highlight('x = /a\\/b/g', 'js')).toContain('<span class="str">/a\\/b/g</span>');
+            expect(highlight('x = a / b / c', 'js')).not.toContain('class="str"');
+        });
+
+        it('escapes HTML characters', () => {
+            expect(highlight('a < b && "<p>"', 'js')).toBe(
+                '<span class="pln">a</span> <span class="pun">&lt;</span> ' +
+                '<span class="pln">b</span> <span class="pun">&amp;&amp;</span> ' +
+                '<span class="str">&quot;&lt;p&gt;&quot;</span>'
+            );
+        });
+
+        it('escapes, but does not highlight, other languages', () => {
+            expect(highlight('<p class="foo">', 'html')).toBe('&lt;p class=&quot;foo&quot;&gt;');
+            expect(highlight('const foo;', 'plain')).toBe('const foo;');
+        });
+    });
+
+    describe('getHighlighter', () => {
+        it('returns the built-in highlighter by default', () => {
+            expect(getHighlighter()).toBe(highlight);
+            expect(getHighlighter('')).toBe(highlight);
+        });
+
+        it('returns a highlighter function as-is', () => {
+            const fn = () => '';
+
+            expect(getHighlighter(fn)).toBe(fn);
+        });
+
+        it('loads a highlighter module', () => {
+            const fn = getHighlighter(path.join(__dirname, '../../fixtures/markdown/highlighter'));
+
+            expect(fn('foo', 'js')).toBe('<pre><code>foo in this language: js</code></pre>');
+        });
+
+        it('loads a highlighter module from a path relative to the working directory', () => {
+            const relativePath = `./${path.relative(process.cwd(),
+                path.join(__dirname, '../../fixtures/markdown/highlighter.js'))}`;
+            const fn = getHighlighter(relativePath);
+
+            expect(fn('foo', 'js')).toBe('<pre><code>foo in this language: js</code></pre>');
+        });
+
+        it('logs only one error if a module cannot be loaded', () => {
+            const bus = new EventBus('jsdoc');
+            const events = [];
+
+            function listener(e) {
+                events.push(e);
+            }
+
+            bus.on('logger:error', listener);
+            getHighlighter('./no-such-highlighter.js');
+            getHighlighter('./no-such-highlighter.js');
+            bus.off('logger:error', listener);
+
+            expect(events.length).toBe(1);
+            expect(getHighlighter('./no-such-highlighter.js')).toBe(highlight);
+        });
+
+        it('logs an error and uses the built-in highlighter if a module is invalid', () => {
+            const bus = new EventBus('jsdoc');
+            const events = [];
+            let fn;
+
+            function listener(e) {
+                events.push(e);
+            }
+
+            bus.on('logger:error', listener);
+            fn = getHighlighter(path.join(__dirname, '../../fixtures/markdown/bad-highlighter'));
+            bus.off('logger:error', listener);
+
+            expect(events.length).toBe(1);
+            expect(fn).toBe(highlight);
+        });
+    });
+
+    describe('getLanguage', () => {
+        it('uses the file extension', () => {
+            expect(getLanguage('/path/to/foo.js')).toBe('js');
+            expect(getLanguage('C:\\path\\to\\Foo.TS')).toBe('ts');
+        });
+
+        it('returns `plain` if there is no file extension', () => {
+            expect(getLanguage('/path/to.dir/Makefile')).toBe('plain');
+        });
+    });
+
+    describe('linkWord', () => {
+        const attributes = 'href="foo.html"';
+
+        it('links the first occurrence of a word', () => {
+            expect(linkWord('<span class="pln">foo</span> = foo', 'foo', attributes))
+                .toBe('<span class="pln"><a href="foo.html">foo</a></span> = foo');
+        });
+
+        it('ignores words that are part of a longer identifier', () => {
+            expect(linkWord('foobar = $foo = foo', 'foo', attributes))
+                .toBe('foobar = $foo = <a href="foo.html">foo</a>');
+        });
+
+        it('ignores text in tags and existing links', () => {
+            expect(linkWord('<span class="foo"><a href="#">foo</a></span> foo', 'foo', attributes))
+                .toBe('<span class="foo"><a href="#">foo</a></span> <a href="foo.html">foo</a>');
+        });
+
+        it('returns the original HTML if the word is not found', () => {
+            expect(linkWord('bar', 'foo', attributes)).toBe('bar');
+        });
+
+        it('handles names with special characters', () => {
+            expect(linkWord('x = $', '$', 'href="a.html#$&"')).toBe('x = <a href="a.html#$&">$</a>');
+        });
+    });
+
+    describe('splitLines', () => {
+        it('splits HTML into lines', () => {
+            expect(splitLines('a\nb\r\nc')).toEqual(['a', 'b', 'c']);
+        });
+
+        it('omits the empty line after a trailing line break', () => {
+            expect(splitLines('a\nb\n')).toEqual(['a', 'b']);
+        });
+
+        it('closes and reopens elements that span more than one line', () => {
+            expect(splitLines('<span class="com">/*\n * foo\n */</span> <b>x</b>')).toEqual([
+                '<span class="com">/*</span>',
+                '<span class="com"> * foo</span>',
+                '<span class="com"> */</span> <b>x</b>'
+            ]);
+        });
+
+        it('handles nested elements and void elements', () => {
+            expect(splitLines('<a href="#"><b>x<br>\ny</b></a>')).toEqual([
+                '<a href="#"><b>x<br></b></a>',
+                '<a href="#"><b>y</b></a>'
+            ]);
+        });
+    });
+});
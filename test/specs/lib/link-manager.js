@@ -33,6 +33,30 @@ describe('lib/link-manager', () => {
         expect(factory).toThrowErrorOfType(ARGUMENT_ERROR);
     });
 
+    it('fails if the format is not recognized', () => {
+        function factory() {
+            return new LinkManager(_.defaults({ format: 'pdf' }, opts));
+        }
+
+        expect(factory).toThrowErrorOfType(ARGUMENT_ERROR);
+    });
+
+    it('fails if an output directory is not a string', () => {
+        function factory() {
+            return new LinkManager(_.defaults({ directories: { classes: true } }, opts));
+        }
+
+        expect(factory).toThrowErrorOfType(ARGUMENT_ERROR);
+    });
+
+    it('fails if the base URL is not a string', () => {
+        function factory() {
+            return new LinkManager(_.defaults({ baseUrl: true }, opts));
+        }
+
+        expect(factory).toThrowErrorOfType(ARGUMENT_ERROR);
+    });
+
     it('accepts a custom slugifier', () => {
         const slugifierOpts = _.defaults(opts, {
             slugifier: str => 'fake-slug-' + str
@@ -250,6 +274,161 @@ describe('lib/link-manager', () => {
                 expect(link).toBe('<a href="https://example.com/">https://example.com/</a>');
             });
         });
+
+        describe('output directories', () => {
+            beforeEach(() => {
+                instance = new LinkManager(_.defaults({
+                    directories: {
+                        classes: 'classes',
+                        modules: 'modules'
+                    }
+                }, opts));
+                instance.registerDoclet({
+                    kind: 'class',
+                    longname: 'Foo',
+                    name: 'Foo',
+                    scope: 'global'
+                });
+                instance.registerDoclet({
+                    kind: 'module',
+                    longname: 'module:bar',
+                    name: 'bar'
+                });
+                instance.requestFilename('index');
+            });
+
+            it('uses the path from the root if no page is being rendered', () => {
+                const link = instance.createLink('Foo');
+
+                expect(link).toBe('<a href="classes/foo.html">Foo</a>');
+            });
+
+            it('creates links that are relative to the current page', () => {
+                let link;
+
+                instance.currentUri = 'modules/module-bar.html';
+                link = instance.createLink('Foo');
+
+                expect(link).toBe('<a href="../classes/foo.html">Foo</a>');
+            });
+
+            it('creates links to pages in the same directory', () => {
+                let link;
+
+                instance.currentUri = 'classes/baz.html';
+                link = instance.createLink('Foo');
+
+                expect(link).toBe('<a href="foo.html">Foo</a>');
+            });
+
+            it('creates links from subdirectories to the root directory', () => {
+                let link;
+
+                instance.currentUri = 'classes/foo.html';
+                link = instance.createLink('index');
+
+                expect(link).toBe('<a href="../index.html">index</a>');
+            });
+        });
+
+        describe('Markdown', () => {
+            beforeEach(() => {
+                instance = new LinkManager(_.defaults({ format: 'markdown' }, opts));
+            });
+
+            it('creates Markdown links', () => {
+                let link;
+
+                instance.requestFilename('foo.bar');
+                link = instance.createLink('foo.bar', {
+                    cssClass: 'baz'
+                });
+
+                expect(link).toBe('[foo.bar](foo-bar.html)');
+            });
+
+            it('uses a code span for monospace link text', () => {
+                let link;
+
+                instance.requestFilename('foo');
+                link = instance.createLink('foo', {
+                    monospace: true
+                });
+
+                expect(link).toBe('[`foo`](foo.html)');
+            });
+
+            it('escapes square brackets in the link text', () => {
+                let link;
+
+                instance.requestFilename('foo');
+                link = instance.createLink('foo', {
+                    linkText: 'foo([bar])'
+                });
+
+                expect(link).toBe('[foo(\\[bar\\])](foo.html)');
+            });
+
+            it('turns URIs into links', () => {
+                const link = instance.createLink('<https://example.com/>');
+
+                expect(link).toBe('[https://example.com/](https://example.com/)');
+            });
+
+            it('returns the original string for unrecognized link targets', () => {
+                expect(instance.createLink('hello')).toBe('hello');
+            });
+        });
+    });
+
+    describe('currentUri', () => {
+        it('is null by default', () => {
+            expect(instance.currentUri).toBeNull();
+        });
+
+        it('fails on bad input', () => {
+            expect(() => {
+                instance.currentUri = 7;
+            }).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('converts Windows path separators', () => {
+            instance.currentUri = 'foo\\bar.html';
+
+            expect(instance.currentUri).toBe('foo/bar.html');
+        });
+
+        it('can be reset', () => {
+            instance.currentUri = 'foo.html';
+            instance.currentUri = null;
+
+            expect(instance.currentUri).toBeNull();
+        });
+    });
+
+    describe('exportState', () => {
+        it('includes filenames and fragment IDs', () => {
+            let state;
+
+            instance.registerDoclet({
+                kind: 'function',
+                longname: 'Foo#bar',
+                memberof: 'Foo',
+                name: 'bar',
+                scope: 'instance'
+            });
+            state = instance.exportState();
+
+            expect(state.stringToFilename).toContain(['Foo#bar', 'foo']);
+            expect(state.longnameToFragmentId).toContain(['Foo#bar', 'bar']);
+            expect(state.fragmentIdsByFilename).toContain(['foo', ['bar']]);
+        });
+
+        it('includes tutorial titles', () => {
+            instance.registerTutorial('intro', 'Introduction');
+
+            expect(instance.exportState().tutorialTitles).toEqual([['intro', 'Introduction']]);
+        });
     });
 
     describe('getUniqueFilename', () => {
@@ -268,6 +447,47 @@ describe('lib/link-manager', () => {
 
             expect(filename1).not.toBe(filename2);
         });
+
+        it('puts the filename in the output directory for the category', () => {
+            let filename;
+
+            instance = new LinkManager(_.defaults({
+                directories: { sources: 'source' }
+            }, opts));
+            filename = instance.getUniqueFilename('foo.js', { category: 'sources' });
+
+            expect(filename).toBe('source/foo-js.html');
+        });
+    });
+
+    describe('getUnresolvedLinks', () => {
+        it('fails on bad input', () => {
+            expect(() => instance.getUnresolvedLinks(7)).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('returns the targets of inline links that cannot be resolved', () => {
+            let unresolved;
+
+            instance.requestFilename('Foo');
+            unresolved = instance.getUnresolvedLinks('See {@link Foo}, {@linkcode Bar}, ' +
+                '{@linkplain Baz|the baz}, and {@link https://example.org/ Example}.');
+
+            expect(unresolved).toEqual([
+                'Bar',
+                'Baz'
+            ]);
+        });
+
+        it('returns an empty array if there are no inline links', () => {
+            expect(instance.getUnresolvedLinks('Foo')).toEqual([]);
+        });
+
+        it('returns unknown tutorials, with the `tutorial:` prefix', () => {
+            instance.registerTutorial('intro');
+
+            expect(instance.getUnresolvedLinks('See {@tutorial intro} and {@tutorial outro}.'))
+                .toEqual(['tutorial:outro']);
+        });
     });
 
     describe('getUri', () => {
@@ -294,6 +514,159 @@ describe('lib/link-manager', () => {
 
             expect(uri).toBe('foo.test');
         });
+
+        it('omits the fragment ID by default', () => {
+            instance.registerDoclet({
+                kind: 'function',
+                longname: 'foo.bar',
+                memberof: 'foo',
+                name: 'bar',
+                scope: 'static'
+            });
+
+            expect(instance.getUri('foo.bar')).toBe('foo.html');
+        });
+
+        it('includes the fragment ID when asked', () => {
+            instance.registerDoclet({
+                kind: 'function',
+                longname: 'foo.bar',
+                memberof: 'foo',
+                name: 'bar',
+                scope: 'static'
+            });
+
+            expect(instance.getUri('foo.bar', { includeFragmentId: true })).toBe('foo.html#.bar');
+        });
+
+        it('returns a URI that is relative to the current page, if any', () => {
+            instance = new LinkManager(_.defaults({
+                directories: { classes: 'classes' }
+            }, opts));
+            instance.requestFilename('foo', { category: 'classes' });
+            instance.currentUri = 'source/bar.html';
+
+            expect(instance.getUri('foo')).toBe('../classes/foo.html');
+        });
+    });
+
+    describe('importLinks', () => {
+        it('fails on bad input', () => {
+            expect(() => instance.importLinks({ foo: 7 })).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('adds links to external symbols', () => {
+            instance.importLinks({
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, 'https://example.org/otherlib');
+
+            expect(instance.createLink('otherlib.Foo', { linkText: 'Foo' }))
+                .toBe('<a href="https://example.org/otherlib/otherlib-foo.html">Foo</a>');
+        });
+
+        it('keeps the fragment ID from the URI', () => {
+            instance.importLinks({
+                'otherlib.Foo#bar': 'otherlib-foo.html#bar'
+            }, 'https://example.org/otherlib/');
+
+            expect(instance.getUri('otherlib.Foo#bar')).toBe(
+                'https://example.org/otherlib/otherlib-foo.html'
+            );
+            expect(instance.getUri('otherlib.Foo#bar', { includeFragmentId: true })).toBe(
+                'https://example.org/otherlib/otherlib-foo.html#bar'
+            );
+        });
+
+        it('does not add the link extension', () => {
+            instance.linkExtension = '';
+            instance.importLinks({
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, 'https://example.org/otherlib/');
+
+            expect(instance.getUri('otherlib.Foo')).toBe(
+                'https://example.org/otherlib/otherlib-foo.html'
+            );
+        });
+
+        it('does not replace existing links', () => {
+            let added;
+
+            instance.requestFilename('Foo');
+            added = instance.importLinks({
+                'Foo': 'foo.html',
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, 'https://example.org/otherlib/');
+
+            expect(added).toEqual(['otherlib.Foo']);
+            expect(instance.getUri('Foo')).toBe('foo.html');
+        });
+
+        it('makes relative URIs relative to the current output file', () => {
+            instance.importLinks({
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, '../otherlib');
+            instance.currentUri = 'classes/bar.html';
+
+            expect(instance.getUri('otherlib.Foo')).toBe('../../otherlib/otherlib-foo.html');
+        });
+
+        it('adds links for type expressions', () => {
+            const catharsis = require('catharsis');
+            let description;
+
+            instance.importLinks({
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, 'https://example.org/otherlib/');
+            description = catharsis.describe(catharsis.parse('otherlib.Foo'), {
+                links: instance.stringToLinkUri
+            });
+
+            expect(description.simple)
+                .toBe('<a href="https://example.org/otherlib/otherlib-foo.html">otherlib.Foo</a>');
+        });
+    });
+
+    describe('importState', () => {
+        it('restores the state from another link manager', () => {
+            const other = new LinkManager(opts);
+
+            other.registerDoclet({
+                kind: 'function',
+                longname: 'Foo#bar',
+                memberof: 'Foo',
+                name: 'bar',
+                scope: 'instance'
+            });
+            instance.importState(other.exportState());
+
+            expect(instance.getUri('Foo#bar', { includeFragmentId: true })).toBe('foo.html#bar');
+        });
+
+        it('restores links to external symbols', () => {
+            const other = new LinkManager(opts);
+
+            other.importLinks({
+                'otherlib.Foo': 'otherlib-foo.html'
+            }, 'https://example.org/otherlib/');
+            instance.importState(other.exportState());
+
+            expect(instance.getUri('otherlib.Foo'))
+                .toBe('https://example.org/otherlib/otherlib-foo.html');
+        });
+
+        it('imports tutorial titles', () => {
+            const other = new LinkManager(opts);
+
+            other.registerTutorial('intro', 'Introduction');
+            instance.importState(other.exportState());
+
+            expect(instance.resolveInlineLinks('{@tutorial intro}'))
+                .toBe('<a href="tutorial-intro.html">Introduction</a>');
+        });
+
+        it('fails on bad input', () => {
+            expect(() => instance.importState({})).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
     });
 
     describe('registerDoclet', () => {
@@ -331,6 +704,86 @@ describe('lib/link-manager', () => {
             expect(fileInfo.fragmentId).toBeUndefined();
         });
 
+        describe('output directories', () => {
+            beforeEach(() => {
+                instance = new LinkManager(_.defaults({
+                    directories: {
+                        classes: './classes/',
+                        modules: 'modules'
+                    }
+                }, opts));
+            });
+
+            it('puts the output file in the directory for its category', () => {
+                const fileInfo = instance.registerDoclet({
+                    kind: 'class',
+                    longname: 'Foo',
+                    name: 'Foo',
+                    scope: 'global'
+                });
+
+                expect(fileInfo.filename).toBe('classes/foo');
+            });
+
+            it('puts the sole export of a module in the modules directory', () => {
+                const fileInfo = instance.registerDoclet({
+                    kind: 'function',
+                    longname: 'module:foo',
+                    name: 'module:foo',
+                    scope: 'global'
+                });
+
+                expect(fileInfo.filename).toBe('modules/module-foo');
+            });
+
+            it('puts members in the output file for their parent', () => {
+                let fileInfo;
+
+                instance.registerDoclet({
+                    kind: 'class',
+                    longname: 'Foo',
+                    name: 'Foo',
+                    scope: 'global'
+                });
+                fileInfo = instance.registerDoclet({
+                    kind: 'function',
+                    longname: 'Foo#bar',
+                    memberof: 'Foo',
+                    name: 'bar',
+                    scope: 'instance'
+                });
+
+                expect(fileInfo.filename).toBe('classes/foo');
+                expect(instance.getUri('Foo#bar', { includeFragmentId: true }))
+                    .toBe('classes/foo.html#bar');
+            });
+
+            it('uses a separate slugifier for each directory', () => {
+                const classInfo = instance.registerDoclet({
+                    kind: 'class',
+                    longname: 'foo',
+                    name: 'foo',
+                    scope: 'global'
+                });
+                const namespaceInfo = instance.registerDoclet({
+                    kind: 'namespace',
+                    longname: 'Foo',
+                    name: 'Foo',
+                    scope: 'global'
+                });
+                const moduleInfo = instance.registerDoclet({
+                    kind: 'module',
+                    longname: 'module:foo',
+                    name: 'foo'
+                });
+
+                expect(classInfo.filename).toBe('classes/foo');
+                // Namespaces are in the root directory.
+                expect(namespaceInfo.filename).toBe('foo');
+                expect(moduleInfo.filename).toBe('modules/module-foo');
+            });
+        });
+
         it('returns the existing filename if a doclet with this longname was registered', () => {
             const fakeDoclet = {
                 kind: 'class',
@@ -470,6 +923,53 @@ describe('lib/link-manager', () => {
         });
     });
 
+    describe('registerInlineTag', () => {
+        it('fails on bad input', () => {
+            expect(() => instance.registerInlineTag('', () => '')).toThrowErrorOfType(ARGUMENT_ERROR);
+            expect(() => instance.registerInlineTag('@jira', () => ''))
+                .toThrowErrorOfType(ARGUMENT_ERROR);
+            expect(() => instance.registerInlineTag('jira', 'handler'))
+                .toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('returns the link manager', () => {
+            expect(instance.registerInlineTag('jira', () => '')).toBe(instance);
+        });
+    });
+
+    describe('registerTutorial', () => {
+        it('fails on bad input', () => {
+            expect(() => instance.registerTutorial('')).toThrowErrorOfType(ARGUMENT_ERROR);
+            expect(() => instance.registerTutorial('intro', 7)).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('returns a filename for the tutorial', () => {
+            expect(instance.registerTutorial('intro')).toBe('tutorial-intro');
+        });
+
+        it('does not conflict with a symbol that has the same name', () => {
+            instance.requestFilename('intro');
+            instance.registerTutorial('intro');
+
+            expect(instance.getUri('intro')).toBe('intro.html');
+            expect(instance.getUri('tutorial:intro')).toBe('tutorial-intro.html');
+        });
+
+        it('returns the same filename if the tutorial is registered twice', () => {
+            const filename = instance.registerTutorial('intro');
+
+            expect(instance.registerTutorial('intro')).toBe(filename);
+        });
+
+        it('puts the filename in the output directory for tutorials', () => {
+            instance = new LinkManager(_.defaults({
+                directories: { tutorials: 'tutorials' }
+            }, opts));
+
+            expect(instance.registerTutorial('intro')).toBe('tutorials/tutorial-intro');
+        });
+    });
+
     describe('requestFilename', () => {
         it('uses a slugified string in the filename', () => {
             const filename = instance.requestFilename('foo!bar');
@@ -496,6 +996,42 @@ describe('lib/link-manager', () => {
 
             expect(filename).toBe('foo-but-slugified');
         });
+
+        it('puts the filename in the output directory for the category', () => {
+            let filename;
+
+            instance = new LinkManager(_.defaults({
+                directories: { classes: 'classes' }
+            }, opts));
+            filename = instance.requestFilename('foo', { category: 'classes' });
+
+            expect(filename).toBe('classes/foo');
+        });
+
+        it('only checks for duplicates within the same directory', () => {
+            let filenames;
+
+            instance = new LinkManager(_.defaults({
+                directories: { classes: 'classes' }
+            }, opts));
+            filenames = [
+                instance.requestFilename('foo', { category: 'classes' }),
+                instance.requestFilename('foo'),
+                instance.requestFilename('foo', { category: 'classes' })
+            ];
+
+            expect(filenames).toEqual([
+                'classes/foo',
+                'foo',
+                'classes/foo-2'
+            ]);
+        });
+
+        it('uses the root directory for categories without an output directory', () => {
+            const filename = instance.requestFilename('foo', { category: 'classes' });
+
+            expect(filename).toBe('foo');
+        });
     });
 
     describe('resetCounters', () => {
@@ -536,6 +1072,14 @@ describe('lib/link-manager', () => {
                 .toBe('Testing a <a href="foo.html"><code>foo</code></a>');
         });
 
+        it('replaces {@link} inline tags with Markdown links if the format is Markdown', () => {
+            instance = new LinkManager(_.defaults({ format: 'markdown' }, opts));
+            instance.requestFilename('foo');
+
+            expect(instance.resolveInlineLinks('Testing a {@linkplain foo|Foo}'))
+                .toBe('Testing a [Foo](foo.html)');
+        });
+
         it('does not add a link if the tag value is unknown', () => {
             expect(instance.resolveInlineLinks('Testing a {@link foo}'))
                 .toBe('Testing a foo');
@@ -619,6 +1163,145 @@ describe('lib/link-manager', () => {
 
             expect(instance.resolveInlineLinks(str)).toBe(str);
         });
+
+        describe('{@tutorial}', () => {
+            it('replaces {@tutorial} inline tags with links that use the tutorial title', () => {
+                instance.registerTutorial('intro', 'Introduction');
+
+                expect(instance.resolveInlineLinks('Read {@tutorial intro}.'))
+                    .toBe('Read <a href="tutorial-intro.html">Introduction</a>.');
+            });
+
+            it('uses leading link text in square brackets', () => {
+                instance.registerTutorial('intro', 'Introduction');
+
+                expect(instance.resolveInlineLinks('Read [the intro]{@tutorial intro}.'))
+                    .toBe('Read <a href="tutorial-intro.html">the intro</a>.');
+            });
+
+            it('uses the tutorial name if the tutorial is unknown', () => {
+                expect(instance.resolveInlineLinks('Read {@tutorial intro}.'))
+                    .toBe('Read intro.');
+            });
+        });
+
+        describe('custom inline tags', () => {
+            it('replaces inline tags that have a handler', () => {
+                instance.registerInlineTag('jira', ({ text }) =>
+                    `<a href="https://jira.example.org/browse/${text}">${text}</a>`);
+
+                expect(instance.resolveInlineLinks('See {@jira ABC-1}.')).toBe(
+                    'See <a href="https://jira.example.org/browse/ABC-1">ABC-1</a>.');
+            });
+
+            it('passes the tag info, the doclet, and the link manager to the handler', () => {
+                const doclet = { longname: 'foo' };
+                const handler = jasmine.createSpy('handler').and.returnValue('');
+
+                instance.registerInlineTag('jira', handler);
+                instance.resolveInlineLinks('{@jira ABC-1}', { doclet });
+
+                expect(handler).toHaveBeenCalledWith({
+                    completeTag: '{@jira ABC-1}',
+                    tag: 'jira',
+                    text: 'ABC-1'
+                }, {
+                    doclet,
+                    linkManager: instance
+                });
+            });
+
+            it('lets handlers use the link manager to create links', () => {
+                instance.requestFilename('foo');
+                instance.registerInlineTag('see', ({ text }, { linkManager }) =>
+                    linkManager.createLink(text));
+
+                expect(instance.resolveInlineLinks('{@see foo}'))
+                    .toBe('<a href="foo.html">foo</a>');
+            });
+
+            it('does not treat `$` in the replacement as a pattern', () => {
+                instance.registerInlineTag('price', () => '$&');
+
+                expect(instance.resolveInlineLinks('{@price 5}')).toBe('$&');
+            });
+
+            it('removes the tag if the handler returns nothing', () => {
+                instance.registerInlineTag('nothing', () => undefined);
+
+                expect(instance.resolveInlineLinks('a{@nothing here}b')).toBe('ab');
+            });
+
+            it('lets a handler replace the built-in handling of {@link}', () => {
+                instance.requestFilename('foo');
+                instance.registerInlineTag('link', ({ text }) => `[${text}]`);
+
+                expect(instance.resolveInlineLinks('{@link foo} {@linkplain foo}'))
+                    .toBe('[foo] <a href="foo.html">foo</a>');
+            });
+
+            it('leaves inline tags without a handler alone', () => {
+                const str = 'See {@jira ABC-1}.';
+
+                expect(instance.resolveInlineLinks(str)).toBe(str);
+            });
+        });
+    });
+
+    describe('resolveUri', () => {
+        it('fails on bad input', () => {
+            expect(() => instance.resolveUri(7)).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('returns the URI as-is if no output file is being rendered', () => {
+            expect(instance.resolveUri('css/baseline.css')).toBe('css/baseline.css');
+        });
+
+        it('returns a URI that is relative to the current output file', () => {
+            instance.currentUri = 'source/lib/foo-js.html';
+
+            expect(instance.resolveUri('css/baseline.css')).toBe('../../css/baseline.css');
+        });
+
+        it('keeps the fragment ID', () => {
+            instance.currentUri = 'classes/foo.html';
+
+            expect(instance.resolveUri('bar.html#baz')).toBe('../bar.html#baz');
+        });
+
+        it('does not change absolute URIs or fragment IDs', () => {
+            instance.currentUri = 'classes/foo.html';
+
+            expect(instance.resolveUri('https://example.org/')).toBe('https://example.org/');
+            expect(instance.resolveUri('/css/baseline.css')).toBe('/css/baseline.css');
+            expect(instance.resolveUri('#bar')).toBe('#bar');
+        });
+
+        describe('base URL', () => {
+            beforeEach(() => {
+                instance = new LinkManager(_.defaults({ baseUrl: '/docs' }, opts));
+            });
+
+            it('adds the base URL while an output file is being rendered', () => {
+                instance.currentUri = 'classes/foo.html';
+
+                expect(instance.resolveUri('css/baseline.css')).toBe('/docs/css/baseline.css');
+            });
+
+            it('does not add the base URL if no output file is being rendered', () => {
+                expect(instance.resolveUri('css/baseline.css')).toBe('css/baseline.css');
+            });
+
+            it('adds the base URL to links', () => {
+                let link;
+
+                instance.requestFilename('Foo');
+                instance.currentUri = 'classes/bar.html';
+                link = instance.createLink('Foo');
+
+                expect(link).toBe('<a href="/docs/foo.html">Foo</a>');
+            });
+        });
     });
 
     describe('stringToLinkUri', () => {
@@ -639,5 +1322,24 @@ describe('lib/link-manager', () => {
             // toEqual() doesn't work with proxies.
             expect(instance.stringToLinkUri.foo).toBe('foo.test');
         });
+
+        it('reports known strings as properties, so that Catharsis can find them', () => {
+            instance.requestFilename('foo');
+
+            expect({}.hasOwnProperty.call(instance.stringToLinkUri, 'foo')).toBeTrue();
+            expect({}.hasOwnProperty.call(instance.stringToLinkUri, 'bar')).toBeFalse();
+            expect('foo' in instance.stringToLinkUri).toBeTrue();
+        });
+
+        it('uses URIs that are relative to the current page', () => {
+            instance = new LinkManager(_.defaults({
+                directories: { classes: 'classes' }
+            }, opts));
+            instance.requestFilename('foo', { category: 'classes' });
+            instance.currentUri = 'classes/bar.html';
+
+            // toEqual() doesn't work with proxies.
+            expect(instance.stringToLinkUri.foo).toBe('foo.html');
+        });
     });
 });
@@ -89,7 +89,44 @@ describe('lib/markdown', () => {
             expect(parser(markdownText)).toBe(convertedText);
         });
 
+        it('highlights JavaScript code blocks', () => {
+            const parser = markdown.getParser();
+
+            expect(parser('```js\nfoo();\n```')).toBe(
+                '<pre class="prettyprint prettyprinted source lang-js"><code>' +
+                '<span class="pln">foo</span><span class="pun">();</span>\n</code></pre>'
+            );
+        });
+
         describe('syntax highlighter', () => {
+            it('supports a code highlighter for the default code blocks', () => {
+                const parser = markdown.getParser({
+                    highlighter: (code, language) => `${code.trim()} highlighted as ${language}`
+                });
+
+                expect(parser('```js\nhello\n```')).toBe(
+                    '<pre class="prettyprint prettyprinted source lang-js"><code>' +
+                    'hello highlighted as js</code></pre>'
+                );
+            });
+
+            it('prefers the `highlight` function defined in the config file', () => {
+                let parser;
+
+                setMarkdownConf({
+                    highlight(code, language) {
+                        return `<pre><code>${code} highlighted as ${language}</code></pre>`;
+                    }
+                });
+                parser = markdown.getParser({
+                    highlighter: () => 'ignored'
+                });
+
+                expect(parser('```js\nhello\n```')).toBe(
+                    '<pre><code>hello\n highlighted as js</code></pre>'
+                );
+            });
+
             it('supports a `highlight` function defined in the config file', () => {
                 let parser;
 
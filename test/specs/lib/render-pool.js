@@ -0,0 +1,158 @@
+const catharsis = require('catharsis');
+const env = require('jsdoc/env');
+const { fromCloneable, RenderPool, toCloneable } = require('../../../lib/render-pool');
+
+const ARGUMENT_ERROR = 'ArgumentError';
+
+describe('lib/render-pool', () => {
+    describe('toCloneable', () => {
+        it('drops functions', () => {
+            const cloneable = toCloneable({
+                foo: 'bar',
+                fn: () => true
+            });
+
+            expect(cloneable).toEqual({ foo: 'bar' });
+        });
+
+        it('preserves circular references', () => {
+            const obj = {};
+            let cloneable;
+
+            obj.self = obj;
+            cloneable = toCloneable(obj);
+
+            expect(cloneable.self).toBe(cloneable);
+        });
+    });
+
+    describe('fromCloneable', () => {
+        it('restores non-enumerable properties', () => {
+            const type = {
+                names: ['string']
+            };
+            let restored;
+
+            Object.defineProperty(type, 'parsedType', {
+                enumerable: false,
+                value: catharsis.parse('string')
+            });
+            // Use a JSON round trip to simulate passing the value to a worker thread.
+            restored = fromCloneable(JSON.parse(JSON.stringify(toCloneable(type))));
+
+            expect(Object.keys(restored)).toEqual(['names']);
+            expect(restored.parsedType).toEqual(type.parsedType);
+        });
+    });
+
+    describe('RenderPool', () => {
+        let pool;
+        let template;
+
+        beforeEach(() => {
+            template = helpers.createTemplate();
+            template.linkManager.requestFilename('Foo');
+            pool = new RenderPool({
+                env,
+                linkManager: template.linkManager,
+                size: 1,
+                templateConfig: template.config
+            });
+        });
+
+        afterEach(async () => {
+            await pool.close();
+        });
+
+        it('fails on bad input', () => {
+            expect(() => new RenderPool({ size: 0 })).toThrowErrorOfType(ARGUMENT_ERROR);
+        });
+
+        it('renders views the same way as the template', async () => {
+            const data = {
+                item: {
+                    kind: 'member',
+                    name: 'foo',
+                    type: {
+                        names: ['Foo']
+                    }
+                }
+            };
+            let rendered;
+
+            Object.defineProperty(data.item.type, 'parsedType', {
+                enumerable: false,
+                value: catharsis.parse('?Foo')
+            });
+            rendered = await pool.render('signature.njk', data);
+
+            expect(rendered).toContain('nullable <a href="foo.html">Foo</a>');
+            expect(rendered).toBe(template.render('signature.njk', data));
+        });
+
+        it('uses the link manager\'s filenames', async () => {
+            const rendered = await pool.render('deprecated.njk', {
+                item: {
+                    deprecated: 'Foo'
+                }
+            });
+
+            expect(rendered).toContain('<a href="foo.html">');
+        });
+
+        it('labels the new symbols', async () => {
+            const newPool = new RenderPool({
+                env,
+                linkManager: template.linkManager,
+                newLongnames: new Set(['foo']),
+                size: 1,
+                templateConfig: template.config
+            });
+            let rendered;
+
+            try {
+                rendered = await newPool.render('symbol-labels.njk', {
+                    item: {
+                        kind: 'function',
+                        longname: 'foo'
+                    }
+                });
+            } finally {
+                await newPool.close();
+            }
+
+            expect(rendered).toContain('label-new');
+        });
+
+        it('rejects the in-flight job if a worker exits unexpectedly', async () => {
+            let error;
+            const rendered = pool.render('deprecated.njk', {
+                item: {
+                    deprecated: 'Foo'
+                }
+            });
+
+            await pool._workers[0].terminate();
+            try {
+                await rendered;
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeError();
+            expect(error.message).toContain('stopped unexpectedly');
+        });
+
+        it('rejects the promise if the view cannot be rendered', async () => {
+            let error;
+
+            try {
+                await pool.render('no-such-view.njk', {});
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeError();
+        });
+    });
+});
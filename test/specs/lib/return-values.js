@@ -0,0 +1,52 @@
+const mock = require('mock-fs');
+const { returnsValue } = require('../../../lib/return-values');
+
+describe('lib/return-values', () => {
+    afterEach(() => {
+        mock.restore();
+    });
+
+    describe('returnsValue', () => {
+        function check(source, rangeStart = 0) {
+            mock({
+                '/src/foo.js': source
+            });
+
+            return returnsValue({
+                meta: {
+                    filename: 'foo.js',
+                    path: '/src',
+                    range: [rangeStart, source.length]
+                }
+            });
+        }
+
+        it('returns `null` if the code is not available', () => {
+            expect(returnsValue({})).toBeNull();
+        });
+
+        it('detects a `return` statement with a value', () => {
+            expect(check('function foo(a) { if (a) { return a; } }')).toBeTrue();
+        });
+
+        it('detects an arrow function with an expression body', () => {
+            expect(check('const foo = a => a + 1;', 'const foo = '.length)).toBeTrue();
+        });
+
+        it('detects methods', () => {
+            expect(check('class Foo { bar() { return 1; } }', 'class Foo { '.length)).toBeTrue();
+        });
+
+        it('ignores `return` statements with no value', () => {
+            expect(check('function foo(a) { if (a) { return; } }')).toBeFalse();
+        });
+
+        it('ignores `return` statements in nested functions', () => {
+            expect(check('function foo(a) { a.map(function(b) { return b; }); }')).toBeFalse();
+        });
+
+        it('ignores `return` in comments and strings', () => {
+            expect(check("function foo() { // return 1\n console.log('return 1'); }")).toBeFalse();
+        });
+    });
+});
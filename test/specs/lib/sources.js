@@ -0,0 +1,136 @@
+const { getDeclarations, getSourceTree } = require('../../../lib/sources');
+
+describe('lib/sources', () => {
+    describe('getDeclarations', () => {
+        const doclets = [
+            {
+                kind: 'function',
+                longname: 'b',
+                meta: {
+                    lineno: 5,
+                    shortpath: 'foo.js'
+                },
+                name: 'b'
+            },
+            {
+                kind: 'function',
+                longname: 'a',
+                meta: {
+                    lineno: 1,
+                    shortpath: 'foo.js'
+                },
+                name: 'a'
+            },
+            {
+                kind: 'file',
+                longname: 'foo.js',
+                meta: {
+                    lineno: 1,
+                    shortpath: 'foo.js'
+                },
+                name: 'foo.js'
+            },
+            {
+                inherited: true,
+                kind: 'function',
+                longname: 'Child#c',
+                meta: {
+                    lineno: 9,
+                    shortpath: 'foo.js'
+                },
+                name: 'c'
+            },
+            {
+                kind: 'member',
+                longname: 'd',
+                meta: {
+                    lineno: 2,
+                    shortpath: 'bar.js'
+                },
+                name: 'd'
+            }
+        ];
+
+        it('groups the declarations by source file, sorted by line number', () => {
+            const declarations = getDeclarations(doclets);
+
+            expect([...declarations.keys()]).toEqual(['foo.js', 'bar.js']);
+            expect(declarations.get('foo.js')).toEqual([
+                {
+                    kind: 'function',
+                    line: 1,
+                    longname: 'a',
+                    name: 'a'
+                },
+                {
+                    kind: 'function',
+                    line: 5,
+                    longname: 'b',
+                    name: 'b'
+                }
+            ]);
+        });
+
+        it('ignores duplicate doclets for the same declaration', () => {
+            const declarations = getDeclarations(doclets.concat(doclets[0]));
+
+            expect(declarations.get('foo.js').length).toBe(2);
+        });
+    });
+
+    describe('getSourceTree', () => {
+        it('arranges the files into directories, sorted by name', () => {
+            const tree = getSourceTree(['lib/z.js', 'index.js', 'lib/util/a.js', 'lib/b.js']);
+
+            expect(tree).toEqual({
+                directories: [
+                    {
+                        directories: [
+                            {
+                                directories: [],
+                                files: [
+                                    {
+                                        name: 'a.js',
+                                        shortpath: 'lib/util/a.js'
+                                    }
+                                ],
+                                name: 'util',
+                                path: 'lib/util'
+                            }
+                        ],
+                        files: [
+                            {
+                                name: 'b.js',
+                                shortpath: 'lib/b.js'
+                            },
+                            {
+                                name: 'z.js',
+                                shortpath: 'lib/z.js'
+                            }
+                        ],
+                        name: 'lib',
+                        path: 'lib'
+                    }
+                ],
+                files: [
+                    {
+                        name: 'index.js',
+                        shortpath: 'index.js'
+                    }
+                ],
+                name: '',
+                path: ''
+            });
+        });
+
+        it('accepts Windows path separators', () => {
+            const tree = getSourceTree(['lib\\a.js']);
+
+            expect(tree.directories[0].name).toBe('lib');
+            expect(tree.directories[0].files[0]).toEqual({
+                name: 'a.js',
+                shortpath: 'lib\\a.js'
+            });
+        });
+    });
+});
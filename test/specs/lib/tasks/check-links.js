@@ -0,0 +1,292 @@
+const CheckLinks = require('../../../../lib/tasks/check-links');
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const { EventBus } = require('@jsdoc/util');
+const mock = require('mock-fs');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+
+describe('lib/tasks/check-links', () => {
+    const bus = new EventBus('jsdoc');
+    let context;
+    const doclets = [
+        {
+            kind: 'class',
+            longname: 'Foo',
+            meta: {
+                filename: 'foo.js',
+                lineno: 1,
+                path: '/src'
+            },
+            name: 'Foo'
+        },
+        {
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            meta: {
+                filename: 'foo.js',
+                lineno: 7,
+                path: '/src'
+            },
+            name: 'bar',
+            scope: 'instance'
+        }
+    ];
+    let errors;
+    let instance;
+    let warnings;
+
+    function onError(e) {
+        errors.push(e);
+    }
+
+    function onWarn(e) {
+        warnings.push(e);
+    }
+
+    // Lists the URLs of the files in a directory tree, the way the tasks that write files do.
+    function getUrls(files, dir = '') {
+        return Object.keys(files).reduce((urls, name) => urls.concat(
+            typeof files[name] === 'string' ?
+                [dir + name] :
+                getUrls(files[name], `${dir}${name}/`)
+        ), []);
+    }
+
+    function writeOutput(files) {
+        context.outputFiles = new Set(getUrls(files));
+        mock({
+            [OUTPUT_DIR]: files
+        });
+    }
+
+    beforeEach(() => {
+        const template = new Template(defaultConfig);
+
+        context = {
+            allLongnames: doclets.map(d => d.longname),
+            destination: OUTPUT_DIR,
+            doclets: db({ values: doclets.map(d => Object.assign({}, d)) }),
+            linkManager: template.linkManager,
+            sourceFiles: {
+                '/src/foo.js': 'foo.js'
+            },
+            template,
+            templateConfig: Object.assign({}, defaultConfig, {
+                linkChecker: {
+                    enabled: true,
+                    failOnError: false
+                }
+            })
+        };
+        context.linkManager.requestFilename('index');
+        context.linkManager.requestFilename('foo.js');
+        for (const doclet of doclets) {
+            context.linkManager.registerDoclet(doclet);
+        }
+        errors = [];
+        warnings = [];
+        bus.on('logger:error', onError);
+        bus.on('logger:warn', onWarn);
+        instance = new CheckLinks({ name: 'checkLinks' });
+    });
+
+    afterEach(() => {
+        bus.off('logger:error', onError);
+        bus.off('logger:warn', onWarn);
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new CheckLinks({ name: 'checkLinks' });
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('does nothing if the link checker is disabled', async () => {
+            context.templateConfig = defaultConfig;
+            writeOutput({
+                'index.html': '<a href="missing.html">Missing</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([]);
+        });
+
+        it('accepts links to files and fragment IDs that exist', async () => {
+            writeOutput({
+                'css': {
+                    'baseline.css': ''
+                },
+                'foo.html': '<h1 id="top">Foo</h1><h2 id="bar">bar</h2>',
+                'index.html': '<link href="css/baseline.css"><a href="foo.html#bar">bar</a>' +
+                    '<a href="#nav" id="nav">Nav</a><a href="https://example.org/">Example</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([]);
+        });
+
+        it('reports links to missing files', async () => {
+            writeOutput({
+                'index.html': '<a href="missing.html">Missing</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to missing.html in index.html'
+            ]);
+        });
+
+        it('reports links to stale files from an earlier build', async () => {
+            writeOutput({
+                'index.html': '<a href="stale.html">Stale</a>',
+                'stale.html': ''
+            });
+            context.outputFiles.delete('stale.html');
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to stale.html in index.html'
+            ]);
+        });
+
+        it('reports links to missing fragment IDs', async () => {
+            writeOutput({
+                'foo.html': '<h1>Foo</h1>',
+                'index.html': '<a href="foo.html#baz">baz</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to the missing fragment ID in foo.html#baz in index.html'
+            ]);
+        });
+
+        it('resolves links relative to the page that contains them', async () => {
+            writeOutput({
+                'classes': {
+                    'foo.html': '<a href="../index.html">Home</a><a href="index.html">Broken</a>'
+                },
+                'index.html': ''
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to index.html in classes/foo.html'
+            ]);
+        });
+
+        it('checks links that start with the base URL', async () => {
+            context.templateConfig.baseUrl = '/docs/';
+            writeOutput({
+                'foo.html': '',
+                'index.html': '<a href="/docs/foo.html">Foo</a><a href="/docs/missing.html">Bar</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to /docs/missing.html in index.html'
+            ]);
+        });
+
+        it('accepts links to lines in source files', async () => {
+            writeOutput({
+                'foo-js.html': '<pre class="prettyprint"><ol><li id="source-line-1">var foo;</li></ol></pre>',
+                'index.html': '<a href="foo-js.html#source-line-1">foo.js</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([]);
+        });
+
+        it('reports links to lines that are not in source files', async () => {
+            writeOutput({
+                'foo-js.html': '<pre class="prettyprint"><ol><li id="source-line-1">var foo;</li></ol></pre>',
+                'index.html': '<a href="foo-js.html#source-line-2">foo.js</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings.length).toBe(1);
+        });
+
+        it('checks links in Markdown files', async () => {
+            writeOutput({
+                'foo.md': '<a id="bar"></a>\n\n### bar',
+                'index.md': '[bar](foo.md#bar) and [baz](foo.md#baz)'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to the missing fragment ID in foo.md#baz in index.md'
+            ]);
+        });
+
+        it('includes the source file and line number for the doclet with the link', async () => {
+            writeOutput({
+                'foo.html': '<h1 id="top">Foo</h1><h2 id="bar">bar</h2><a href="missing.html">x</a>'
+            });
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Broken link to missing.html in foo.html (foo.js, line 7)'
+            ]);
+        });
+
+        it('reports `{@link}` tags that cannot be resolved', async () => {
+            context.doclets = db({
+                values: [
+                    Object.assign({}, doclets[1], {
+                        description: 'See {@link Foo} and {@link Foo#baz}.'
+                    })
+                ]
+            });
+            writeOutput({});
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Unable to resolve the link to Foo#baz in Foo#bar (foo.js, line 7)'
+            ]);
+        });
+
+        it('reports `@see` tags that refer to unknown symbols', async () => {
+            context.doclets = db({
+                values: [
+                    Object.assign({}, doclets[1], {
+                        see: ['#bar', '#qux', 'The docs for Foo', 'https://example.org/']
+                    })
+                ]
+            });
+            writeOutput({});
+            await instance.run(context);
+
+            expect(warnings).toEqual([
+                'Unable to resolve the link to Foo#qux in Foo#bar (foo.js, line 7)'
+            ]);
+        });
+
+        it('logs errors and fails if `failOnError` is true', async () => {
+            let error;
+
+            context.templateConfig.linkChecker.failOnError = true;
+            writeOutput({
+                'index.html': '<a href="missing.html">Missing</a>'
+            });
+            try {
+                await instance.run(context);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeError();
+            expect(errors).toEqual([
+                'Broken link to missing.html in index.html'
+            ]);
+        });
+    });
+});
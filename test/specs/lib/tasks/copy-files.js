@@ -1,4 +1,5 @@
 const mock = require('mock-fs');
+const BuildCache = require('../../../../lib/build-cache');
 const config = require('../../../../lib/config');
 const fs = require('fs-extra');
 const CopyFiles = require('../../../../lib/tasks/copy-files');
@@ -225,6 +226,22 @@ describe('lib/tasks/copy-files', () => {
                 expect(file).toBe('foo bar baz');
             });
 
+            it('adds the URL of each output file to the context', async () => {
+                const ticket = new Ticket({
+                    source: path.join(SOURCE_DIR, 'foo.js'),
+                    url: path.join('some', 'dir', 'foo.js')
+                });
+                const task = new CopyFiles({
+                    name: 'outputFiles',
+                    tickets: [ticket]
+                });
+
+                context.outputFiles = new Set();
+                await task.run(context);
+
+                expect([...context.outputFiles]).toEqual(['some/dir/foo.js']);
+            });
+
             it('saves files for multiple tickets in the right places', async () => {
                 const urls = [
                     path.join('some', 'dir', 'foo.js'),
@@ -287,5 +304,61 @@ describe('lib/tasks/copy-files', () => {
                 expect(file).toBe('foo bar baz');
             });
         });
+
+        describe('incremental builds', () => {
+            const url = 'foo.js';
+            let task;
+
+            beforeEach(async () => {
+                context.buildCache = new BuildCache({
+                    filepath: path.join(OUTPUT_DIR, BuildCache.CACHE_FILENAME)
+                });
+                task = new CopyFiles({
+                    name: 'incremental',
+                    tickets: [
+                        new Ticket({
+                            source: path.join(SOURCE_DIR, url),
+                            url
+                        })
+                    ]
+                });
+                await task.run(context);
+            });
+
+            it('does not copy files that are up to date', async () => {
+                const outputFile = path.join(OUTPUT_DIR, url);
+
+                fs.writeFileSync(outputFile, 'FOO BAR BAZ');
+                await task.run(context);
+
+                expect(fs.readFileSync(outputFile, 'utf8')).toBe('FOO BAR BAZ');
+            });
+
+            it('adds the URLs of files that are up to date to the context', async () => {
+                context.outputFiles = new Set();
+                await task.run(context);
+
+                expect([...context.outputFiles]).toEqual([url]);
+            });
+
+            it('copies files that differ from the source', async () => {
+                const outputFile = path.join(OUTPUT_DIR, url);
+
+                fs.writeFileSync(outputFile, 'something else');
+                await task.run(context);
+
+                expect(fs.readFileSync(outputFile, 'utf8')).toBe('foo bar baz');
+            });
+
+            it('copies files that are older than the source', async () => {
+                const outputFile = path.join(OUTPUT_DIR, url);
+
+                fs.writeFileSync(outputFile, 'FOO BAR BAZ');
+                fs.utimesSync(outputFile, new Date(0), new Date(0));
+                await task.run(context);
+
+                expect(fs.readFileSync(outputFile, 'utf8')).toBe('foo bar baz');
+            });
+        });
     });
 });
@@ -94,6 +94,15 @@ describe('lib/tasks/copy-static-files', () => {
             expect(fooContents).toBe('foo');
         });
 
+        it('does nothing if the output format is Markdown', async () => {
+            context.templateConfig = Object.assign({}, conf, {
+                outputFormat: 'markdown'
+            });
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, 'foo.txt'))).toBeFalse();
+        });
+
         it('copies multiple files', async () => {
             let fooContents;
             let barContents;
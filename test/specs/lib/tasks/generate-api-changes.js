@@ -0,0 +1,410 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const { EventBus } = require('@jsdoc/util');
+const fs = require('fs-extra');
+const GenerateApiChanges = require('../../../../lib/tasks/generate-api-changes');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const bus = new EventBus('jsdoc');
+const OUTPUT_DIR = 'out';
+const SNAPSHOT_PATH = 'previous.json';
+
+describe('lib/tasks/generate-api-changes', () => {
+    let context;
+    let current;
+    let instance;
+    let previous;
+
+    function addDoclets(...doclets) {
+        for (const doclet of doclets) {
+            context.allDocletsByLongname[doclet.longname] = doclet;
+            context.linkManager.registerDoclet(doclet);
+        }
+    }
+
+    function readJsonOutput() {
+        return fs.readJsonSync(path.join(OUTPUT_DIR, 'api-changes.json'));
+    }
+
+    function setSnapshot(snapshot) {
+        mock(Object.assign({}, helpers.baseViews, {
+            [OUTPUT_DIR]: {},
+            [SNAPSHOT_PATH]: JSON.stringify(snapshot)
+        }));
+    }
+
+    beforeEach(() => {
+        const template = new Template(defaultConfig);
+
+        context = {
+            allDocletsByLongname: {},
+            destination: OUTPUT_DIR,
+            linkManager: template.linkManager,
+            pageTitlePrefix: '',
+            template,
+            templateConfig: Object.assign({}, defaultConfig, {
+                apiChanges: {
+                    previous: SNAPSHOT_PATH
+                }
+            })
+        };
+        context.linkManager.requestFilename('api-changes');
+
+        current = {
+            bar: {
+                kind: 'function',
+                longname: 'Foo#bar',
+                memberof: 'Foo',
+                name: 'bar',
+                params: [
+                    {
+                        name: 'a',
+                        type: { names: ['string'] }
+                    }
+                ],
+                scope: 'instance'
+            },
+            foo: {
+                kind: 'class',
+                longname: 'Foo',
+                name: 'Foo'
+            }
+        };
+        previous = {
+            bar: {
+                kind: 'function',
+                longname: 'Foo#bar',
+                memberof: 'Foo',
+                name: 'bar',
+                params: [
+                    {
+                        name: 'a',
+                        type: { names: ['string'] }
+                    }
+                ],
+                scope: 'instance'
+            },
+            foo: {
+                kind: 'class',
+                longname: 'Foo',
+                name: 'Foo'
+            }
+        };
+
+        instance = new GenerateApiChanges({
+            jsonUrl: 'api-changes.json',
+            name: 'generateApiChanges'
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateApiChanges({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('diffApis', () => {
+        const { diffApis } = GenerateApiChanges;
+
+        it('finds no changes if the APIs are the same', () => {
+            const changes = diffApis([previous.foo, previous.bar], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(changes).toEqual({
+                added: [],
+                changed: [],
+                deprecated: [],
+                removed: []
+            });
+        });
+
+        it('finds added and removed symbols', () => {
+            const changes = diffApis([previous.foo, previous.bar], { Foo: current.foo });
+
+            expect(changes.removed).toEqual([
+                {
+                    kind: 'function',
+                    longname: 'Foo#bar'
+                }
+            ]);
+
+            const reversed = diffApis([previous.foo], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(reversed.added).toEqual([
+                {
+                    kind: 'function',
+                    longname: 'Foo#bar'
+                }
+            ]);
+        });
+
+        it('finds newly deprecated symbols', () => {
+            current.bar.deprecated = 'Use `baz` instead.';
+            const changes = diffApis([previous.foo, previous.bar], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(changes.deprecated).toEqual([
+                {
+                    kind: 'function',
+                    longname: 'Foo#bar',
+                    message: 'Use `baz` instead.'
+                }
+            ]);
+        });
+
+        it('ignores symbols that were already deprecated', () => {
+            current.bar.deprecated = true;
+            previous.bar.deprecated = true;
+            const changes = diffApis([previous.foo, previous.bar], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(changes.deprecated).toBeEmptyArray();
+        });
+
+        it('finds changes to parameter names, optionality, and types', () => {
+            current.bar.params = [
+                {
+                    name: 'b',
+                    type: { names: ['string'] }
+                },
+                {
+                    name: 'c',
+                    optional: true,
+                    type: { names: ['number', 'boolean'] }
+                }
+            ];
+            const changes = diffApis([previous.foo, previous.bar], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(changes.changed).toEqual([
+                {
+                    after: '(b: string, [c]: number|boolean)',
+                    before: '(a: string)',
+                    changed: ['params'],
+                    kind: 'function',
+                    longname: 'Foo#bar'
+                }
+            ]);
+        });
+
+        it('finds changes to return types', () => {
+            current.bar.returns = [
+                {
+                    type: { names: ['boolean'] }
+                }
+            ];
+            const changes = diffApis([previous.foo, previous.bar], {
+                Foo: current.foo,
+                'Foo#bar': current.bar
+            });
+
+            expect(changes.changed.length).toBe(1);
+            expect(changes.changed[0].changed).toEqual(['returns']);
+            expect(changes.changed[0].after).toBe('(a: string) → boolean');
+        });
+
+        it('ignores symbols that are not part of the public API', () => {
+            const privateDoclet = {
+                access: 'private',
+                kind: 'member',
+                longname: 'Foo#_secret',
+                name: '_secret'
+            };
+            const undocumented = {
+                kind: 'member',
+                longname: 'Foo#hidden',
+                name: 'hidden',
+                undocumented: true
+            };
+            const changes = diffApis([previous.foo, privateDoclet, undocumented, {
+                kind: 'package',
+                longname: 'package:foo'
+            }], { Foo: current.foo });
+
+            expect(changes.removed).toBeEmptyArray();
+        });
+
+        it('ignores variations in the previous longnames', () => {
+            previous.foo.longname = 'Foo(2)';
+            const changes = diffApis([previous.foo], { Foo: current.foo });
+
+            expect(changes.added).toBeEmptyArray();
+            expect(changes.removed).toBeEmptyArray();
+        });
+
+        it('sorts the changes by longname', () => {
+            const changes = diffApis([], {
+                Foo: current.foo,
+                Bar: {
+                    kind: 'class',
+                    longname: 'Bar',
+                    name: 'Bar'
+                }
+            });
+
+            expect(changes.added.map(({ longname }) => longname)).toEqual(['Bar', 'Foo']);
+        });
+    });
+
+    describe('run', () => {
+        it('returns a promise on failure', cb => {
+            let result;
+
+            setSnapshot([]);
+            context.template = null;
+            result = instance.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing if there is no snapshot', async () => {
+            context.templateConfig = defaultConfig;
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('logs an error if the snapshot cannot be loaded', async () => {
+            const events = [];
+
+            function listener(e) {
+                events.push(e);
+            }
+
+            mock(helpers.baseViews);
+            bus.on('logger:error', listener);
+            await instance.run(context);
+            bus.off('logger:error', listener);
+
+            expect(events.length).toBe(1);
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('writes the changes as JSON, with URLs for current symbols', async () => {
+            current.bar.deprecated = true;
+            addDoclets(current.foo, current.bar);
+            setSnapshot([
+                previous.foo,
+                {
+                    kind: 'function',
+                    longname: 'removed',
+                    name: 'removed'
+                }
+            ]);
+            await instance.run(context);
+
+            expect(readJsonOutput()).toEqual({
+                added: [
+                    {
+                        kind: 'function',
+                        longname: 'Foo#bar',
+                        url: 'foo.html#bar'
+                    }
+                ],
+                changed: [],
+                deprecated: [],
+                format: 1,
+                previousVersion: null,
+                removed: [
+                    {
+                        kind: 'function',
+                        longname: 'removed',
+                        url: null
+                    }
+                ]
+            });
+        });
+
+        it('does not list symbols that the filter rules exclude', async () => {
+            const internal = {
+                kind: 'function',
+                longname: 'Foo~frob',
+                memberof: 'Foo',
+                name: 'frob',
+                scope: 'inner',
+                tags: [
+                    {
+                        title: 'internal',
+                        value: ''
+                    }
+                ]
+            };
+
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                filter: {
+                    exclude: [{ tag: 'internal' }],
+                    include: []
+                }
+            });
+            // The current build's doclets are already filtered.
+            addDoclets(current.foo);
+            setSnapshot([previous.foo, internal]);
+            await instance.run(context);
+
+            expect(readJsonOutput().removed).toBeEmptyArray();
+            expect(JSON.stringify(readJsonOutput())).not.toContain('frob');
+        });
+
+        it('accepts a snapshot with a `doclets` property', async () => {
+            addDoclets(current.foo);
+            setSnapshot({
+                doclets: [
+                    {
+                        kind: 'package',
+                        longname: 'package:foo',
+                        version: '1.2.3'
+                    }
+                ]
+            });
+            await instance.run(context);
+
+            expect(readJsonOutput().previousVersion).toBe('1.2.3');
+            expect(readJsonOutput().added.length).toBe(1);
+        });
+
+        it('generates a page that links to each current symbol', async () => {
+            let output;
+
+            current.bar.params = [];
+            addDoclets(current.foo, current.bar);
+            setSnapshot([previous.foo, previous.bar]);
+            await instance.run(context);
+            output = fs.readFileSync(path.join(OUTPUT_DIR, 'api-changes.html'), 'utf8');
+
+            expect(output).toContain('<a href="foo.html#bar">');
+            expect(output).toContain('(a: string)');
+        });
+
+        it('says so if there are no changes', async () => {
+            let output;
+
+            addDoclets(current.foo);
+            setSnapshot([previous.foo]);
+            await instance.run(context);
+            output = fs.readFileSync(path.join(OUTPUT_DIR, 'api-changes.html'), 'utf8');
+
+            expect(output).toContain('There are no changes to the API.');
+        });
+    });
+});
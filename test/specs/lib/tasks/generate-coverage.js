@@ -0,0 +1,310 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateCoverage = require('../../../../lib/tasks/generate-coverage');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+const SOURCE = [
+    'function baz() {',
+    '    return 1;',
+    '}',
+    '',
+    'function log(a) {',
+    '    console.log(a);',
+    '}'
+].join('\n');
+
+describe('lib/tasks/generate-coverage', () => {
+    let context;
+    let doclets;
+    let instance;
+
+    function readJsonOutput() {
+        return fs.readJsonSync(path.join(OUTPUT_DIR, 'coverage.json'));
+    }
+
+    function setThresholds(thresholds) {
+        context.templateConfig = Object.assign({}, context.templateConfig, {
+            coverage: {
+                generate: true,
+                thresholds
+            }
+        });
+    }
+
+    beforeEach(() => {
+        const meta = {
+            filename: 'foo.js',
+            path: '/src'
+        };
+
+        doclets = [
+            {
+                kind: 'module',
+                longname: 'module:foo',
+                meta,
+                name: 'foo'
+            },
+            // Undocumented doclet for a symbol that also has a documented doclet.
+            {
+                kind: 'function',
+                longname: 'module:foo.bar',
+                memberof: 'module:foo',
+                meta,
+                name: 'bar',
+                scope: 'static',
+                undocumented: true
+            },
+            {
+                kind: 'function',
+                longname: 'module:foo.bar',
+                memberof: 'module:foo',
+                meta,
+                name: 'bar',
+                params: [
+                    {
+                        description: 'The first value.',
+                        name: 'a'
+                    },
+                    {
+                        name: 'b'
+                    }
+                ],
+                returns: [
+                    {
+                        type: { names: ['string'] }
+                    }
+                ],
+                scope: 'static'
+            },
+            {
+                kind: 'function',
+                longname: 'module:foo.baz',
+                memberof: 'module:foo',
+                meta: Object.assign({
+                    range: [0, SOURCE.indexOf('\n\n')]
+                }, meta),
+                name: 'baz',
+                scope: 'static'
+            },
+            {
+                kind: 'member',
+                longname: 'module:foo.qux',
+                memberof: 'module:foo',
+                meta,
+                name: 'qux',
+                scope: 'static',
+                undocumented: true
+            },
+            {
+                kind: 'function',
+                longname: 'globalFunction',
+                meta: {
+                    filename: 'globals.js',
+                    path: '/src'
+                },
+                name: 'globalFunction',
+                scope: 'global',
+                undocumented: true
+            },
+            // Doclets that don't count.
+            {
+                kind: 'constant',
+                longname: 'module:foo~localVariable',
+                memberof: 'module:foo',
+                meta,
+                name: 'localVariable',
+                scope: 'inner',
+                undocumented: true
+            },
+            {
+                access: 'private',
+                kind: 'function',
+                longname: 'module:foo._private',
+                memberof: 'module:foo',
+                meta,
+                name: '_private',
+                scope: 'static'
+            },
+            {
+                kind: 'member',
+                longname: 'module.exports',
+                memberof: 'module',
+                meta,
+                name: 'exports',
+                scope: 'static',
+                undocumented: true
+            },
+            {
+                kind: 'package',
+                longname: 'package:foo',
+                name: 'foo'
+            }
+        ];
+
+        context = {
+            destination: OUTPUT_DIR,
+            pageTitlePrefix: '',
+            sourceFiles: {
+                '/src/foo.js': 'foo.js',
+                '/src/globals.js': 'globals.js'
+            },
+            template: new Template(defaultConfig),
+            templateConfig: defaultConfig,
+            unprunedDoclets: doclets
+        };
+        context.linkManager = context.template.linkManager;
+        context.linkManager.requestFilename('coverage');
+        context.linkManager.registerDoclet(doclets[0]);
+        setThresholds({});
+
+        instance = new GenerateCoverage({
+            jsonUrl: 'coverage.json',
+            name: 'generateCoverage'
+        });
+
+        mock(Object.assign({
+            '/src/foo.js': SOURCE
+        }, helpers.baseViews));
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateCoverage({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('returns a promise on failure', cb => {
+            let result;
+
+            context.template = null;
+            result = instance.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing by default', async () => {
+            context.templateConfig = defaultConfig;
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('measures the overall coverage', async () => {
+            let overall;
+
+            await instance.run(context);
+            overall = readJsonOutput().overall;
+
+            expect(overall.symbols).toEqual({
+                documented: 3,
+                percent: 60,
+                total: 5
+            });
+            expect(overall.params).toEqual({
+                documented: 1,
+                percent: 50,
+                total: 2
+            });
+            expect(overall.returns).toEqual({
+                documented: 1,
+                percent: 50,
+                total: 2
+            });
+        });
+
+        it('ignores functions that do not return a value when measuring return types', async () => {
+            doclets.push({
+                description: 'Logs a value.',
+                kind: 'function',
+                longname: 'module:foo.log',
+                memberof: 'module:foo',
+                meta: Object.assign({
+                    range: [SOURCE.indexOf('function log'), SOURCE.length]
+                }, doclets[0].meta),
+                name: 'log',
+                scope: 'static'
+            });
+            await instance.run(context);
+
+            expect(readJsonOutput().overall.returns.total).toBe(2);
+        });
+
+        it('groups symbols by module, or by source file if they are not in a module', async () => {
+            let groups;
+
+            await instance.run(context);
+            groups = readJsonOutput().groups;
+
+            expect(groups.map(({ isModule, name }) => ({
+                isModule,
+                name
+            }))).toEqual([
+                {
+                    isModule: false,
+                    name: 'globals.js'
+                },
+                {
+                    isModule: true,
+                    name: 'module:foo'
+                }
+            ]);
+            expect(groups[0].symbols.percent).toBe(0);
+            expect(groups[1].symbols.percent).toBe(75);
+        });
+
+        it('lists the undocumented symbols in each group', async () => {
+            await instance.run(context);
+
+            expect(readJsonOutput().groups[1].undocumented).toEqual(['module:foo.qux']);
+        });
+
+        it('generates a report page', async () => {
+            let output;
+
+            await instance.run(context);
+            output = fs.readFileSync(path.join(OUTPUT_DIR, 'coverage.html'), 'utf8');
+
+            expect(output).toContain('<a href="module-foo.html">module:foo</a>');
+            expect(output).toContain('60% (3 of 5)');
+            expect(output).toContain('<code>module:foo.qux</code>');
+        });
+
+        it('fails after writing the report if the coverage is below a threshold', async () => {
+            let error;
+
+            setThresholds({ params: 75 });
+            try {
+                await instance.run(context);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeError();
+            expect(readJsonOutput().passed).toBeFalse();
+        });
+
+        it('passes if the coverage meets the thresholds', async () => {
+            setThresholds({
+                params: 50,
+                returns: 50,
+                symbols: 60
+            });
+            await instance.run(context);
+
+            expect(readJsonOutput().passed).toBeTrue();
+        });
+    });
+});
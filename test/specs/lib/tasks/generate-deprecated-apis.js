@@ -0,0 +1,170 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateDeprecatedApis = require('../../../../lib/tasks/generate-deprecated-apis');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+
+describe('lib/tasks/generate-deprecated-apis', () => {
+    let context;
+    const doclets = [
+        {
+            kind: 'module',
+            longname: 'module:foo',
+            name: 'foo'
+        },
+        {
+            kind: 'class',
+            longname: 'module:foo.Bar',
+            memberof: 'module:foo',
+            name: 'Bar',
+            scope: 'static'
+        },
+        {
+            deprecated: 'Use {@link module:foo.Bar#baz} instead.',
+            kind: 'function',
+            longname: 'module:foo.Bar#qux',
+            memberof: 'module:foo.Bar',
+            name: 'qux',
+            scope: 'instance',
+            since: '1.2.0'
+        },
+        {
+            deprecated: true,
+            kind: 'member',
+            longname: 'module:foo.Bar#baz',
+            memberof: 'module:foo.Bar',
+            name: 'baz',
+            scope: 'instance'
+        },
+        {
+            deprecated: true,
+            kind: 'function',
+            longname: 'globalFunction',
+            name: 'globalFunction',
+            scope: 'global'
+        }
+    ];
+    let instance;
+
+    function readOutputFile() {
+        return fs.readFileSync(path.join(OUTPUT_DIR, 'deprecated-apis.html'), 'utf8');
+    }
+
+    beforeEach(() => {
+        context = {
+            allDocletsByLongname: {},
+            deprecatedDoclets: doclets.filter(doclet => doclet.deprecated),
+            destination: OUTPUT_DIR,
+            needsOutputFile: {
+                'module:foo': true,
+                'module:foo.Bar': true
+            },
+            pageTitlePrefix: '',
+            template: new Template(defaultConfig),
+            templateConfig: defaultConfig
+        };
+        context.linkManager = context.template.linkManager;
+        context.linkManager.requestFilename('deprecated-apis');
+        for (const doclet of doclets) {
+            context.allDocletsByLongname[doclet.longname] = doclet;
+            context.linkManager.registerDoclet(doclet);
+        }
+
+        instance = new GenerateDeprecatedApis({ name: 'generateDeprecatedApis' });
+
+        mock(helpers.baseViews);
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateDeprecatedApis({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('returns a promise on failure', cb => {
+            let result;
+
+            context.template = null;
+            result = instance.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing if nothing is deprecated', async () => {
+            context.deprecatedDoclets = [];
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('groups the deprecated symbols by their nearest ancestor with its own page', async () => {
+            let groups;
+
+            await instance.run(context);
+            groups = instance.tickets[0].data.groups;
+
+            expect(groups.map(group => group.longname)).toEqual([
+                null,
+                'module:foo.Bar'
+            ]);
+            expect(groups[0].items.map(item => item.longname)).toEqual(['globalFunction']);
+            expect(groups[1].items.map(item => item.longname)).toEqual([
+                'module:foo.Bar#baz',
+                'module:foo.Bar#qux'
+            ]);
+        });
+
+        it('uses the ancestor of a symbol that does not have its own page', async () => {
+            const inner = {
+                deprecated: true,
+                kind: 'member',
+                longname: 'module:foo.Bar#baz.inner',
+                memberof: 'module:foo.Bar#baz',
+                name: 'inner',
+                scope: 'static'
+            };
+
+            context.allDocletsByLongname[inner.longname] = inner;
+            context.deprecatedDoclets = [inner];
+            await instance.run(context);
+
+            expect(instance.tickets[0].data.groups[0].longname).toBe('module:foo.Bar');
+        });
+
+        it('links to each deprecated symbol and its group', async () => {
+            let output;
+
+            await instance.run(context);
+            output = readOutputFile();
+
+            expect(output).toContain('href="module-foo-bar.html"');
+            expect(output).toContain('href="module-foo-bar.html#qux"');
+            expect(output).toContain('href="global.html#globalFunction"');
+        });
+
+        it('shows the deprecation message, with links resolved', async () => {
+            await instance.run(context);
+
+            expect(readOutputFile()).toContain('Use <a href="module-foo-bar.html#baz">');
+        });
+
+        it('shows the version in which the symbol was added, if known', async () => {
+            await instance.run(context);
+
+            expect(readOutputFile()).toContain('Since version 1.2.0.');
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const mock = require('mock-fs');
 const _ = require('lodash');
+const BuildCache = require('../../../../lib/build-cache');
 const { defaultConfig } = require('../../../../lib/config');
 const fs = require('fs-extra');
 const GenerateFiles = require('../../../../lib/tasks/generate-files');
@@ -272,6 +273,23 @@ describe('lib/tasks/generate-files', () => {
                 expect(() => stat(context, url)).not.toThrow();
             });
 
+            it('adds the URL of each output file to the context', async () => {
+                const ticket = new Ticket({
+                    data: {},
+                    url: path.join('some', 'dir', 'foo.html'),
+                    viewName: 'layout.njk'
+                });
+                const task = new GenerateFiles({
+                    name: 'outputFiles',
+                    tickets: [ticket]
+                });
+
+                context.outputFiles = new Set();
+                await task.run(context);
+
+                expect([...context.outputFiles]).toEqual(['some/dir/foo.html']);
+            });
+
             it('beautifies HTML output by default', async () => {
                 let file;
                 const ticket = new Ticket({
@@ -383,5 +401,88 @@ describe('lib/tasks/generate-files', () => {
                 expect(rethrower(error)).toThrowError();
             });
         });
+
+        describe('render pool', () => {
+            it('renders tickets with the render pool if there is one', async () => {
+                const ticket = new Ticket({
+                    data: {},
+                    url: 'foo.html',
+                    viewName: 'layout.njk'
+                });
+                const task = new GenerateFiles({
+                    name: 'renderPool',
+                    tickets: [ticket]
+                });
+
+                context.renderPool = {
+                    render: jasmine.createSpy('render').and.returnValue(Promise.resolve('pooled'))
+                };
+                await task.run(context);
+
+                expect(context.renderPool.render).toHaveBeenCalledWith('layout.njk', ticket.data,
+                    jasmine.any(Object));
+                expect(fs.readFileSync(path.join(OUTPUT_DIR, 'foo.html'), 'utf8')).toBe('pooled');
+            });
+        });
+
+        describe('incremental builds', () => {
+            const url = 'foo.html';
+
+            function makeTask(data) {
+                return new GenerateFiles({
+                    name: 'incremental',
+                    tickets: [
+                        new Ticket({
+                            data,
+                            url,
+                            viewName: 'deprecated.njk'
+                        })
+                    ]
+                });
+            }
+
+            beforeEach(async () => {
+                context.buildCache = new BuildCache({
+                    filepath: path.join(OUTPUT_DIR, BuildCache.CACHE_FILENAME)
+                });
+                await makeTask({ item: { deprecated: 'old' } }).run(context);
+                fs.writeFileSync(path.join(OUTPUT_DIR, url), 'previous build');
+                context.buildCache.save();
+                context.buildCache.load();
+            });
+
+            it('skips tickets that have not changed', async () => {
+                await makeTask({ item: { deprecated: 'old' } }).run(context);
+
+                expect(fs.readFileSync(path.join(OUTPUT_DIR, url), 'utf8')).toBe('previous build');
+            });
+
+            it('adds the URLs of skipped tickets to the context', async () => {
+                context.outputFiles = new Set();
+                await makeTask({ item: { deprecated: 'old' } }).run(context);
+
+                expect([...context.outputFiles]).toEqual([url]);
+            });
+
+            it('regenerates tickets whose data has changed', async () => {
+                await makeTask({ item: { deprecated: 'new' } }).run(context);
+
+                expect(fs.readFileSync(path.join(OUTPUT_DIR, url), 'utf8')).toContain('new');
+            });
+
+            it('regenerates output files that are missing', async () => {
+                fs.removeSync(path.join(OUTPUT_DIR, url));
+                await makeTask({ item: { deprecated: 'old' } }).run(context);
+
+                expect(fs.readFileSync(path.join(OUTPUT_DIR, url), 'utf8')).toContain('old');
+            });
+
+            it('regenerates every ticket when a full rebuild is forced', async () => {
+                context.buildCache.force = true;
+                await makeTask({ item: { deprecated: 'old' } }).run(context);
+
+                expect(fs.readFileSync(path.join(OUTPUT_DIR, url), 'utf8')).toContain('old');
+            });
+        });
     });
 });
@@ -158,6 +158,15 @@ describe('lib/tasks/generate-globals', () => {
             }
         });
 
+        it('includes breadcrumbs for the globals page', async () => {
+            let file;
+
+            await instance.run(context);
+            file = fs.readFileSync(path.join(OUTPUT_DIR, 'global.html'), 'utf8');
+
+            expect(file).toContain('id="jsdoc-breadcrumbs"');
+        });
+
         describe('title', () => {
             it('is singular when there is one global', async () => {
                 let file;
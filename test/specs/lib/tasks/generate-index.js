@@ -128,6 +128,26 @@ describe('lib/tasks/generate-index', () => {
             }
         });
 
+        it('links to the deprecated APIs if there are any', async () => {
+            let file;
+
+            context.deprecatedDoclets = [doclets[1]];
+            context.linkManager.requestFilename('deprecated-apis');
+            await instance.run(context);
+            file = fs.readFileSync(path.join(OUTPUT_DIR, instance.url), 'utf8');
+
+            expect(file).toContain('<a href="deprecated-apis.html">Deprecated APIs</a>');
+        });
+
+        it('does not link to the deprecated APIs if there are none', async () => {
+            let file;
+
+            await instance.run(context);
+            file = fs.readFileSync(path.join(OUTPUT_DIR, instance.url), 'utf8');
+
+            expect(file).not.toContain('Deprecated APIs');
+        });
+
         describe('readme', () => {
             it('includes the README file, converted to HTML', async () => {
                 let file;
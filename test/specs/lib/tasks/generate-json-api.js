@@ -0,0 +1,285 @@
+const _ = require('lodash');
+const mock = require('mock-fs');
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateJsonApi = require('../../../../lib/tasks/generate-json-api');
+const { name } = require('@jsdoc/core');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+const URL = path.join('api', 'index.json');
+
+describe('lib/tasks/generate-json-api', () => {
+    let context;
+    const doclets = [
+        {
+            description: 'The foo namespace. See {@link foo.Bar}.',
+            kind: 'namespace',
+            longname: 'foo',
+            name: 'foo'
+        },
+        {
+            augments: ['foo.Baz'],
+            kind: 'class',
+            longname: 'foo.Bar',
+            memberof: 'foo',
+            meta: {
+                filename: 'bar.js',
+                lineno: 1,
+                path: '/home/user/project/src/foo',
+                shortpath: 'foo/bar.js'
+            },
+            name: 'Bar',
+            scope: 'static'
+        },
+        {
+            kind: 'class',
+            longname: 'foo.Baz',
+            memberof: 'foo',
+            name: 'Baz',
+            scope: 'static'
+        },
+        {
+            kind: 'member',
+            longname: 'foo.Bar#qux',
+            memberof: 'foo.Bar',
+            name: 'qux',
+            scope: 'instance',
+            type: {
+                names: ['Array.<foo.Baz>']
+            }
+        },
+        {
+            kind: 'function',
+            longname: 'globalFunction',
+            name: 'globalFunction',
+            scope: 'global'
+        }
+    ];
+    let instance;
+
+    function readJson(url) {
+        return fs.readJsonSync(path.join(OUTPUT_DIR, url));
+    }
+
+    beforeEach(() => {
+        const conf = {
+            opts: {
+                access: ['undefined']
+            }
+        };
+        const template = new Template(defaultConfig);
+        const needsOutputFile = {
+            'foo': true,
+            'foo.Bar': true,
+            'foo.Baz': true
+        };
+
+        context = {
+            config: conf,
+            destination: OUTPUT_DIR,
+            doclets: db({
+                config: conf,
+                values: doclets
+            }),
+            globals: db({ values: doclets.slice(4) }),
+            linkManager: template.linkManager,
+            navTree: name.longnamesToTree(Object.keys(needsOutputFile)),
+            needsOutputFile,
+            pageTitlePrefix: '',
+            template,
+            templateConfig: Object.assign({}, defaultConfig, {
+                jsonApi: {
+                    generate: true
+                }
+            })
+        };
+        for (const doclet of doclets) {
+            context.linkManager.registerDoclet(doclet);
+        }
+        instance = new GenerateJsonApi({
+            name: 'generateJsonApi',
+            url: URL
+        });
+
+        mock(helpers.baseViews);
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateJsonApi({ name: 'generateJsonApi' });
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    it('accepts a `url` property', () => {
+        expect(instance.url).toBe(URL);
+    });
+
+    describe('run', () => {
+        it('saves the manifest to the specified location', async () => {
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeTrue();
+        });
+
+        it('does nothing if the JSON API is disabled', async () => {
+            context.templateConfig = defaultConfig;
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, 'api'))).toBeFalse();
+        });
+
+        it('lists each symbol in the manifest, with the URLs for HTML and JSON', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = readJson(URL);
+
+            expect(manifest.symbols).toEqual([
+                {
+                    json: 'api/foo.json',
+                    longname: 'foo',
+                    pageCategory: 'namespaces',
+                    url: 'foo.html'
+                },
+                {
+                    json: 'api/foo-bar.json',
+                    longname: 'foo.Bar',
+                    pageCategory: 'classes',
+                    url: 'foo-bar.html'
+                },
+                {
+                    json: 'api/foo-baz.json',
+                    longname: 'foo.Baz',
+                    pageCategory: 'classes',
+                    url: 'foo-baz.html'
+                }
+            ]);
+        });
+
+        it('includes the nav tree in the manifest', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = readJson(URL);
+
+            expect(manifest.navTree.length).toBe(1);
+            expect(manifest.navTree[0].longname).toBe('foo');
+            expect(manifest.navTree[0].url).toBe('foo.html');
+            expect(manifest.navTree[0].json).toBe('api/foo.json');
+            expect(manifest.navTree[0].children.map(child => child.longname)).toEqual([
+                'foo.Bar',
+                'foo.Baz'
+            ]);
+        });
+
+        it('includes the globals in the manifest', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = readJson(URL);
+
+            expect(manifest.globals.length).toBe(1);
+            expect(manifest.globals[0].longname).toBe('globalFunction');
+            expect(manifest.globals[0].url).toBe('global.html#globalFunction');
+        });
+
+        it('writes a document for each symbol', async () => {
+            let doc;
+
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(doc.longname).toBe('foo.Bar');
+            expect(doc.pageCategory).toBe('classes');
+            expect(doc.url).toBe('foo-bar.html');
+            expect(doc.docs.length).toBe(1);
+            expect(doc.docs[0].longname).toBe('foo.Bar');
+            expect(doc.members.properties.length).toBe(1);
+            expect(doc.members.properties[0].url).toBe('foo-bar.html#qux');
+        });
+
+        it('omits properties that are added by the database', async () => {
+            let doc;
+
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(doc.docs[0].___id).toBeUndefined();
+            expect(doc.docs[0].___s).toBeUndefined();
+        });
+
+        it('does not include absolute paths to source files', async () => {
+            let doc;
+
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(JSON.stringify(doc)).not.toContain('/home/user');
+            expect(doc.docs[0].meta.path).toBeUndefined();
+            expect(doc.docs[0].meta.filename).toBe('bar.js');
+            expect(doc.docs[0].meta.shortpath).toBe('foo/bar.js');
+        });
+
+        it('adds the short path to the source file if it is missing', async () => {
+            let doc;
+
+            context.sourceFiles = {
+                [path.join('/home/user/project/src/foo', 'bar.js')]: 'foo/bar.js'
+            };
+            context.doclets = db({
+                config: context.config,
+                values: doclets.map(d => (d.meta ?
+                    Object.assign({}, d, { meta: _.omit(d.meta, 'shortpath') }) :
+                    d))
+            });
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(JSON.stringify(doc)).not.toContain('/home/user');
+            expect(doc.docs[0].meta.shortpath).toBe('foo/bar.js');
+        });
+
+        it('resolves inline links', async () => {
+            let doc;
+
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo.json'));
+
+            expect(doc.docs[0].description).toContain('href="foo-bar.html"');
+        });
+
+        it('maps the longnames in each document to URLs', async () => {
+            let doc;
+
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(doc.links['foo.Baz']).toBe('foo-baz.html');
+            expect(doc.links.foo).toBe('foo.html');
+        });
+
+        it('finds longnames within type expressions', async () => {
+            let doc;
+
+            context.needsOutputFile = { 'foo.Bar': true };
+            context.doclets = db({
+                config: context.config,
+                values: doclets.slice(1, 4).map(d => Object.assign({}, d, { augments: undefined }))
+            });
+            await instance.run(context);
+            doc = readJson(path.join('api', 'foo-bar.json'));
+
+            expect(doc.links['foo.Baz']).toBe('foo-baz.html');
+            expect(doc.links.Array).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const mock = require('mock-fs');
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateLinkInventory = require('../../../../lib/tasks/generate-link-inventory');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+const URL = 'jsdoc-inventory.json';
+
+describe('lib/tasks/generate-link-inventory', () => {
+    let context;
+    const doclets = [
+        {
+            kind: 'namespace',
+            longname: 'foo',
+            name: 'foo'
+        },
+        {
+            kind: 'class',
+            longname: 'foo.Bar',
+            memberof: 'foo',
+            name: 'Bar',
+            scope: 'static'
+        },
+        {
+            kind: 'function',
+            longname: 'foo.Bar#baz',
+            memberof: 'foo.Bar',
+            name: 'baz',
+            scope: 'instance'
+        }
+    ];
+    let instance;
+
+    function readInventory() {
+        return fs.readJsonSync(path.join(OUTPUT_DIR, URL));
+    }
+
+    beforeEach(() => {
+        const template = new Template(defaultConfig);
+
+        context = {
+            allLongnames: doclets.map(d => d.longname),
+            destination: OUTPUT_DIR,
+            doclets: db({ values: doclets }),
+            linkManager: template.linkManager,
+            package: {
+                name: 'foo',
+                version: '1.0.0'
+            },
+            template,
+            templateConfig: defaultConfig
+        };
+        for (const doclet of doclets) {
+            context.linkManager.registerDoclet(doclet);
+        }
+        instance = new GenerateLinkInventory({
+            name: 'generateLinkInventory',
+            url: URL
+        });
+
+        mock(helpers.baseViews);
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateLinkInventory({ name: 'generateLinkInventory' });
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    it('accepts a `url` property', () => {
+        expect(instance.url).toBe(URL);
+    });
+
+    describe('run', () => {
+        it('saves the inventory to the specified location', async () => {
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeTrue();
+        });
+
+        it('does nothing if the inventory is disabled', async () => {
+            context.templateConfig = Object.assign({}, defaultConfig, {
+                linkInventory: {
+                    generate: false
+                }
+            });
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeFalse();
+        });
+
+        it('maps each longname to its URL', async () => {
+            await instance.run(context);
+
+            expect(readInventory().links).toEqual({
+                'foo': 'foo.html',
+                'foo.Bar': 'foo-bar.html',
+                'foo.Bar#baz': 'foo-bar.html#baz'
+            });
+        });
+
+        it('includes the format version and the package info', async () => {
+            const inventory = await instance.run(context).then(readInventory);
+
+            expect(inventory.format).toBe(1);
+            expect(inventory.package).toEqual({
+                name: 'foo',
+                version: '1.0.0'
+            });
+        });
+
+        it('can be imported by another link manager', async () => {
+            const other = new Template(defaultConfig).linkManager;
+
+            await instance.run(context);
+            other.importLinks(readInventory().links, 'https://example.org/foo/');
+
+            expect(other.createLink('foo.Bar#baz', { linkText: 'baz' }))
+                .toBe('<a href="https://example.org/foo/foo-bar.html#baz">baz</a>');
+        });
+    });
+});
@@ -0,0 +1,239 @@
+const mock = require('mock-fs');
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateSearchIndex = require('../../../../lib/tasks/generate-search-index');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+const URL = path.join('scripts', 'search-index.js');
+
+// Runs the generated index in a fake browser environment, and returns the data that was passed to
+// the browser script.
+function loadIndexFile(filepath) {
+    const calls = {};
+    const window = {
+        jsdocSearch: {
+            addShard: shard => {
+                calls.shard = shard;
+            },
+            setManifest: manifest => {
+                calls.manifest = manifest;
+            }
+        }
+    };
+
+    // eslint-disable-next-line no-new-func
+    new Function('window', fs.readFileSync(filepath, 'utf8'))(window);
+
+    return calls;
+}
+
+describe('lib/tasks/generate-search-index', () => {
+    let context;
+    const doclets = [
+        {
+            kind: 'package',
+            longname: 'package:foo',
+            name: 'foo'
+        },
+        {
+            description: 'The foo namespace. It has things in it.',
+            kind: 'namespace',
+            longname: 'foo',
+            name: 'foo'
+        },
+        {
+            classdesc: 'A {@link foo|Foo} bar.',
+            kind: 'class',
+            longname: 'foo.Bar',
+            memberof: 'foo',
+            name: 'Bar',
+            scope: 'static'
+        },
+        {
+            kind: 'function',
+            longname: 'foo.Bar#baz',
+            memberof: 'foo.Bar',
+            name: 'baz',
+            scope: 'instance',
+            summary: 'Does baz things.'
+        }
+    ];
+    let instance;
+    let template;
+
+    beforeEach(() => {
+        template = new Template(defaultConfig);
+        context = {
+            destination: OUTPUT_DIR,
+            doclets: db({ values: doclets }),
+            linkManager: template.linkManager,
+            template,
+            templateConfig: defaultConfig
+        };
+        for (const doclet of doclets.slice(1)) {
+            context.linkManager.registerDoclet(doclet);
+        }
+        instance = new GenerateSearchIndex({
+            name: 'generateSearchIndex',
+            url: URL
+        });
+
+        mock(helpers.baseViews);
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateSearchIndex({ name: 'generateSearchIndex' });
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    it('accepts a `url` property', () => {
+        expect(instance.url).toBe(URL);
+    });
+
+    describe('run', () => {
+        it('saves the index to the specified location', async () => {
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeTrue();
+        });
+
+        it('does nothing if search is disabled', async () => {
+            context.templateConfig = Object.assign({}, defaultConfig, {
+                components: {
+                    search: false
+                }
+            });
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeFalse();
+        });
+
+        it('does nothing if the output format is Markdown', async () => {
+            context.templateConfig = Object.assign({}, defaultConfig, {
+                outputFormat: 'markdown'
+            });
+            await instance.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, URL))).toBeFalse();
+        });
+
+        it('includes an entry for each longname, but not the package', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+            expect(manifest.entries.map(entry => entry[1])).toEqual([
+                'foo',
+                'foo.Bar',
+                'foo.Bar#baz'
+            ]);
+        });
+
+        it('records the name, longname, kind, summary, and URL for each entry', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+            expect(manifest.entries[2]).toEqual([
+                'baz',
+                'foo.Bar#baz',
+                'function',
+                'Does baz things.',
+                'foo-bar.html#baz'
+            ]);
+        });
+
+        it('uses the first sentence of the description as a fallback summary', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+            expect(manifest.entries[0][3]).toBe('The foo namespace.');
+        });
+
+        it('removes inline tags from the summary', async () => {
+            let manifest;
+
+            await instance.run(context);
+            manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+            expect(manifest.entries[1][3]).toBe('A Foo bar.');
+        });
+
+        describe('shards', () => {
+            beforeEach(() => {
+                context.templateConfig = Object.assign({}, defaultConfig, {
+                    search: {
+                        shardThreshold: 1
+                    }
+                });
+            });
+
+            it('does not shard the index if it is small enough', async () => {
+                let manifest;
+
+                context.templateConfig.search.shardThreshold = 10;
+                await instance.run(context);
+                manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+                expect(manifest.entries).toBeArray();
+                expect(manifest.shards).toBeNull();
+                expect(manifest.trigrams).toBeNull();
+            });
+
+            it('lists the shards in the manifest if the index is too large', async () => {
+                let manifest;
+
+                await instance.run(context);
+                manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+                expect(manifest.entries).toBeNull();
+                expect(manifest.shards).toEqual({
+                    b: 'scripts/jsdoc-search/b.js',
+                    f: 'scripts/jsdoc-search/f.js'
+                });
+            });
+
+            it('maps each trigram in the names and longnames to its shards', async () => {
+                let manifest;
+
+                await instance.run(context);
+                manifest = loadIndexFile(path.join(OUTPUT_DIR, URL)).manifest;
+
+                // `foo` and `foo.Bar` are in different shards.
+                expect(manifest.trigrams.foo).toBe('bf');
+                // `baz` is only in the name and longname of `foo.Bar#baz`.
+                expect(manifest.trigrams.baz).toBe('b');
+                expect(manifest.trigrams['r#b']).toBe('b');
+                expect(manifest.trigrams.qux).toBeUndefined();
+            });
+
+            it('groups entries by the first character of the name', async () => {
+                let shard;
+
+                await instance.run(context);
+                shard = loadIndexFile(path.join(OUTPUT_DIR, 'scripts', 'jsdoc-search', 'b.js'))
+                    .shard;
+
+                expect(shard.key).toBe('b');
+                expect(shard.entries.map(entry => entry[1])).toEqual([
+                    'foo.Bar',
+                    'foo.Bar#baz'
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,124 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateSinceIndex = require('../../../../lib/tasks/generate-since-index');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+
+describe('lib/tasks/generate-since-index', () => {
+    let context;
+    const doclets = [
+        {
+            kind: 'class',
+            longname: 'Foo',
+            name: 'Foo',
+            since: '1.0.0'
+        },
+        {
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            scope: 'instance',
+            since: '1.10.0'
+        },
+        {
+            kind: 'function',
+            longname: 'Foo#baz',
+            memberof: 'Foo',
+            name: 'baz',
+            scope: 'instance',
+            since: '1.2.0'
+        },
+        {
+            kind: 'member',
+            longname: 'Foo#qux',
+            memberof: 'Foo',
+            name: 'qux',
+            scope: 'instance',
+            since: '1.2.0'
+        }
+    ];
+    let instance;
+
+    beforeEach(() => {
+        context = {
+            destination: OUTPUT_DIR,
+            pageTitlePrefix: '',
+            sinceDoclets: doclets.slice(),
+            template: new Template(defaultConfig),
+            templateConfig: defaultConfig
+        };
+        context.linkManager = context.template.linkManager;
+        context.linkManager.requestFilename('whats-new');
+        for (const doclet of doclets) {
+            context.linkManager.registerDoclet(doclet);
+        }
+
+        instance = new GenerateSinceIndex({ name: 'generateSinceIndex' });
+
+        mock(helpers.baseViews);
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateSinceIndex({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('returns a promise on failure', cb => {
+            let result;
+
+            context.template = null;
+            result = instance.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing if no symbols have a `since` value', async () => {
+            context.sinceDoclets = [];
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('groups the symbols by version, with the newest version first', async () => {
+            let versions;
+
+            await instance.run(context);
+            versions = instance.tickets[0].data.versions;
+
+            expect(versions.map(({ version }) => version)).toEqual([
+                '1.10.0',
+                '1.2.0',
+                '1.0.0'
+            ]);
+            expect(versions[1].items.map(({ longname }) => longname)).toEqual([
+                'Foo#baz',
+                'Foo#qux'
+            ]);
+        });
+
+        it('generates a page that links to each symbol', async () => {
+            let output;
+
+            await instance.run(context);
+            output = fs.readFileSync(path.join(OUTPUT_DIR, 'whats-new.html'), 'utf8');
+
+            expect(output).toContain('New in version 1.10.0');
+            expect(output).toContain('<a href="foo.html#bar">');
+        });
+    });
+});
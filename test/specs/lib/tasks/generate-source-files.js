@@ -1,5 +1,6 @@
 const mock = require('mock-fs');
 const _ = require('lodash');
+const { db } = require('../../../../lib/db');
 const { defaultConfig } = require('../../../../lib/config');
 const fs = require('fs-extra');
 const GenerateSourceFiles = require('../../../../lib/tasks/generate-source-files');
@@ -9,6 +10,7 @@ const Template = require('../../../../lib/template');
 const mockObj = _.defaults({}, helpers.baseViews, {
     'foo.js': 'exports.foo = 1;',
     'bar.js': 'exports.bar = () => 2 < 3;',
+    'baz.js': '/*\n * Baz.\n */\nexports.baz = 3;\n',
     out: {}
 });
 const OUTPUT_DIR = 'out';
@@ -139,7 +141,7 @@ describe('lib/tasks/generate-source-files', () => {
                 fileName = findOutputFile('foo-js');
                 file = fs.readFileSync(path.join(OUTPUT_DIR, fileName), 'utf8');
 
-                expect(file).toMatch(/<pre [^>]+><code>exports.foo/);
+                expect(file).toMatch(/<pre [^>]+><ol [^>]+><li [^>]+>.*exports.*foo/);
             });
 
             it('encodes characters in the source file that are not HTML-safe', async () => {
@@ -152,7 +154,133 @@ describe('lib/tasks/generate-source-files', () => {
                 fileName = findOutputFile('bar-js');
                 file = fs.readFileSync(path.join(OUTPUT_DIR, fileName), 'utf8');
 
-                expect(file).toContain('2 &lt; 3');
+                expect(file).toContain('<span class="pun">&lt;</span>');
+                expect(file).not.toContain('2 < 3');
+            });
+
+            it('highlights the source code when the docs are built', async () => {
+                let file;
+                let fileName;
+                const task = new GenerateSourceFiles({ name: 'highlight' });
+
+                await task.run(context);
+
+                fileName = findOutputFile('foo-js');
+                file = fs.readFileSync(path.join(OUTPUT_DIR, fileName), 'utf8');
+
+                expect(file).toContain('<pre class="prettyprint prettyprinted linenums">');
+                expect(file).toContain('<span class="lit">1</span>');
+            });
+
+            it('adds an ID to each line', async () => {
+                let file;
+                let fileName;
+                const task = new GenerateSourceFiles({ name: 'lineIds' });
+
+                context.sourceFiles['baz.js'] = 'baz.js';
+                context.linkManager.requestFilename('baz.js');
+                await task.run(context);
+
+                fileName = findOutputFile('baz-js');
+                file = fs.readFileSync(path.join(OUTPUT_DIR, fileName), 'utf8');
+
+                expect(file).toContain('<li id="source-line-1" class="L0"><span class="com">/*</span></li>');
+                expect(file).toContain('<li id="source-line-3" class="L2"><span class="com"> */</span></li>');
+                expect(file).toContain('<li id="source-line-4" class="L3">');
+                expect(file).not.toContain('source-line-5');
+            });
+
+            it('uses the highlighter from the config', async () => {
+                let file;
+                let fileName;
+                const task = new GenerateSourceFiles({ name: 'customHighlighter' });
+
+                context.templateConfig = Object.assign({}, defaultConfig, {
+                    highlighter: (code, language) => `<b>${language}</b>\n${code}`
+                });
+                await task.run(context);
+
+                fileName = findOutputFile('foo-js');
+                file = fs.readFileSync(path.join(OUTPUT_DIR, fileName), 'utf8');
+
+                expect(file).toContain('<li id="source-line-1" class="L0"><b>js</b></li>');
+                expect(file).toContain('<li id="source-line-2" class="L1">exports.foo = 1;</li>');
+            });
+
+            describe('declarations', () => {
+                const doclets = [
+                    {
+                        kind: 'member',
+                        longname: 'foo',
+                        meta: {
+                            lineno: 1,
+                            shortpath: 'foo.js'
+                        },
+                        name: 'foo',
+                        scope: 'global'
+                    },
+                    {
+                        inherited: true,
+                        kind: 'member',
+                        longname: 'Bar#foo',
+                        memberof: 'Bar',
+                        meta: {
+                            lineno: 1,
+                            shortpath: 'foo.js'
+                        },
+                        name: 'foo',
+                        scope: 'instance'
+                    }
+                ];
+
+                beforeEach(() => {
+                    context.doclets = db({ values: doclets });
+                    doclets.forEach(doclet => context.linkManager.registerDoclet(doclet));
+                });
+
+                async function getFooFile() {
+                    const task = new GenerateSourceFiles({ name: 'declarations' });
+
+                    await task.run(context);
+
+                    return fs.readFileSync(path.join(OUTPUT_DIR, findOutputFile('foo-js')), 'utf8');
+                }
+
+                it('links declarations to their docs', async () => {
+                    const file = await getFooFile();
+
+                    expect(file).toContain('<a href="global.html#foo" title="foo">foo</a>');
+                });
+
+                it('adds a gutter link to the docs for each declaration', async () => {
+                    const file = await getFooFile();
+
+                    expect(file).toContain('<li id="source-line-1" class="L0">' +
+                        '<a href="global.html#foo" title="foo" class="source-gutter-link"');
+                });
+
+                it('lists the declarations in an outline', async () => {
+                    const file = await getFooFile();
+
+                    expect(file).toContain('<nav class="source-outline"');
+                    expect(file).toContain('<a href="#source-line-1">1</a>');
+                });
+
+                it('ignores inherited symbols', async () => {
+                    const file = await getFooFile();
+
+                    expect(file).not.toContain('Bar#foo');
+                });
+
+                it('omits the outline if no symbols are declared in the file', async () => {
+                    let file;
+                    const task = new GenerateSourceFiles({ name: 'noDeclarations' });
+
+                    await task.run(context);
+                    file = fs.readFileSync(path.join(OUTPUT_DIR, findOutputFile('bar-js')), 'utf8');
+
+                    expect(file).not.toContain('source-outline');
+                });
             });
 
             it('includes the filename in the page title', async () => {
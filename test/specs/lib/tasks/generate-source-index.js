@@ -0,0 +1,159 @@
+const mock = require('mock-fs');
+const _ = require('lodash');
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateSourceIndex = require('../../../../lib/tasks/generate-source-index');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+
+describe('lib/tasks/generate-source-index', () => {
+    let context;
+    let instance;
+
+    function readOutputFile() {
+        return fs.readFileSync(path.join(OUTPUT_DIR, 'source-files.html'), 'utf8');
+    }
+
+    beforeEach(() => {
+        context = {
+            destination: OUTPUT_DIR,
+            doclets: db({
+                values: [
+                    {
+                        kind: 'function',
+                        longname: 'foo',
+                        meta: {
+                            lineno: 1,
+                            shortpath: 'lib/foo.js'
+                        },
+                        name: 'foo'
+                    },
+                    {
+                        kind: 'function',
+                        longname: 'bar',
+                        meta: {
+                            lineno: 2,
+                            shortpath: 'lib/foo.js'
+                        },
+                        name: 'bar'
+                    }
+                ]
+            }),
+            pageTitlePrefix: '',
+            sourceFiles: {
+                'src/lib/foo.js': 'lib/foo.js',
+                'src/index.js': 'index.js'
+            },
+            template: new Template(defaultConfig),
+            templateConfig: defaultConfig
+        };
+        context.linkManager = context.template.linkManager;
+        context.linkManager.requestFilename('source-files');
+        for (const shortpath of Object.values(context.sourceFiles)) {
+            context.linkManager.requestFilename(shortpath);
+        }
+
+        instance = new GenerateSourceIndex({ name: 'generateSourceIndex' });
+
+        mock(_.defaults({}, helpers.baseViews, {
+            src: {
+                'index.js': 'module.exports = {};',
+                lib: {
+                    'foo.js': 'x'.repeat(2048)
+                }
+            }
+        }));
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateSourceIndex({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('returns a promise on failure', cb => {
+            let result;
+
+            context.template = null;
+            result = instance.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing if there are no source files', async () => {
+            context.sourceFiles = {};
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('does nothing if the source files are not generated', async () => {
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                sourceFiles: {
+                    generate: false
+                }
+            });
+            await instance.run(context);
+
+            expect(instance.tickets).toBeEmptyArray();
+        });
+
+        it('adds the size and the number of symbols to each file', async () => {
+            let tree;
+
+            await instance.run(context);
+            tree = instance.tickets[0].data.tree;
+
+            expect(tree.files).toEqual([
+                {
+                    name: 'index.js',
+                    shortpath: 'index.js',
+                    size: 20,
+                    symbols: 0
+                }
+            ]);
+            expect(tree.directories[0].files).toEqual([
+                {
+                    name: 'foo.js',
+                    shortpath: 'lib/foo.js',
+                    size: 2048,
+                    symbols: 2
+                }
+            ]);
+        });
+
+        it('shows the directory tree, with links to the source files', async () => {
+            let output;
+
+            await instance.run(context);
+            output = readOutputFile();
+
+            expect(output).toContain('lib/');
+            expect(output).toContain('<a href="lib-foo-js.html">foo.<wbr />js</a>');
+            expect(output).toContain('<a href="index-js.html">index.<wbr />js</a>');
+        });
+
+        it('shows the size and the number of symbols for each file', async () => {
+            let output;
+
+            await instance.run(context);
+            output = readOutputFile();
+
+            expect(output).toContain('(2 KB, 2 documented symbols)');
+            expect(output).toContain('(20 bytes, no documented symbols)');
+        });
+    });
+});
@@ -5,6 +5,7 @@ const fs = require('fs-extra');
 const GenerateToc = require('../../../../lib/tasks/generate-toc');
 const { name } = require('@jsdoc/core');
 const path = require('path');
+const { RootTutorial, Tutorial, TYPES } = require('jsdoc/tutorial');
 const Template = require('../../../../lib/template');
 
 const ARGUMENT_ERROR = 'ArgumentError';
@@ -183,6 +184,28 @@ describe('lib/tasks/generate-toc', () => {
             expect(fs.existsSync(outputPath)).toBeTrue();
         });
 
+        it('includes its own URL, so that it can find the root of the generated docs', async () => {
+            let file;
+            const url = instance.url = path.join('scripts', 'foo.js');
+            const outputPath = path.join(OUTPUT_DIR, url);
+
+            await instance.run(context);
+            file = fs.readFileSync(outputPath, 'utf8');
+
+            expect(file).toContain('var tocUrl = "scripts/foo.js";');
+        });
+
+        it('does nothing if the output format is Markdown', async () => {
+            const outputPath = path.join(OUTPUT_DIR, instance.url);
+
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                outputFormat: 'markdown'
+            });
+            await instance.run(context);
+
+            expect(fs.existsSync(outputPath)).toBeFalse();
+        });
+
         it('adds everything in the `navTree` to the TOC', async () => {
             let file;
             const names = nonGlobals.map(d => d.name);
@@ -197,6 +220,33 @@ describe('lib/tasks/generate-toc', () => {
             }
         });
 
+        it('sorts the entries by name if the sort order is alphabetical', async () => {
+            let tocData;
+
+            context.globals = db({ values: [] });
+            context.navTree = name.longnamesToTree(['foo', 'foo.Zed', 'foo.Bar']);
+            await instance.run(context);
+            tocData = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, instance.url), 'utf8')
+                .match(/var tocData = (.+);/)[1]);
+
+            expect(tocData[0].children.map(({ id }) => id)).toEqual(['foo.Bar', 'foo.Zed']);
+        });
+
+        it('keeps the order of the doclets for other sort orders', async () => {
+            let tocData;
+
+            context.globals = db({ values: [] });
+            context.navTree = name.longnamesToTree(['foo', 'foo.Zed', 'foo.Bar']);
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                sort: 'source'
+            });
+            await instance.run(context);
+            tocData = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, instance.url), 'utf8')
+                .match(/var tocData = (.+);/)[1]);
+
+            expect(tocData[0].children.map(({ id }) => id)).toEqual(['foo.Zed', 'foo.Bar']);
+        });
+
         it('does not include an entry for globals if there are no globals', async () => {
             let file;
             const url = instance.url;
@@ -219,5 +269,127 @@ describe('lib/tasks/generate-toc', () => {
 
             expect(file).toContain('global');
         });
+
+        it('adds an entry for the deprecated APIs if there are any', async () => {
+            let file;
+            const outputPath = path.join(OUTPUT_DIR, instance.url);
+            let tocData;
+
+            context.deprecatedDoclets = [nonGlobals[1]];
+            context.linkManager.requestFilename('deprecated-apis');
+            await instance.run(context);
+            file = fs.readFileSync(outputPath, 'utf8');
+            tocData = JSON.parse(file.match(/var tocData = (.+);/)[1]);
+
+            expect(tocData[tocData.length - 1]).toEqual({
+                children: [],
+                id: 'deprecated-apis',
+                label: '<a href="deprecated-apis.html">Deprecated APIs</a>'
+            });
+        });
+
+        it('adds a branch for the tutorials, with nested tutorials', async () => {
+            const advanced = new Tutorial('advanced', '', TYPES.MARKDOWN);
+            let file;
+            const intro = new Tutorial('intro', '', TYPES.MARKDOWN);
+            const outputPath = path.join(OUTPUT_DIR, instance.url);
+            let tocData;
+
+            intro.title = 'Introduction';
+            advanced.title = 'Advanced topics';
+            context.tutorials = new RootTutorial();
+            context.tutorials.addChild(intro);
+            intro.addChild(advanced);
+            context.linkManager.registerTutorial('intro', intro.title);
+            context.linkManager.registerTutorial('advanced', advanced.title);
+
+            await instance.run(context);
+            file = fs.readFileSync(outputPath, 'utf8');
+            tocData = JSON.parse(file.match(/var tocData = (.+);/)[1]);
+
+            expect(tocData[tocData.length - 1]).toEqual({
+                children: [
+                    {
+                        children: [
+                            {
+                                children: [],
+                                id: 'tutorial:advanced',
+                                label: '<a href="tutorial-advanced.html">Advanced topics</a>'
+                            }
+                        ],
+                        id: 'tutorial:intro',
+                        label: '<a href="tutorial-intro.html">Introduction</a>'
+                    }
+                ],
+                id: 'tutorials',
+                label: 'Tutorials'
+            });
+        });
+
+        describe('source files', () => {
+            const sourceFiles = {
+                '/home/user/project/lib/a.js': 'lib/a.js',
+                '/home/user/project/index.js': 'index.js'
+            };
+            const sourceTemplate = new Template(defaultConfig);
+
+            sourceTemplate.linkManager.requestFilename('source-files');
+            for (const shortpath of Object.values(sourceFiles)) {
+                sourceTemplate.linkManager.requestFilename(shortpath);
+            }
+
+            beforeEach(() => {
+                context.sourceFiles = sourceFiles;
+                context.template = sourceTemplate;
+                context.linkManager = sourceTemplate.linkManager;
+            });
+
+            function getTocData() {
+                const file = fs.readFileSync(path.join(OUTPUT_DIR, instance.url), 'utf8');
+
+                return JSON.parse(file.match(/var tocData = (.+);/)[1]);
+            }
+
+            it('adds a branch for the source files, with directories first', async () => {
+                let tocData;
+
+                await instance.run(context);
+                tocData = getTocData();
+
+                expect(tocData[tocData.length - 1]).toEqual({
+                    children: [
+                        {
+                            children: [
+                                {
+                                    children: [],
+                                    id: 'source:lib/a.js',
+                                    label: '<a href="lib-a-js.html">a.<wbr />js</a>'
+                                }
+                            ],
+                            id: 'source:lib/',
+                            label: 'lib/'
+                        },
+                        {
+                            children: [],
+                            id: 'source:index.js',
+                            label: '<a href="index-js.html">index.<wbr />js</a>'
+                        }
+                    ],
+                    id: 'source-files',
+                    label: '<a href="source-files.html">Sources</a>'
+                });
+            });
+
+            it('omits the branch if the source files are not generated', async () => {
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    sourceFiles: {
+                        generate: false
+                    }
+                });
+                await instance.run(context);
+
+                expect(getTocData().map(({ id }) => id)).not.toContain('source-files');
+            });
+        });
     });
 });
@@ -0,0 +1,127 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateTutorials = require('../../../../lib/tasks/generate-tutorials');
+const path = require('path');
+const { RootTutorial, Tutorial, TYPES } = require('jsdoc/tutorial');
+const Template = require('../../../../lib/template');
+
+const OUTPUT_DIR = 'out';
+
+describe('lib/tasks/generate-tutorials', () => {
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateTutorials({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        let advanced;
+        let context;
+        let intro;
+        let task;
+
+        function readOutputFile(tutorialName) {
+            return fs.readFileSync(path.join(OUTPUT_DIR, `tutorial-${tutorialName}.html`), 'utf8');
+        }
+
+        beforeEach(() => {
+            context = {
+                destination: OUTPUT_DIR,
+                pageTitlePrefix: '',
+                template: new Template(defaultConfig),
+                templateConfig: defaultConfig,
+                tutorials: new RootTutorial()
+            };
+            context.linkManager = context.template.linkManager;
+
+            intro = new Tutorial('intro', '# Hello\n\nSee {@tutorial advanced}.', TYPES.MARKDOWN);
+            intro.title = 'Introduction';
+            advanced = new Tutorial('advanced', '<p>Back to {@tutorial intro}.</p>', TYPES.HTML);
+            advanced.title = 'Advanced topics';
+            context.tutorials.addChild(intro);
+            intro.addChild(advanced);
+            for (const tutorial of [intro, advanced]) {
+                context.linkManager.registerTutorial(tutorial.name, tutorial.title);
+            }
+
+            task = new GenerateTutorials({ name: 'generateTutorials' });
+
+            mock(helpers.baseViews);
+        });
+
+        afterEach(() => {
+            mock.restore();
+        });
+
+        it('returns a promise on failure', cb => {
+            let result;
+
+            context.linkManager = null;
+            result = task.run(context);
+
+            expect(result).toBeInstanceOf(Promise);
+
+            // Handle the rejected promise.
+            result.then(() => cb(), () => cb());
+        });
+
+        it('does nothing if there are no tutorials', async () => {
+            context.tutorials = undefined;
+            await task.run(context);
+
+            expect(task.tickets).toBeEmptyArray();
+        });
+
+        it('creates an output file for each tutorial, including nested tutorials', async () => {
+            await task.run(context);
+
+            expect(fs.existsSync(path.join(OUTPUT_DIR, 'tutorial-intro.html'))).toBeTrue();
+            expect(fs.existsSync(path.join(OUTPUT_DIR, 'tutorial-advanced.html'))).toBeTrue();
+        });
+
+        it('uses the tutorial title in the page title', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('intro')).toContain('<title>Tutorial: Introduction</title>');
+        });
+
+        it('converts Markdown tutorials to HTML', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('intro')).toMatch(/<h1[^>]*>Hello<\/h1>/);
+        });
+
+        it('uses HTML tutorials as-is', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('advanced')).toContain('<p>Back to');
+        });
+
+        it('resolves `{@tutorial}` links', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('intro'))
+                .toContain('<a href="tutorial-advanced.html">Advanced topics</a>');
+            expect(readOutputFile('advanced'))
+                .toContain('<a href="tutorial-intro.html">Introduction</a>');
+        });
+
+        it('links to the parent tutorial', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('advanced')).toContain('Part of:');
+            expect(readOutputFile('intro')).not.toContain('Part of:');
+        });
+
+        it('links to the child tutorials', async () => {
+            await task.run(context);
+
+            expect(readOutputFile('intro')).toMatch(
+                /<li>\s*<a href="tutorial-advanced.html">Advanced topics<\/a>\s*<\/li>/
+            );
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const mock = require('mock-fs');
+const { defaultConfig } = require('../../../../lib/config');
+const fs = require('fs-extra');
+const GenerateVersionManifest = require('../../../../lib/tasks/generate-version-manifest');
+const path = require('path');
+const Template = require('../../../../lib/template');
+
+const MANIFEST_PATH = path.join('docs', 'versions.json');
+
+describe('lib/tasks/generate-version-manifest', () => {
+    let context;
+    let instance;
+
+    function readManifest() {
+        return fs.readJsonSync(MANIFEST_PATH);
+    }
+
+    function setCurrentVersion(current) {
+        context.templateConfig = Object.assign({}, context.templateConfig, {
+            versions: { current }
+        });
+        context.destination = path.join('docs', current);
+    }
+
+    beforeEach(() => {
+        const template = new Template(defaultConfig);
+
+        context = {
+            config: {
+                opts: {
+                    destination: 'docs'
+                }
+            },
+            destination: 'docs',
+            linkManager: template.linkManager,
+            template,
+            templateConfig: defaultConfig
+        };
+        context.linkManager.requestFilename('index');
+        instance = new GenerateVersionManifest({
+            inventoryUrl: 'jsdoc-inventory.json',
+            name: 'generateVersionManifest',
+            url: 'versions.json'
+        });
+
+        mock({
+            docs: {}
+        });
+    });
+
+    afterEach(() => {
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new GenerateVersionManifest({});
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    it('does nothing if there is no current version', async () => {
+        await instance.run(context);
+
+        expect(fs.existsSync(MANIFEST_PATH)).toBeFalse();
+    });
+
+    it('creates a manifest in the shared root directory', async () => {
+        setCurrentVersion('v2.1');
+        await instance.run(context);
+
+        expect(readManifest()).toEqual({
+            format: 1,
+            versions: [
+                {
+                    index: 'v2.1/index.html',
+                    inventory: 'v2.1/jsdoc-inventory.json',
+                    name: 'v2.1',
+                    url: 'v2.1/'
+                }
+            ]
+        });
+    });
+
+    it('keeps the other versions, newest first', async () => {
+        setCurrentVersion('v9.0');
+        await instance.run(context);
+        setCurrentVersion('v10.0');
+        await instance.run(context);
+        setCurrentVersion('v9.1');
+        await instance.run(context);
+
+        expect(readManifest().versions.map(version => version.name))
+            .toEqual(['v10.0', 'v9.1', 'v9.0']);
+    });
+
+    it('replaces the existing entry for the current version', async () => {
+        setCurrentVersion('v2.1');
+        await instance.run(context);
+        context.templateConfig = Object.assign({}, context.templateConfig, {
+            linkInventory: {
+                generate: false
+            }
+        });
+        await instance.run(context);
+
+        expect(readManifest().versions).toEqual([
+            {
+                index: 'v2.1/index.html',
+                inventory: null,
+                name: 'v2.1',
+                url: 'v2.1/'
+            }
+        ]);
+    });
+
+    it('replaces a manifest that is not valid', async () => {
+        fs.writeFileSync(MANIFEST_PATH, 'not JSON');
+        setCurrentVersion('v2.1');
+        await instance.run(context);
+
+        expect(readManifest().versions.length).toBe(1);
+    });
+});
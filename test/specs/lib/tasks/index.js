@@ -2,13 +2,25 @@ const _ = require('lodash');
 const t = require('../../../../lib/tasks/index');
 
 const expectedTasks = [
+    'CheckLinks',
     'CopyStaticFiles',
+    'GenerateApiChanges',
     'GenerateCoreDocs',
+    'GenerateCoverage',
+    'GenerateDeprecatedApis',
     'GenerateFiles',
     'GenerateGlobals',
     'GenerateIndex',
+    'GenerateJsonApi',
+    'GenerateLinkInventory',
+    'GenerateSearchIndex',
+    'GenerateSinceIndex',
     'GenerateSourceFiles',
+    'GenerateSourceIndex',
     'GenerateToc',
+    'GenerateTutorials',
+    'GenerateVersionManifest',
+    'LintDoclets',
     'SetContext'
 ];
 
@@ -0,0 +1,433 @@
+const { db } = require('../../../../lib/db');
+const { defaultConfig } = require('../../../../lib/config');
+const { EventBus } = require('@jsdoc/util');
+const LintDoclets = require('../../../../lib/tasks/lint-doclets');
+const mock = require('mock-fs');
+const Template = require('../../../../lib/template');
+
+const SOURCE = [
+    'function foo(a, b) {',
+    '    return a + b;',
+    '}',
+    '',
+    'function bar(a) {',
+    '    console.log(a);',
+    '}'
+].join('\n');
+
+describe('lib/tasks/lint-doclets', () => {
+    const bus = new EventBus('jsdoc');
+    let context;
+    let doclets;
+    let errors;
+    let instance;
+    let warnings;
+
+    function onError(e) {
+        errors.push(e);
+    }
+
+    function onWarn(e) {
+        warnings.push(e);
+    }
+
+    function setLintConfig(lint) {
+        context.templateConfig = Object.assign({}, defaultConfig, {
+            lint: Object.assign({ enabled: true }, lint)
+        });
+    }
+
+    function setDoclets(...values) {
+        context.doclets = db({ values });
+        for (const doclet of values) {
+            context.linkManager.registerDoclet(doclet);
+        }
+    }
+
+    beforeEach(() => {
+        const meta = {
+            code: {
+                paramnames: ['a', 'b']
+            },
+            filename: 'foo.js',
+            lineno: 1,
+            path: '/src',
+            range: [0, SOURCE.indexOf('\n\n')]
+        };
+        const template = new Template(defaultConfig);
+
+        doclets = {
+            bar: {
+                description: 'Logs a value.',
+                kind: 'function',
+                longname: 'bar',
+                meta: {
+                    code: {
+                        paramnames: ['a']
+                    },
+                    filename: 'foo.js',
+                    lineno: 5,
+                    path: '/src',
+                    range: [SOURCE.indexOf('function bar'), SOURCE.length]
+                },
+                name: 'bar',
+                params: [
+                    {
+                        description: 'The value.',
+                        name: 'a'
+                    }
+                ],
+                scope: 'global'
+            },
+            foo: {
+                description: 'Adds two values.',
+                kind: 'function',
+                longname: 'foo',
+                meta,
+                name: 'foo',
+                params: [
+                    {
+                        description: 'The first value.',
+                        name: 'a'
+                    },
+                    {
+                        description: 'The second value.',
+                        name: 'b'
+                    }
+                ],
+                returns: [
+                    {
+                        type: {
+                            names: ['number']
+                        }
+                    }
+                ],
+                scope: 'global'
+            }
+        };
+        context = {
+            linkManager: template.linkManager,
+            sourceFiles: {
+                '/src/foo.js': 'foo.js'
+            },
+            template
+        };
+        setDoclets(doclets.foo, doclets.bar);
+        setLintConfig({});
+
+        errors = [];
+        warnings = [];
+        bus.on('logger:error', onError);
+        bus.on('logger:warn', onWarn);
+        instance = new LintDoclets({ name: 'lintDoclets' });
+
+        mock({
+            '/src/foo.js': SOURCE
+        });
+    });
+
+    afterEach(() => {
+        bus.off('logger:error', onError);
+        bus.off('logger:warn', onWarn);
+        mock.restore();
+    });
+
+    it('is a constructor', () => {
+        function factory() {
+            return new LintDoclets({ name: 'lintDoclets' });
+        }
+
+        expect(factory).not.toThrow();
+    });
+
+    describe('run', () => {
+        it('does nothing if the linter is disabled', async () => {
+            context.templateConfig = defaultConfig;
+            doclets.foo.description = '';
+            await instance.run(context);
+
+            expect(warnings).toEqual([]);
+        });
+
+        it('does not report anything for well-documented symbols', async () => {
+            await instance.run(context);
+
+            expect(warnings).toEqual([]);
+            expect(errors).toEqual([]);
+        });
+
+        it('includes the source file, line number, and rule name in each message', async () => {
+            doclets.bar.description = '';
+            await instance.run(context);
+
+            expect(warnings).toEqual(['foo.js:5: bar has no description [empty-description]']);
+        });
+
+        describe('empty-description', () => {
+            it('reports parameters with no description', async () => {
+                doclets.foo.params[1].description = '  ';
+                await instance.run(context);
+
+                expect(warnings.length).toBe(1);
+                expect(warnings[0]).toContain('The parameter b of foo has no description');
+            });
+
+            it('accepts a class description instead of a description', async () => {
+                setDoclets({
+                    classdesc: 'A class.',
+                    kind: 'class',
+                    longname: 'Baz',
+                    name: 'Baz'
+                });
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+        });
+
+        describe('empty-example', () => {
+            it('reports examples with no code', async () => {
+                doclets.bar.examples = [
+                    'bar(1);',
+                    null,
+                    '<caption>Nothing to see</caption>\n'
+                ];
+                await instance.run(context);
+
+                expect(warnings.length).toBe(2);
+                expect(warnings[0]).toContain('bar has an example with no code');
+            });
+        });
+
+        describe('missing-returns', () => {
+            it('reports functions that return a value without a `@returns` tag', async () => {
+                delete doclets.foo.returns;
+                await instance.run(context);
+
+                expect(warnings.length).toBe(1);
+                expect(warnings[0]).toContain('foo returns a value, but it has no @returns tag');
+            });
+
+            it('reports arrow functions with an expression body', async () => {
+                mock({
+                    '/src/foo.js': '(a, b) => a + b'
+                });
+                delete doclets.foo.returns;
+                doclets.foo.meta.range = [0, 15];
+                setDoclets(doclets.foo);
+                await instance.run(context);
+
+                expect(warnings.length).toBe(1);
+            });
+
+            it('ignores functions that do not return a value', async () => {
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+
+            it('ignores nested functions that return a value', async () => {
+                const source = [
+                    'function foo(a, b) {',
+                    '    [a, b].forEach(x => { return x; });',
+                    '    setTimeout(function() { return b; });',
+                    '}'
+                ].join('\n');
+
+                mock({
+                    '/src/foo.js': source
+                });
+                delete doclets.foo.returns;
+                doclets.foo.meta.range = [0, source.length];
+                setDoclets(doclets.foo);
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+
+            it('ignores `return` in comments and strings', async () => {
+                const source = [
+                    'function foo(a, b) {',
+                    '    // return a value',
+                    "    console.log('return a + b');",
+                    '    return;',
+                    '}'
+                ].join('\n');
+
+                mock({
+                    '/src/foo.js': source
+                });
+                delete doclets.foo.returns;
+                doclets.foo.meta.range = [0, source.length];
+                setDoclets(doclets.foo);
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+        });
+
+        describe('param-mismatch', () => {
+            it('reports parameters that are documented but not in the code', async () => {
+                doclets.bar.params.push({
+                    description: 'Not real.',
+                    name: 'extra'
+                });
+                await instance.run(context);
+
+                expect(warnings).toEqual([
+                    'foo.js:5: The parameter extra of bar is documented, but it is not in the ' +
+                        'code [param-mismatch]'
+                ]);
+            });
+
+            it('reports parameters that are in the code but not documented', async () => {
+                doclets.foo.params.pop();
+                await instance.run(context);
+
+                expect(warnings).toEqual([
+                    'foo.js:1: The parameter b of foo is not documented [param-mismatch]'
+                ]);
+            });
+
+            it('ignores the properties of parameters', async () => {
+                doclets.bar.params.push({
+                    description: 'An option.',
+                    name: 'a.option'
+                });
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+        });
+
+        describe('unresolved-link', () => {
+            it('reports links to unknown symbols', async () => {
+                doclets.bar.description = 'See {@link Missing}.';
+                await instance.run(context);
+
+                expect(warnings).toEqual([
+                    'foo.js:5: Unable to resolve the link to Missing in bar [unresolved-link]'
+                ]);
+            });
+        });
+
+        describe('configuration', () => {
+            it('fails after reporting everything if a rule has the severity `error`', async () => {
+                let error;
+
+                doclets.bar.description = '';
+                doclets.foo.description = '';
+                setLintConfig({
+                    rules: {
+                        'empty-description': 'error'
+                    }
+                });
+                try {
+                    await instance.run(context);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toBeError();
+                expect(errors.length).toBe(2);
+            });
+
+            it('uses the default severity for rules that are not configured', async () => {
+                const defaultRules = defaultConfig.lint.rules;
+                const defaultSeverity = defaultRules['empty-description'];
+                let error;
+
+                doclets.bar.description = '';
+                defaultRules['empty-description'] = 'error';
+                setLintConfig({
+                    rules: {
+                        'missing-returns': 'off'
+                    }
+                });
+                try {
+                    await instance.run(context);
+                } catch (e) {
+                    error = e;
+                }
+                defaultRules['empty-description'] = defaultSeverity;
+
+                expect(error).toBeError();
+                expect(errors.length).toBe(1);
+                expect(errors[0]).toContain('[empty-description]');
+            });
+
+            it('does not run rules that are turned off', async () => {
+                doclets.bar.description = '';
+                setLintConfig({
+                    rules: {
+                        'empty-description': 'off'
+                    }
+                });
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+
+            it('fails if a rule is unknown', async () => {
+                let error;
+
+                setLintConfig({
+                    rules: {
+                        'no-such-rule': 'warn'
+                    }
+                });
+                try {
+                    await instance.run(context);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toBeError();
+            });
+
+            it('fails if a severity is unknown', async () => {
+                let error;
+
+                setLintConfig({
+                    rules: {
+                        'empty-description': 'loud'
+                    }
+                });
+                try {
+                    await instance.run(context);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toBeError();
+            });
+
+            it('suppresses problems for one rule', async () => {
+                doclets.bar.description = 'See {@link Missing}.';
+                doclets.bar.examples = [''];
+                setLintConfig({
+                    suppress: {
+                        'unresolved-link': ['bar']
+                    }
+                });
+                await instance.run(context);
+
+                expect(warnings.length).toBe(1);
+                expect(warnings[0]).toContain('[empty-example]');
+            });
+
+            it('suppresses problems for all rules, using wildcards', async () => {
+                doclets.bar.description = 'See {@link Missing}.';
+                doclets.bar.examples = [''];
+                setLintConfig({
+                    suppress: {
+                        '*': ['b*']
+                    }
+                });
+                await instance.run(context);
+
+                expect(warnings).toEqual([]);
+            });
+        });
+    });
+});
@@ -1,5 +1,11 @@
+const BuildCache = require('../../../../lib/build-cache');
 const config = require('../../../../lib/config');
 const { db } = require('../../../../lib/db');
+const { EventBus } = require('@jsdoc/util');
+const fs = require('fs-extra');
+const GenerateCoverage = require('../../../../lib/tasks/generate-coverage');
+const path = require('path');
+const { RootTutorial, Tutorial } = require('jsdoc/tutorial');
 const SetContext = require('../../../../lib/tasks/set-context');
 const Template = require('../../../../lib/template');
 
@@ -86,6 +92,23 @@ describe('lib/tasks/set-context', () => {
             expect(error).toBeErrorOfType(TYPE_ERROR);
         });
 
+        it('claims a filename for the API changes page if there is a snapshot', async () => {
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                apiChanges: {
+                    previous: 'previous.json'
+                }
+            });
+            await instance.run(context);
+
+            expect(context.linkManager.getUri('api-changes')).toBe('api-changes.html');
+        });
+
+        it('claims a filename for the source index page', async () => {
+            await instance.run(context);
+
+            expect(context.linkManager.getUri('source-files')).toBe('source-files.html');
+        });
+
         it('registers a link for each doclet', async () => {
             await instance.run(context);
 
@@ -94,6 +117,34 @@ describe('lib/tasks/set-context', () => {
             }
         });
 
+        it('puts a class in its output directory if a member is registered first', async () => {
+            context.doclets = db({
+                values: [
+                    {
+                        kind: 'function',
+                        longname: 'Widget#render',
+                        memberof: 'Widget',
+                        name: 'render',
+                        scope: 'instance'
+                    },
+                    {
+                        kind: 'class',
+                        longname: 'Widget',
+                        name: 'Widget'
+                    }
+                ]
+            });
+            context.templateConfig = Object.assign({}, context.templateConfig, {
+                outputDirectories: {
+                    classes: 'classes'
+                }
+            });
+            await instance.run(context);
+
+            expect(context.linkManager.getUri('Widget')).toBe('classes/widget.html');
+            expect(context.linkManager.getUri('Widget#render')).toBe('classes/widget.html');
+        });
+
         describe('event listeners', () => {
             it('adds a `listeners` property to events that have listeners', async () => {
                 const eventDoclet = {
@@ -117,6 +168,208 @@ describe('lib/tasks/set-context', () => {
             });
         });
 
+        describe('filter rules', () => {
+            const bus = new EventBus('jsdoc');
+            const doclets = [
+                {
+                    kind: 'class',
+                    longname: 'Foo',
+                    name: 'Foo'
+                },
+                {
+                    kind: 'function',
+                    longname: 'Foo#internal',
+                    memberof: 'Foo',
+                    name: 'internal',
+                    scope: 'instance',
+                    tags: [
+                        {
+                            title: 'internal',
+                            value: ''
+                        }
+                    ]
+                },
+                {
+                    augments: ['Foo'],
+                    description: 'See {@link Foo#internal}.',
+                    kind: 'class',
+                    longname: 'Bar',
+                    name: 'Bar'
+                }
+            ];
+            let warnings;
+
+            function onWarn(e) {
+                warnings.push(e);
+            }
+
+            function setFilter(filter) {
+                context.templateConfig = Object.assign({}, context.templateConfig, { filter });
+            }
+
+            beforeEach(() => {
+                context.doclets = db({ values: doclets.slice() });
+                warnings = [];
+                bus.on('logger:warn', onWarn);
+            });
+
+            afterEach(() => {
+                bus.off('logger:warn', onWarn);
+            });
+
+            it('removes the excluded symbols before registering links', async () => {
+                setFilter({
+                    exclude: [{ tag: 'internal' }]
+                });
+                await instance.run(context);
+
+                expect(context.doclets.value().map(d => d.longname)).toEqual(['Foo', 'Bar']);
+                expect(context.linkManager.getUri('Foo#internal')).toBeFalsy();
+            });
+
+            it('removes the excluded symbols from the coverage report', async () => {
+                const mock = require('mock-fs');
+                let overall;
+
+                context.unprunedDoclets = doclets.concat([
+                    {
+                        kind: 'function',
+                        longname: 'Foo#undocumented',
+                        memberof: 'Foo',
+                        name: 'undocumented',
+                        scope: 'instance',
+                        undocumented: true
+                    }
+                ]);
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    coverage: {
+                        generate: true
+                    },
+                    filter: {
+                        exclude: [{ longname: 'Foo' }]
+                    }
+                });
+                await instance.run(context);
+                mock(helpers.baseViews);
+                try {
+                    await new GenerateCoverage({
+                        jsonUrl: 'coverage.json',
+                        name: 'generateCoverage'
+                    }).run(context);
+                    overall = fs.readJsonSync(path.join('out', 'coverage.json')).overall;
+                } finally {
+                    mock.restore();
+                }
+
+                expect(context.unprunedDoclets.map(d => d.longname)).toEqual(['Bar']);
+                expect(overall.symbols).toEqual({
+                    documented: 1,
+                    percent: 100,
+                    total: 1
+                });
+            });
+
+            it('removes the members of excluded symbols', async () => {
+                setFilter({
+                    exclude: [{ longname: 'Foo' }]
+                });
+                await instance.run(context);
+
+                expect(context.doclets.value().map(d => d.longname)).toEqual(['Bar']);
+            });
+
+            it('warns about references to excluded symbols', async () => {
+                setFilter({
+                    exclude: [{ longname: 'Foo*' }]
+                });
+                await instance.run(context);
+
+                expect(warnings.length).toBe(2);
+                expect(warnings[0]).toContain('Bar refers to Foo#internal');
+                expect(warnings[1]).toContain('Bar refers to Foo,');
+            });
+
+            it('does not warn if nothing is excluded', async () => {
+                await instance.run(context);
+
+                expect(warnings).toBeEmptyArray();
+            });
+        });
+
+        describe('link inventories', () => {
+            const mock = require('mock-fs');
+
+            beforeEach(() => {
+                mock({
+                    'otherlib': {
+                        'out': {
+                            'jsdoc-inventory.json': JSON.stringify({
+                                format: 1,
+                                links: {
+                                    'Foo': 'foo.html',
+                                    'otherlib.Baz': 'otherlib-baz.html',
+                                    'otherlib.Baz#qux': 'otherlib-baz.html#qux'
+                                }
+                            })
+                        }
+                    }
+                });
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    linkInventory: {
+                        imports: [
+                            {
+                                baseUrl: 'https://example.org/otherlib/',
+                                path: 'otherlib/out/jsdoc-inventory.json'
+                            }
+                        ]
+                    }
+                });
+            });
+
+            afterEach(() => {
+                mock.restore();
+            });
+
+            it('adds links to the symbols in the inventory', async () => {
+                await instance.run(context);
+
+                expect(context.linkManager.getUri('otherlib.Baz#qux', { includeFragmentId: true }))
+                    .toBe('https://example.org/otherlib/otherlib-baz.html#qux');
+            });
+
+            it('prefers the symbols in the current project', async () => {
+                await instance.run(context);
+
+                expect(context.linkManager.getUri('Foo')).toBe('foo.html');
+            });
+
+            it('sets `importedLongnames`', async () => {
+                await instance.run(context);
+
+                expect(context.importedLongnames).toEqual([
+                    'otherlib.Baz',
+                    'otherlib.Baz#qux'
+                ]);
+            });
+
+            it('links to the directory that contains the inventory by default', async () => {
+                context.templateConfig.linkInventory.imports[0].baseUrl = undefined;
+                await instance.run(context);
+
+                expect(context.linkManager.getUri('otherlib.Baz'))
+                    .toBe('../otherlib/out/otherlib-baz.html');
+            });
+
+            it('does not fail if an inventory is missing', async () => {
+                context.templateConfig.linkInventory.imports.push({
+                    path: 'not/a/real/inventory.json'
+                });
+
+                await instance.run(context);
+                expect(context.linkManager.getUri('otherlib.Baz')).not.toBe('');
+            });
+        });
+
         describe('longnames', () => {
             it('strips the variation, if present, from each longname', async () => {
                 const doclet = {
@@ -133,7 +386,84 @@ describe('lib/tasks/set-context', () => {
             });
         });
 
+        describe('new symbols', () => {
+            let added;
+            let older;
+
+            beforeEach(() => {
+                added = {
+                    kind: 'function',
+                    longname: 'Foo#added',
+                    memberof: 'Foo',
+                    name: 'added',
+                    scope: 'instance',
+                    since: '1.2.0'
+                };
+                older = {
+                    kind: 'function',
+                    longname: 'Foo#older',
+                    memberof: 'Foo',
+                    name: 'older',
+                    scope: 'instance',
+                    since: '1.1.0'
+                };
+                context.doclets = db({
+                    values: fakeDoclets.concat([
+                        {
+                            kind: 'package',
+                            longname: 'package:foo',
+                            name: 'foo',
+                            version: '1.2.0'
+                        },
+                        added,
+                        older
+                    ])
+                });
+            });
+
+            it('flags symbols from the current version if asked', async () => {
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    since: {
+                        labelNew: true
+                    }
+                });
+                await instance.run(context);
+
+                expect([...context.newLongnames]).toEqual(['Foo#added']);
+                expect(context.template.newLongnames).toBe(context.newLongnames);
+                expect(added.isNew).toBeUndefined();
+            });
+
+            it('compares the versions semantically', async () => {
+                added.since = 'v1.2';
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    since: {
+                        labelNew: true
+                    }
+                });
+                await instance.run(context);
+
+                expect(context.newLongnames.has('Foo#added')).toBeTrue();
+            });
+
+            it('does not flag symbols by default', async () => {
+                await instance.run(context);
+
+                expect(context.newLongnames.size).toBe(0);
+            });
+        });
+
         describe('properties', () => {
+            it('sets `allDocletsByLongname` correctly', async () => {
+                await instance.run(context);
+
+                expect(Object.keys(context.allDocletsByLongname)).toEqual([
+                    'Foo',
+                    'bar'
+                ]);
+                expect(context.allDocletsByLongname.Foo.longname).toBe('Foo');
+            });
+
             it('sets `allLongnames` correctly', async () => {
                 await instance.run(context);
 
@@ -153,12 +483,93 @@ describe('lib/tasks/set-context', () => {
                 expect(context.allLongnamesTree.bar.doclet).toBeObject();
             });
 
+            it('does not set `buildCache` by default', async () => {
+                await instance.run(context);
+
+                expect(context.buildCache).toBeUndefined();
+            });
+
+            it('sets `buildCache` for incremental builds', async () => {
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    incremental: {
+                        enabled: true,
+                        force: true
+                    }
+                });
+                await instance.run(context);
+
+                expect(context.buildCache).toBeObject();
+                expect(context.buildCache.force).toBeTrue();
+                expect(context.buildCache.filepath).toBe(path.join('out', BuildCache.CACHE_FILENAME));
+            });
+
+            it('sets `deprecatedDoclets` correctly', async () => {
+                const deprecated = {
+                    deprecated: 'Use `Foo` instead.',
+                    kind: 'function',
+                    longname: 'Foo#old',
+                    memberof: 'Foo',
+                    name: 'old',
+                    scope: 'instance'
+                };
+                const inherited = {
+                    deprecated: true,
+                    inherited: true,
+                    kind: 'function',
+                    longname: 'Foo#inheritedOld',
+                    memberof: 'Foo',
+                    name: 'inheritedOld',
+                    scope: 'instance'
+                };
+
+                context.doclets = db({
+                    values: fakeDoclets.concat([deprecated, inherited])
+                });
+                await instance.run(context);
+
+                expect(context.deprecatedDoclets).toEqual([deprecated]);
+            });
+
             it('sets `destination` correctly', async () => {
                 await instance.run(context);
 
                 expect(context.destination).toBe('out');
             });
 
+            it('starts with an empty list of output files', async () => {
+                await instance.run(context);
+
+                expect(context.outputFiles).toEqual(new Set());
+            });
+
+            it('puts the `destination` in a subdirectory for the current version', async () => {
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    versions: {
+                        current: 'v2.1'
+                    }
+                });
+                await instance.run(context);
+
+                expect(context.destination).toBe(path.join('out', 'v2.1'));
+            });
+
+            it('fails if the current version is not a single directory name', async () => {
+                let error;
+
+                context.templateConfig = Object.assign({}, context.templateConfig, {
+                    versions: {
+                        current: 'releases/v2.1'
+                    }
+                });
+                try {
+                    await instance.run(context);
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error).toBeError();
+            });
+
             it('sets `globals` correctly', async () => {
                 const globals = fakeDoclets.filter(d => d.scope === 'global');
 
@@ -269,11 +680,61 @@ describe('lib/tasks/set-context', () => {
                 expect(context.readme).toBe(filepath);
             });
 
+            it('sets `sinceDoclets` correctly', async () => {
+                const withSince = {
+                    kind: 'function',
+                    longname: 'Foo#added',
+                    memberof: 'Foo',
+                    name: 'added',
+                    scope: 'instance',
+                    since: '1.2.0'
+                };
+
+                context.doclets = db({
+                    values: fakeDoclets.concat([withSince])
+                });
+                await instance.run(context);
+
+                expect(context.sinceDoclets).toEqual([withSince]);
+            });
+
             it('sets `template` correctly', async () => {
                 await instance.run(context);
 
                 expect(context.template).toBeInstanceOf(Template);
             });
+
+            it('sets `tutorialNames` correctly', async () => {
+                const intro = new Tutorial('intro', '', null);
+
+                context.tutorials = new RootTutorial();
+                context.tutorials.addChild(intro);
+                intro.addChild(new Tutorial('advanced', '', null));
+                await instance.run(context);
+
+                expect(context.tutorialNames).toEqual(['intro', 'advanced']);
+            });
+        });
+
+        describe('tutorials', () => {
+            it('registers a link for each tutorial, including nested tutorials', async () => {
+                const intro = new Tutorial('intro', '', null);
+
+                context.tutorials = new RootTutorial();
+                context.tutorials.addChild(intro);
+                intro.addChild(new Tutorial('advanced', '', null));
+                await instance.run(context);
+
+                expect(context.linkManager.getUri('tutorial:intro')).toBe('tutorial-intro.html');
+                expect(context.linkManager.getUri('tutorial:advanced'))
+                    .toBe('tutorial-advanced.html');
+            });
+
+            it('works if there are no tutorials', async () => {
+                await instance.run(context);
+
+                expect(context.tutorialNames).toBeEmptyArray();
+            });
         });
     });
 });
@@ -31,8 +31,164 @@ describe('lib/template', () => {
         expect(new Template(defaultConfig)).toBeInstanceOf(Template);
     });
 
-    xdescribe('render', () => {
-        // TODO
+    describe('inline tags', () => {
+        const { EventBus } = require('@jsdoc/util');
+        const path = require('path');
+
+        const bus = new EventBus('jsdoc');
+        const fixturesPath = path.resolve(__dirname, '../../fixtures/inline-tags');
+
+        it('registers the handlers for custom inline tags', () => {
+            instance = new Template(Object.assign({}, defaultConfig, {
+                inlineTags: {
+                    jira: path.join(fixturesPath, 'jira')
+                }
+            }));
+
+            expect(instance.linkManager.resolveInlineLinks('{@jira ABC-1}', {
+                doclet: { longname: 'foo' }
+            })).toBe('<a href="https://jira.example.org/browse/ABC-1">ABC-1</a> (foo)');
+        });
+
+        it('logs an error if a handler cannot be loaded', () => {
+            const events = [];
+
+            function listener(e) {
+                events.push(e);
+            }
+
+            bus.on('logger:error', listener);
+            instance = new Template(Object.assign({}, defaultConfig, {
+                inlineTags: {
+                    missing: path.join(fixturesPath, 'no-such-file'),
+                    notFunction: path.join(fixturesPath, 'not-a-function')
+                }
+            }));
+            bus.off('logger:error', listener);
+
+            expect(events.length).toBe(2);
+            expect(instance.linkManager.resolveInlineLinks('{@notFunction foo}'))
+                .toBe('{@notFunction foo}');
+        });
+    });
+
+    describe('render', () => {
+        // TODO: more tests
+
+        describe('heading levels', () => {
+            const mock = require('mock-fs');
+            const VIEWS_DIR = 'custom-views';
+
+            beforeEach(() => {
+                instance = new Template(Object.assign({}, defaultConfig, {
+                    views: [VIEWS_DIR]
+                }));
+                mock(Object.assign({}, helpers.baseViews, {
+                    [VIEWS_DIR]: {
+                        // Intentionally missing the closing `</section>` tag.
+                        'unbalanced.njk': '<section><h>Hello</h>'
+                    }
+                }));
+            });
+
+            afterEach(() => {
+                mock.restore();
+            });
+
+            it('starts each render at the top heading level', () => {
+                const first = instance.render('unbalanced.njk', {}, { beautify: false });
+                const second = instance.render('unbalanced.njk', {}, { beautify: false });
+
+                expect(first).toBe('<section><h2>Hello</h2>');
+                expect(second).toBe(first);
+            });
+        });
+
+        describe('output URL', () => {
+            const mock = require('mock-fs');
+            const VIEWS_DIR = 'custom-views';
+
+            beforeEach(() => {
+                instance = new Template(Object.assign({}, defaultConfig, {
+                    outputDirectories: {
+                        classes: 'classes'
+                    },
+                    views: [VIEWS_DIR]
+                }));
+                instance.linkManager.requestFilename('Foo', { category: 'classes' });
+                mock(Object.assign({}, helpers.baseViews, {
+                    [VIEWS_DIR]: {
+                        'link.njk': '{{ "Foo" | link }}'
+                    }
+                }));
+            });
+
+            afterEach(() => {
+                mock.restore();
+            });
+
+            it('creates links that are relative to the output URL', () => {
+                const rendered = instance.render('link.njk', {}, {
+                    beautify: false,
+                    url: 'source/foo-js.html'
+                });
+
+                expect(rendered).toBe('<a href="../classes/foo.html">Foo</a>');
+            });
+
+            it('creates links from the root directory after the render', () => {
+                instance.render('link.njk', {}, {
+                    beautify: false,
+                    url: 'source/foo-js.html'
+                });
+
+                expect(instance.render('link.njk', {}, { beautify: false }))
+                    .toBe('<a href="classes/foo.html">Foo</a>');
+            });
+        });
+
+        describe('Markdown', () => {
+            const mock = require('mock-fs');
+            const VIEWS_DIR = 'custom-views';
+
+            beforeEach(() => {
+                instance = new Template(Object.assign({}, defaultConfig, {
+                    outputFormat: 'markdown',
+                    views: [VIEWS_DIR]
+                }));
+                mock(Object.assign({}, helpers.baseViews, {
+                    [VIEWS_DIR]: {
+                        'blank-lines.njk': '# Foo\n\n\n\nBar   \n\n```\na\n\n\n\nb\n```\n\n\n'
+                    }
+                }));
+            });
+
+            afterEach(() => {
+                mock.restore();
+            });
+
+            it('uses the Markdown version of the views', () => {
+                const rendered = instance.render('source.njk', {
+                    docs: 'const foo = 1;',
+                    pageTitle: 'foo.js'
+                });
+
+                expect(rendered).toContain('```js\nconst foo = 1;\n```');
+                expect(rendered).not.toContain('<pre');
+            });
+
+            it('removes extra blank lines, except in code blocks', () => {
+                const rendered = instance.render('blank-lines.njk', {});
+
+                expect(rendered).toBe('# Foo\n\nBar\n\n```\na\n\n\n\nb\n```\n');
+            });
+
+            it('keeps extra blank lines if `beautify` is false', () => {
+                const rendered = instance.render('blank-lines.njk', {}, { beautify: false });
+
+                expect(rendered).toContain('# Foo\n\n\n\nBar');
+            });
+        });
     });
 
     xdescribe('translate', () => {
@@ -0,0 +1,35 @@
+const { compareVersions } = require('../../../lib/versions');
+
+describe('lib/versions', () => {
+    describe('compareVersions', () => {
+        it('compares each part of the version as a number', () => {
+            expect(compareVersions('1.10.0', '1.2.0')).toBeGreaterThan(0);
+            expect(compareVersions('1.2.0', '1.10.0')).toBeLessThan(0);
+        });
+
+        it('treats missing parts as zeroes', () => {
+            expect(compareVersions('1.2', '1.2.0')).toBe(0);
+        });
+
+        it('ignores a leading `v`', () => {
+            expect(compareVersions('v2.0.0', '2.0.0')).toBe(0);
+        });
+
+        it('puts prereleases before the release', () => {
+            expect(compareVersions('2.0.0-beta', '2.0.0')).toBeLessThan(0);
+            expect(compareVersions('2.0.0', '2.0.0-beta')).toBeGreaterThan(0);
+        });
+
+        it('compares prerelease identifiers', () => {
+            expect(compareVersions('2.0.0-alpha', '2.0.0-beta')).toBeLessThan(0);
+            expect(compareVersions('2.0.0-beta.2', '2.0.0-beta.11')).toBeLessThan(0);
+            expect(compareVersions('2.0.0-beta', '2.0.0-beta.1')).toBeLessThan(0);
+            expect(compareVersions('2.0.0-1', '2.0.0-alpha')).toBeLessThan(0);
+        });
+
+        it('puts strings that are not versions before all of the versions', () => {
+            expect(compareVersions('someday', '0.0.1')).toBeLessThan(0);
+            expect(compareVersions('0.0.1', 'someday')).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = fs.readFileSync(path.resolve(__dirname, '../../../scripts/search.js'), 'utf8');
+
+// Just enough of the DOM for the search script.
+function createElement(tagName) {
+    return {
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        },
+        appendChild(child) {
+            this.children.push(child);
+
+            return child;
+        },
+        attributes: {},
+        children: [],
+        get firstChild() {
+            return this.children[0] || null;
+        },
+        getAttribute(name) {
+            return this.attributes[name] || null;
+        },
+        getElementsByTagName(name) {
+            return this.children.reduce((found, child) => found.concat(
+                child.tagName === name ? [child] : [],
+                child.getElementsByTagName ? child.getElementsByTagName(name) : []
+            ), []);
+        },
+        hidden: false,
+        listeners: {},
+        removeChild(child) {
+            this.children.splice(this.children.indexOf(child), 1);
+
+            return child;
+        },
+        tagName,
+        value: ''
+    };
+}
+
+describe('scripts/search', () => {
+    let body;
+    let elements;
+    let window;
+
+    function getResults() {
+        return elements['jsdoc-search-results'].getElementsByTagName('a')
+            .map(link => link.children[0].text);
+    }
+
+    function getScripts() {
+        return body.children.map(script => script.src);
+    }
+
+    function search(query) {
+        elements['jsdoc-search-input'].value = query;
+        elements['jsdoc-search-input'].listeners.input();
+    }
+
+    beforeEach(() => {
+        const document = {
+            createElement,
+            createTextNode: text => ({ text }),
+            currentScript: null,
+            getElementById: id => elements[id] || null
+        };
+
+        body = createElement('body');
+        document.body = body;
+        elements = {
+            'jsdoc-search': createElement('div'),
+            'jsdoc-search-input': createElement('input'),
+            'jsdoc-search-results': createElement('ul')
+        };
+        window = {};
+        vm.runInNewContext(SCRIPT, {
+            document,
+            window
+        });
+    });
+
+    it('searches the entries in an unsharded index', () => {
+        window.jsdocSearch.setManifest({
+            entries: [
+                ['addWidget', 'addWidget', 'function', '', 'global.html#addWidget'],
+                ['remove', 'remove', 'function', '', 'global.html#remove']
+            ],
+            shards: null,
+            url: 'search.js'
+        });
+        search('widget');
+
+        expect(getResults()).toEqual(['addWidget']);
+    });
+
+    describe('sharded index', () => {
+        beforeEach(() => {
+            window.jsdocSearch.setManifest({
+                entries: null,
+                shards: {
+                    a: 'jsdoc-search/a.js',
+                    b: 'jsdoc-search/b.js',
+                    w: 'jsdoc-search/w.js'
+                },
+                trigrams: {
+                    add: 'a',
+                    ame: 'w',
+                    bar: 'b',
+                    ddw: 'a',
+                    dge: 'aw',
+                    dwi: 'a',
+                    etn: 'w',
+                    get: 'aw',
+                    idg: 'aw',
+                    nam: 'w',
+                    tna: 'w',
+                    wid: 'aw'
+                },
+                url: 'search.js'
+            });
+        });
+
+        it('loads the shard for the query, plus the shards with substring matches', () => {
+            search('widget');
+
+            expect(getScripts()).toEqual(['jsdoc-search/w.js', 'jsdoc-search/a.js']);
+        });
+
+        it('loads only the shard for the query if the query is very short', () => {
+            search('wi');
+
+            expect(getScripts()).toEqual(['jsdoc-search/w.js']);
+        });
+
+        it('loads only the shard for the query if no shard has every trigram', () => {
+            search('widgetbar');
+
+            expect(getScripts()).toEqual(['jsdoc-search/w.js']);
+        });
+
+        it('waits for the shard for the query before showing results', () => {
+            search('widget');
+            window.jsdocSearch.addShard({
+                entries: [
+                    ['addWidget', 'addWidget', 'function', '', 'global.html#addWidget']
+                ],
+                key: 'a'
+            });
+
+            expect(elements['jsdoc-search-results'].hidden).toBeTrue();
+        });
+
+        it('finds substring matches in other shards', () => {
+            search('widget');
+            window.jsdocSearch.addShard({
+                entries: [
+                    ['widgetName', 'widgetName', 'member', '', 'global.html#widgetName']
+                ],
+                key: 'w'
+            });
+            window.jsdocSearch.addShard({
+                entries: [
+                    ['addWidget', 'addWidget', 'function', '', 'global.html#addWidget']
+                ],
+                key: 'a'
+            });
+
+            expect(getResults()).toEqual(['widgetName', 'addWidget']);
+        });
+    });
+});
@@ -16,6 +16,38 @@
 describe('main layout', () => {
     // TODO: more tests
 
+    describe('asset URLs', () => {
+        it('uses paths from the root for output files in the root directory', () => {
+            const text = helpers.createTemplate().render('layout.njk', {}, {
+                url: 'index.html'
+            });
+
+            expect(text).toContain('href="css/baseline.css"');
+            expect(text).toContain('src="scripts/jsdoc-toc.js"');
+        });
+
+        it('uses relative paths for output files in subdirectories', () => {
+            const text = helpers.createTemplate().render('layout.njk', {}, {
+                url: 'source/lib/foo-js.html'
+            });
+
+            expect(text).toContain('href="../../css/baseline.css"');
+            expect(text).toContain('src="../../scripts/jsdoc-toc.js"');
+        });
+
+        it('uses the base URL, if present', () => {
+            const template = helpers.createTemplate({
+                baseUrl: '/docs/'
+            });
+            const text = template.render('layout.njk', {}, {
+                url: 'classes/foo.html'
+            });
+
+            expect(text).toContain('href="/docs/css/baseline.css"');
+            expect(text).toContain('src="/docs/scripts/jsdoc-toc.js"');
+        });
+    });
+
     describe('footer', () => {
         it('includes a footer by default', () => {
             const text = helpers.render('layout.njk', {});
@@ -34,4 +66,30 @@ describe('main layout', () => {
             expect(text).not.toContain('<footer');
         });
     });
+
+    describe('version switcher', () => {
+        it('omits the version switcher by default', () => {
+            const text = helpers.render('layout.njk', {});
+
+            expect(text).not.toContain('jsdoc-versions');
+            expect(text).not.toContain('scripts/versions.js');
+        });
+
+        it('includes the version switcher if there is a current version', () => {
+            const template = helpers.createTemplate({
+                versions: {
+                    current: 'v2.1'
+                }
+            });
+            const text = template.render('layout.njk', {}, {
+                url: 'classes/foo.html'
+            });
+
+            expect(text).toContain('<select id="jsdoc-versions-select"');
+            expect(text).toContain('data-current="v2.1"');
+            expect(text).toContain('data-manifest="../../versions.json"');
+            expect(text).toContain('<option value="v2.1" selected>v2.1</option>');
+            expect(text).toContain('src="../scripts/versions.js"');
+        });
+    });
 });
@@ -67,4 +67,23 @@ describe('details-table macro', () => {
 
         expect(text).toContain('foo');
     });
+
+    it('passes the value to custom inline tags in the description', () => {
+        const jiraTemplate = new Template(_.defaults({
+            inlineTags: {
+                jira: path.resolve(__dirname, '..', '..', '..', 'fixtures', 'inline-tags', 'jira')
+            }
+        }, config));
+        const text = jiraTemplate.render('details-table-test.njk', {
+            values: [
+                {
+                    description: 'See {@jira ABC-1}.',
+                    longname: 'foo',
+                    name: 'foo'
+                }
+            ]
+        });
+
+        expect(text).toContain('<a href="https://jira.example.org/browse/ABC-1">ABC-1</a> (foo)');
+    });
 });
@@ -0,0 +1,88 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+describe('Markdown symbol layout', () => {
+    let template;
+
+    beforeEach(() => {
+        template = helpers.createTemplate({ outputFormat: 'markdown' });
+        template.linkManager.requestFilename('foo');
+        template.linkManager.requestFilename('foo.Bar');
+    });
+
+    it('shows the page title as the main heading', () => {
+        const text = template.render('symbol.njk', {
+            docs: [
+                {
+                    kind: 'namespace',
+                    longname: 'foo',
+                    name: 'foo'
+                }
+            ],
+            members: {},
+            pageCategory: 'namespaces',
+            pageTitle: 'foo'
+        });
+
+        expect(text).toStartWith('# Namespace: foo\n');
+    });
+
+    it('links to child classes', () => {
+        const text = template.render('symbol.njk', {
+            docs: [
+                {
+                    kind: 'namespace',
+                    longname: 'foo',
+                    name: 'foo'
+                }
+            ],
+            members: {
+                classes: [
+                    {
+                        kind: 'class',
+                        longname: 'foo.Bar',
+                        memberof: 'foo',
+                        name: 'Bar',
+                        summary: 'A bar.'
+                    }
+                ]
+            },
+            pageCategory: 'namespaces',
+            pageTitle: 'foo'
+        });
+
+        expect(text).toContain('- [Bar](foo-bar.html): A bar.');
+    });
+
+    it('does not include HTML markup from the HTML layout', () => {
+        const text = template.render('symbol.njk', {
+            docs: [
+                {
+                    description: 'The foo namespace.',
+                    kind: 'namespace',
+                    longname: 'foo',
+                    name: 'foo'
+                }
+            ],
+            members: {},
+            pageCategory: 'namespaces',
+            pageTitle: 'foo'
+        });
+
+        expect(text).not.toContain('<html');
+        expect(text).not.toContain('<div');
+        expect(text).toContain('The foo namespace.');
+    });
+});
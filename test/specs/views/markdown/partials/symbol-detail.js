@@ -0,0 +1,126 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+const catharsis = require('catharsis');
+
+describe('Markdown symbol detail partial', () => {
+    let template;
+
+    function render(item) {
+        return template.render('symbol-detail.njk', {
+            heading: '###',
+            item
+        });
+    }
+
+    beforeEach(() => {
+        template = helpers.createTemplate({ outputFormat: 'markdown' });
+        template.linkManager.requestFilename('Foo');
+    });
+
+    it('shows the name and signature in a heading', () => {
+        const text = render({
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            params: [
+                {
+                    name: 'baz'
+                }
+            ],
+            scope: 'instance'
+        });
+
+        expect(text).toContain('### bar(baz)');
+    });
+
+    it('adds an anchor for the fragment ID', () => {
+        const text = render({
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            scope: 'instance'
+        });
+
+        expect(text).toContain('<a id="bar"></a>');
+    });
+
+    it('links to documented types', () => {
+        const text = render({
+            kind: 'member',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            scope: 'instance',
+            type: {
+                names: ['Foo'],
+                parsedType: catharsis.parse('Foo')
+            }
+        });
+
+        expect(text).toContain('### bar: [Foo](foo.html)');
+    });
+
+    it('shows the parameters in a Markdown table', () => {
+        const text = render({
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            params: [
+                {
+                    description: 'The baz.\nIt | has a pipe.',
+                    name: 'baz',
+                    type: {
+                        names: ['string'],
+                        parsedType: catharsis.parse('string')
+                    }
+                }
+            ],
+            scope: 'instance'
+        });
+
+        expect(text).toContain('| `baz` | string |');
+        expect(text).toContain('| The baz. It \\| has a pipe. |');
+    });
+
+    it('shows examples in fenced code blocks, with captions', () => {
+        const text = render({
+            examples: ['<caption>Using bar</caption>\nfoo.bar();'],
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            scope: 'instance'
+        });
+
+        expect(text).toContain('Using bar\n\n```js\nfoo.bar();\n```');
+    });
+
+    it('uses Markdown links in the description', () => {
+        const text = render({
+            description: 'See {@link Foo}.',
+            kind: 'function',
+            longname: 'Foo#bar',
+            memberof: 'Foo',
+            name: 'bar',
+            scope: 'instance'
+        });
+
+        expect(text).toContain('See [`Foo`](foo.html).');
+    });
+});
@@ -0,0 +1,63 @@
+/*
+    Copyright 2020 Google LLC
+
+    Licensed under the Apache License, Version 2.0 (the "License");
+    you may not use this file except in compliance with the License.
+    You may obtain a copy of the License at
+
+        https://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing, software
+    distributed under the License is distributed on an "AS IS" BASIS,
+    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+    See the License for the specific language governing permissions and
+    limitations under the License.
+*/
+describe('breadcrumbs partial', () => {
+    const packageInfo = {
+        name: 'frobnicate'
+    };
+
+    it('includes a link to the package', () => {
+        const text = helpers.render('breadcrumbs.njk', {
+            package: packageInfo,
+            pageCategory: 'globals'
+        });
+
+        expect(text).toContain('<li>frobnicate</li>');
+    });
+
+    it('marks the last breadcrumb as the current page', () => {
+        const text = helpers.render('breadcrumbs.njk', {
+            docs: [
+                {
+                    kind: 'class',
+                    longname: 'foo.Bar'
+                }
+            ],
+            package: packageInfo,
+            pageCategory: 'classes'
+        });
+
+        expect(text).toMatch(/<li class="active" aria-current="page">Bar<\/li>/);
+    });
+
+    it('uses the short path for source files', () => {
+        const text = helpers.render('breadcrumbs.njk', {
+            package: packageInfo,
+            pageCategory: 'sources',
+            pageTitle: 'lib/foo.js'
+        });
+
+        expect(text).toContain('<li>lib</li>');
+        expect(text).toContain('foo.js</li>');
+    });
+
+    it('renders nothing if the page has no breadcrumbs', () => {
+        const text = helpers.render('breadcrumbs.njk', {
+            package: packageInfo
+        });
+
+        expect(text.trim()).toBe('');
+    });
+});